@@ -0,0 +1,125 @@
+// backend/models/bandMember.js
+// Tour-party members (band, crew, production, merch, management, guests) and their roles.
+// Requires a table:
+//   tm_tour_party(member_id TEXT PRIMARY KEY,          -- '#700000'..'#7003E8' (tour_party_id range)
+//                 display_name TEXT NOT NULL,
+//                 role TEXT NOT NULL DEFAULT 'guest',
+//                 email TEXT UNIQUE,
+//                 password_hash TEXT,
+//                 is_active BOOLEAN NOT NULL DEFAULT true,
+//                 created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP)
+const pool = require('../db/pool');
+const { generateHexId } = require('../utils/generateHexId');
+
+const ROLES = Object.freeze({
+  TOUR_MANAGER: 'tour_manager',
+  BAND: 'band',
+  CREW: 'crew',
+  PRODUCTION: 'production',
+  MERCH: 'merch',
+  GUEST: 'guest',
+});
+
+const ROLE_VALUES = Object.values(ROLES);
+
+function normalizeRole(role) {
+  const r = String(role || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return ROLE_VALUES.includes(r) ? r : ROLES.GUEST;
+}
+
+function toMember(row) {
+  if (!row) return null;
+  return {
+    member_id: row.member_id,
+    display_name: row.display_name,
+    role: normalizeRole(row.role),
+    email: row.email || null,
+    is_active: row.is_active !== false,
+  };
+}
+
+/**
+ * @param {string} memberId
+ * @returns {Promise<object|null>} active member or null
+ */
+async function findById(memberId) {
+  const { rows } = await pool.query(
+    `SELECT member_id, display_name, role, email, is_active
+     FROM tm_tour_party WHERE member_id = $1 AND is_active = true`,
+    [memberId]
+  );
+  return toMember(rows[0]);
+}
+
+/**
+ * Every active member, by name (the entity extractor recognizes them in messages).
+ * @returns {Promise<object[]>}
+ */
+async function listActive() {
+  const { rows } = await pool.query(
+    `SELECT member_id, display_name, role, email, is_active
+     FROM tm_tour_party WHERE is_active = true ORDER BY display_name`
+  );
+  return rows.map(toMember);
+}
+
+/**
+ * Lookup for login: the only accessor that returns password_hash.
+ * @param {string} email
+ * @returns {Promise<object|null>}
+ */
+async function findByEmailWithSecret(email) {
+  const { rows } = await pool.query(
+    `SELECT member_id, display_name, role, email, is_active, password_hash
+     FROM tm_tour_party WHERE lower(email) = lower($1) AND is_active = true`,
+    [email]
+  );
+  return rows[0] ? { ...toMember(rows[0]), password_hash: rows[0].password_hash } : null;
+}
+
+/**
+ * @param {object} m
+ * @param {string} m.display_name
+ * @param {string} [m.role]
+ * @param {string} [m.email]
+ * @param {string} [m.password_hash]
+ * @returns {Promise<object>}
+ */
+async function create({ display_name, role, email, password_hash }) {
+  const memberId = await generateHexId('tour_party_id');
+  const { rows } = await pool.query(
+    `INSERT INTO tm_tour_party (member_id, display_name, role, email, password_hash, is_active)
+     VALUES ($1, $2, $3, $4, $5, true)
+     RETURNING member_id, display_name, role, email, is_active`,
+    [memberId, display_name, normalizeRole(role), email || null, password_hash || null]
+  );
+  return toMember(rows[0]);
+}
+
+/**
+ * Resolve a request-side member ({ member_id } or a bare id) to a full member with a role.
+ * Unknown members, or a database failure, resolve to a guest so nothing sensitive leaks.
+ * @param {object|string} member
+ * @returns {Promise<object>}
+ */
+async function resolveMember(member) {
+  const memberId = typeof member === 'string' ? member : member && member.member_id;
+  if (!memberId) return { member_id: null, role: ROLES.GUEST };
+  try {
+    const found = await findById(memberId);
+    return found || { member_id: memberId, role: ROLES.GUEST };
+  } catch (e) {
+    console.error('[BandMember] lookup failed:', e.message);
+    return { member_id: memberId, role: ROLES.GUEST };
+  }
+}
+
+module.exports = {
+  ROLES,
+  normalizeRole,
+  findById,
+  listActive,
+  findByEmailWithSecret,
+  create,
+  resolveMember,
+};
@@ -0,0 +1,227 @@
+// backend/models/industryTerm.js
+// Glossary terms, their aliases and their versioned answers. Requires tables:
+//   industry_terms(term_id TEXT PRIMARY KEY,              -- '#604000'..'#6043E7' (tm_term_id range)
+//                  term TEXT NOT NULL, aliases TEXT[])
+//   tm_term_aliases(term_id TEXT, alias_raw TEXT, alias_normalized TEXT UNIQUE,
+//                   token_len INTEGER, is_canonical BOOLEAN)
+//   tm_answers(term_id TEXT, locale TEXT, answer_template TEXT, version INTEGER, is_current BOOLEAN)
+// tm_term_aliases is what the matcher reads (services/termIndex.js). Saving a term rewrites its
+// rows there the same way scripts/materialize_aliases.js does: the term itself plus every alias,
+// run through normalize(). An alias can belong to one term only.
+const pool = require('../db/pool');
+const { generateHexId } = require('../utils/generateHexId');
+const { normalize, tokenLen } = require('../services/normalizer');
+
+const DEFAULT_LOCALE = 'en-AU';
+
+class GlossaryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GlossaryError';
+    this.status = status;
+  }
+}
+
+// Canonical term first, then aliases; duplicates (after normalizing) keep their first spelling.
+function aliasRows(term, aliases) {
+  const seen = new Set();
+  const rows = [];
+  for (const [raw, isCanonical] of [[term, true], ...aliases.map(a => [a, false])]) {
+    const norm = normalize(raw);
+    if (!norm || seen.has(norm)) continue;
+    seen.add(norm);
+    rows.push({ alias_raw: String(raw).trim(), alias_normalized: norm, token_len: tokenLen(norm), is_canonical: isCanonical });
+  }
+  return rows;
+}
+
+function cleanInput({ term, aliases = [] }) {
+  const t = String(term || '').trim();
+  if (!normalize(t)) throw new GlossaryError('term is required');
+  if (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string')) {
+    throw new GlossaryError('aliases must be an array of strings');
+  }
+  return { term: t, aliases: aliases.map(a => a.trim()).filter(Boolean) };
+}
+
+/**
+ * Terms with their aliases, optionally filtered by a case-insensitive match on term or alias.
+ * @param {object} [opts]
+ * @param {string} [opts.q]
+ * @returns {Promise<Array<{term_id, term, aliases}>>}
+ */
+async function listTerms({ q = null } = {}) {
+  const like = q ? `%${String(q).replace(/[\\%_]/g, '\\$&')}%` : null;
+  const { rows } = await pool.query(
+    `SELECT t.term_id, t.term, COALESCE(t.aliases, '{}') AS aliases
+     FROM industry_terms t
+     WHERE $1::text IS NULL OR t.term ILIKE $1
+        OR EXISTS (SELECT 1 FROM unnest(t.aliases) a WHERE a ILIKE $1)
+     ORDER BY lower(t.term)`,
+    [like]
+  );
+  return rows;
+}
+
+/**
+ * One term with its materialized aliases and every answer version, newest first.
+ * @param {string} termId
+ * @param {object} [db=pool] - pool or a transaction client
+ * @returns {Promise<{term_id, term, aliases, alias_index, answers}|null>}
+ */
+async function getTerm(termId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT term_id, term, COALESCE(aliases, '{}') AS aliases FROM industry_terms WHERE term_id = $1`,
+    [termId]
+  );
+  if (!rows[0]) return null;
+  const [aliases, answers] = await Promise.all([
+    db.query(
+      `SELECT alias_raw, alias_normalized, token_len, is_canonical FROM tm_term_aliases
+       WHERE term_id = $1 ORDER BY is_canonical DESC, alias_normalized`,
+      [termId]
+    ),
+    db.query(
+      `SELECT locale, version, is_current, answer_template FROM tm_answers
+       WHERE term_id = $1 ORDER BY locale, version DESC`,
+      [termId]
+    ),
+  ]);
+  return { ...rows[0], alias_index: aliases.rows, answers: answers.rows };
+}
+
+// Throws a 409 naming the first alias another term already owns.
+async function assertNoCollisions(client, termId, rows) {
+  const { rows: taken } = await client.query(
+    `SELECT a.alias_normalized, a.term_id, t.term
+     FROM tm_term_aliases a LEFT JOIN industry_terms t ON t.term_id = a.term_id
+     WHERE a.alias_normalized = ANY($1::text[]) AND a.term_id IS DISTINCT FROM $2`,
+    [rows.map(r => r.alias_normalized), termId]
+  );
+  if (taken.length) {
+    const c = taken[0];
+    throw new GlossaryError(`Alias "${c.alias_normalized}" already belongs to ${c.term ? `"${c.term}" ` : ''}(${c.term_id})`, 409);
+  }
+}
+
+async function writeAliases(client, termId, rows) {
+  await client.query(`DELETE FROM tm_term_aliases WHERE term_id = $1`, [termId]);
+  for (const r of rows) {
+    await client.query(
+      `INSERT INTO tm_term_aliases (term_id, alias_raw, alias_normalized, token_len, is_canonical)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [termId, r.alias_raw, r.alias_normalized, r.token_len, r.is_canonical]
+    );
+  }
+}
+
+// New version becomes the only current one for its locale.
+async function insertAnswer(client, termId, answer, locale) {
+  const text = String(answer || '').trim();
+  if (!text) throw new GlossaryError('answer is required');
+  await client.query(
+    `UPDATE tm_answers SET is_current = false WHERE term_id = $1 AND locale = $2 AND is_current = true`,
+    [termId, locale]
+  );
+  const { rows } = await client.query(
+    `INSERT INTO tm_answers (term_id, locale, answer_template, version, is_current)
+     SELECT $1, $2, $3, COALESCE(MAX(version), 0) + 1, true FROM tm_answers WHERE term_id = $1 AND locale = $2
+     RETURNING term_id, locale, version, is_current, answer_template`,
+    [termId, locale, text]
+  );
+  return rows[0];
+}
+
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch {}
+    // A concurrent save can still win the race for an alias; the unique index catches it.
+    if (err.code === '23505' && err.table === 'industry_terms') throw new GlossaryError('Term id already in use', 409);
+    if (err.code === '23505') throw new GlossaryError('An alias collides with another term', 409);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add a term, or replace an existing term's name and full alias list. Passing `answer` also
+ * publishes it as the term's next answer version.
+ * @param {object} t
+ * @param {string} [t.term_id] - omit to create; a new id comes from the tm_term_id range
+ * @param {string} t.term
+ * @param {string[]} [t.aliases]
+ * @param {string} [t.answer]
+ * @param {string} [t.locale='en-AU']
+ * @returns {Promise<object>} the saved term (see getTerm)
+ */
+async function saveTerm({ term_id = null, term, aliases, answer, locale = DEFAULT_LOCALE }) {
+  const input = cleanInput({ term, aliases });
+  const rows = aliasRows(input.term, input.aliases);
+  return inTransaction(async (client) => {
+    if (term_id) {
+      const { rowCount } = await client.query(`SELECT 1 FROM industry_terms WHERE term_id = $1 FOR UPDATE`, [term_id]);
+      if (!rowCount) throw new GlossaryError(`Unknown term ${term_id}`, 404);
+    }
+    await assertNoCollisions(client, term_id, rows);
+    const termId = term_id || await generateHexId('tm_term_id', { client });
+    // A new id must never land on an existing term, so creating is a plain INSERT.
+    await client.query(
+      term_id
+        ? `INSERT INTO industry_terms (term_id, term, aliases) VALUES ($1, $2, $3)
+           ON CONFLICT (term_id) DO UPDATE SET term = EXCLUDED.term, aliases = EXCLUDED.aliases`
+        : `INSERT INTO industry_terms (term_id, term, aliases) VALUES ($1, $2, $3)`,
+      [termId, input.term, input.aliases]
+    );
+    await writeAliases(client, termId, rows);
+    if (answer != null) await insertAnswer(client, termId, answer, locale);
+    return getTerm(termId, client);
+  });
+}
+
+/**
+ * Publish a new answer version for a term.
+ * @param {string} termId
+ * @param {object} a
+ * @param {string} a.answer
+ * @param {string} [a.locale='en-AU']
+ * @returns {Promise<{term_id, locale, version, is_current, answer_template}>}
+ */
+async function publishAnswer(termId, { answer, locale = DEFAULT_LOCALE }) {
+  return inTransaction(async (client) => {
+    const { rowCount } = await client.query(`SELECT 1 FROM industry_terms WHERE term_id = $1 FOR UPDATE`, [termId]);
+    if (!rowCount) throw new GlossaryError(`Unknown term ${termId}`, 404);
+    return insertAnswer(client, termId, answer, locale);
+  });
+}
+
+/**
+ * Remove a term and its aliases. Answers are kept for the record but none stays current.
+ * @param {string} termId
+ * @returns {Promise<boolean>} false when there was no such term
+ */
+async function deleteTerm(termId) {
+  return inTransaction(async (client) => {
+    const { rowCount } = await client.query(`DELETE FROM industry_terms WHERE term_id = $1`, [termId]);
+    if (!rowCount) return false;
+    await client.query(`DELETE FROM tm_term_aliases WHERE term_id = $1`, [termId]);
+    await client.query(`UPDATE tm_answers SET is_current = false WHERE term_id = $1`, [termId]);
+    return true;
+  });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  GlossaryError,
+  listTerms,
+  getTerm,
+  saveTerm,
+  publishAnswer,
+  deleteTerm,
+};
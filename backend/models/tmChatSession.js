@@ -0,0 +1,144 @@
+// backend/models/tmChatSession.js
+// Chat sessions and the turns stored in them. Requires tables:
+//   tm_chat_sessions(session_id TEXT PRIMARY KEY, member_id TEXT, started_at TIMESTAMPTZ,
+//                    last_activity TIMESTAMPTZ, is_active BOOLEAN, session_metadata JSONB)
+//   tm_chat_messages(message_id TEXT PRIMARY KEY, session_id TEXT, sender_type TEXT,  -- 'user' | 'bot'
+//                    content TEXT, intent TEXT, entities JSONB, created_at TIMESTAMPTZ)
+// A turn is a user message and the bot reply saved with it (same transaction, same created_at).
+// History is every session of the member's except those cleared with "clear my history"
+// (session_metadata.history_cleared). Closing a session — idle expiry, "new conversation" — only
+// ends it; its turns stay in the history.
+// A member can have one active session per device: session_metadata.client_session_id holds the
+// id the client sent (null for clients that don't send one). Sessions idle past the configured
+// limit are never reused and get closed by the session reaper (services/sessionReaper.js).
+const pool = require('../db/pool');
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+/**
+ * Recent turns for a member, newest first.
+ * @param {string} memberId
+ * @param {object} [opts]
+ * @param {number} [opts.limit=20] - capped at 100
+ * @param {string|Date} [opts.before] - only turns strictly older than this
+ * @param {string} [opts.keyword] - case-insensitive match on the question or the answer
+ * @returns {Promise<Array<{message_id, session_id, question, answer, intent, created_at}>>}
+ */
+async function listHistory(memberId, { limit = DEFAULT_HISTORY_LIMIT, before = null, keyword = null } = {}) {
+  const n = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  const like = keyword ? `%${String(keyword).replace(/[\\%_]/g, '\\$&')}%` : null;
+  const { rows } = await pool.query(
+    `SELECT u.message_id, u.session_id, u.content AS question, b.content AS answer, u.intent, u.created_at
+     FROM tm_chat_messages u
+     JOIN tm_chat_sessions s ON s.session_id = u.session_id
+     LEFT JOIN tm_chat_messages b
+       ON b.session_id = u.session_id AND b.sender_type = 'bot' AND b.created_at = u.created_at
+     WHERE u.sender_type = 'user' AND s.member_id = $1
+       AND s.session_metadata->>'history_cleared' IS DISTINCT FROM 'true'
+       AND ($2::timestamptz IS NULL OR u.created_at < $2::timestamptz)
+       AND ($3::text IS NULL OR u.content ILIKE $3 OR b.content ILIKE $3)
+     ORDER BY u.created_at DESC
+     LIMIT $4`,
+    [memberId, before || null, like, n]
+  );
+  return rows;
+}
+
+/**
+ * The member's live session for one client: active and used within the last idleMinutes.
+ * @param {string} memberId
+ * @param {string|null} clientSessionId
+ * @param {number} idleMinutes
+ * @param {object} [db=pool] - pool or a transaction client
+ * @returns {Promise<{session_id: string, session_metadata: object}|null>}
+ */
+async function findActiveSession(memberId, clientSessionId, idleMinutes, db = pool) {
+  const { rows } = await db.query(
+    `SELECT session_id, session_metadata FROM tm_chat_sessions
+     WHERE member_id = $1 AND is_active = true
+       AND session_metadata->>'client_session_id' IS NOT DISTINCT FROM $2::text
+       AND last_activity > CURRENT_TIMESTAMP - make_interval(mins => $3::int)
+     ORDER BY last_activity DESC
+     LIMIT 1`,
+    [memberId, clientSessionId || null, idleMinutes]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * @param {string} sessionId
+ * @param {string} memberId
+ * @param {string|null} clientSessionId
+ * @param {object} [db=pool]
+ * @returns {Promise<{session_id: string}>}
+ */
+async function createSession(sessionId, memberId, clientSessionId, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO tm_chat_sessions (session_id, member_id, started_at, last_activity, is_active, session_metadata)
+     VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, true, jsonb_build_object('client_session_id', $3::text))
+     RETURNING session_id`,
+    [sessionId, memberId, clientSessionId || null]
+  );
+  return rows[0];
+}
+
+/**
+ * Close the member's active session(s) for one client ("new conversation" on that device).
+ * @param {string} memberId
+ * @param {string|null} clientSessionId
+ * @param {object} [db=pool]
+ * @returns {Promise<number>} sessions closed
+ */
+async function closeClientSessions(memberId, clientSessionId, db = pool) {
+  const { rowCount } = await db.query(
+    `UPDATE tm_chat_sessions SET is_active = false
+     WHERE member_id = $1 AND is_active = true
+       AND session_metadata->>'client_session_id' IS NOT DISTINCT FROM $2::text`,
+    [memberId, clientSessionId || null]
+  );
+  return rowCount;
+}
+
+/**
+ * Close every session, for any member, idle for idleMinutes or longer.
+ * @param {number} idleMinutes
+ * @returns {Promise<number>} sessions closed
+ */
+async function expireIdleSessions(idleMinutes) {
+  const { rowCount } = await pool.query(
+    `UPDATE tm_chat_sessions SET is_active = false
+     WHERE is_active = true AND last_activity <= CURRENT_TIMESTAMP - make_interval(mins => $1::int)`,
+    [idleMinutes]
+  );
+  return rowCount;
+}
+
+/**
+ * "Clear my history": hide every session of the member's from listHistory, and close the
+ * active ones so the next message starts a fresh session.
+ * @param {string} memberId
+ * @returns {Promise<number>} sessions cleared
+ */
+async function clearHistory(memberId) {
+  const { rowCount } = await pool.query(
+    `UPDATE tm_chat_sessions
+     SET is_active = false,
+         last_activity = CASE WHEN is_active THEN CURRENT_TIMESTAMP ELSE last_activity END,
+         session_metadata = COALESCE(session_metadata, '{}'::jsonb) || '{"history_cleared": true}'::jsonb
+     WHERE member_id = $1 AND session_metadata->>'history_cleared' IS DISTINCT FROM 'true'`,
+    [memberId]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  DEFAULT_HISTORY_LIMIT,
+  MAX_HISTORY_LIMIT,
+  listHistory,
+  findActiveSession,
+  createSession,
+  closeClientSessions,
+  clearHistory,
+  expireIdleSessions,
+};
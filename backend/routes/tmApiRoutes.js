@@ -0,0 +1,44 @@
+// backend/routes/tmApiRoutes.js
+// Auth endpoints for tour-party members: login, token refresh and logout.
+const express = require('express');
+const auth = require('../services/tmAuthService');
+
+const router = express.Router();
+
+function sendAuthError(res, err, where) {
+  if (err instanceof auth.AuthError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`[AuthRoutes] Error handling ${where}:`, err);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const { member, tokens } = await auth.login(email, password);
+    res.json({ member, ...tokens });
+  } catch (err) {
+    sendAuthError(res, err, '/auth/login');
+  }
+});
+
+router.post('/auth/refresh', async (req, res) => {
+  try {
+    const { member, tokens } = await auth.refresh((req.body || {}).refreshToken);
+    res.json({ member, ...tokens });
+  } catch (err) {
+    sendAuthError(res, err, '/auth/refresh');
+  }
+});
+
+router.post('/auth/logout', async (req, res) => {
+  try {
+    await auth.logout((req.body || {}).refreshToken);
+    res.status(204).end();
+  } catch (err) {
+    sendAuthError(res, err, '/auth/logout');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+// backend/routes/tmGlossaryRoutes.js
+// Admin endpoints for the industry-term glossary: terms, aliases and answer versions.
+// Mounted behind authenticate + tour-manager role (see server.js). Every change reloads the
+// matcher's alias index and the engine's term list, so it takes effect without a restart.
+const express = require('express');
+const glossary = require('../models/industryTerm');
+const { loadAliasIndex } = require('../services/termIndex');
+const aiEngine = require('../services/tmAiEngine');
+
+const router = express.Router();
+
+// Term ids are hex like '#604001'; accept them with or without the '#'.
+function termIdParam(req) {
+  const raw = String(req.params.termId || '').trim();
+  return raw.startsWith('#') ? raw : `#${raw}`;
+}
+
+async function reloadGlossary() {
+  try {
+    const [index] = await Promise.all([loadAliasIndex(), aiEngine.loadTerms()]);
+    console.log('[Glossary] reloaded', index);
+    return true;
+  } catch (err) {
+    console.error('[Glossary] reload failed:', err.message);
+    return false;
+  }
+}
+
+function sendGlossaryError(res, err, where) {
+  if (err instanceof glossary.GlossaryError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`[GlossaryRoutes] Error handling ${where}:`, err);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+// ?q= filters on term or alias
+router.get('/', async (req, res) => {
+  try {
+    res.json({ terms: await glossary.listTerms({ q: req.query.q }) });
+  } catch (err) {
+    sendGlossaryError(res, err, 'GET /glossary');
+  }
+});
+
+router.get('/:termId', async (req, res) => {
+  try {
+    const term = await glossary.getTerm(termIdParam(req));
+    if (!term) return res.status(404).json({ error: `Unknown term ${termIdParam(req)}` });
+    res.json(term);
+  } catch (err) {
+    sendGlossaryError(res, err, 'GET /glossary/:termId');
+  }
+});
+
+// Body: { term, aliases: [], answer?, locale? }
+router.post('/', async (req, res) => {
+  try {
+    const { term, aliases, answer, locale } = req.body || {};
+    const saved = await glossary.saveTerm({ term, aliases, answer, locale });
+    res.status(201).json({ ...saved, reloaded: await reloadGlossary() });
+  } catch (err) {
+    sendGlossaryError(res, err, 'POST /glossary');
+  }
+});
+
+// Replaces the term's name and alias list. Body as for POST.
+router.put('/:termId', async (req, res) => {
+  try {
+    const { term, aliases, answer, locale } = req.body || {};
+    const saved = await glossary.saveTerm({ term_id: termIdParam(req), term, aliases, answer, locale });
+    res.json({ ...saved, reloaded: await reloadGlossary() });
+  } catch (err) {
+    sendGlossaryError(res, err, 'PUT /glossary/:termId');
+  }
+});
+
+// Publish a new answer version. Body: { answer, locale? }
+router.post('/:termId/answers', async (req, res) => {
+  try {
+    const { answer, locale } = req.body || {};
+    const published = await glossary.publishAnswer(termIdParam(req), { answer, locale });
+    res.status(201).json({ ...published, reloaded: await reloadGlossary() });
+  } catch (err) {
+    sendGlossaryError(res, err, 'POST /glossary/:termId/answers');
+  }
+});
+
+router.delete('/:termId', async (req, res) => {
+  try {
+    if (!(await glossary.deleteTerm(termIdParam(req)))) {
+      return res.status(404).json({ error: `Unknown term ${termIdParam(req)}` });
+    }
+    await reloadGlossary();
+    res.status(204).end();
+  } catch (err) {
+    sendGlossaryError(res, err, 'DELETE /glossary/:termId');
+  }
+});
+
+module.exports = router;
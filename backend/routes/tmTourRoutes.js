@@ -0,0 +1,85 @@
+// backend/routes/tmTourRoutes.js
+// Tour data endpoints over the configured data source: day sheets, itinerary checks and the
+// merch settlement report. Mounted under /api (see server.js); each route authenticates itself.
+const express = require('express');
+const { buildDaySheet, formatDaySheet } = require('../services/daySheet');
+const { buildMerchReport, merchReportToCsv } = require('../services/merchReport');
+const { checkItinerary } = require('../services/itineraryCheck');
+const { authenticate, requireRole } = require('../services/tmAuthService');
+const { applyFieldPolicy } = require('../services/tmAccessPolicy');
+const { ROLES } = require('../models/bandMember');
+
+const tourPartyOnly = requireRole(ROLES.TOUR_MANAGER, ROLES.BAND, ROLES.CREW, ROLES.PRODUCTION, ROLES.MERCH);
+
+/**
+ * Show IDs come in with or without a leading '#' ('#' has to be escaped in URLs). CSV and
+ * Postgres IDs carry the '#', Master Tour event IDs don't, so try the ID as given first and
+ * only then with the '#' added. Unknown IDs are returned as given.
+ * @param {object} dataSource
+ * @param {string} [id]
+ * @returns {Promise<string>} the show_id the data source knows, or '' when none was given
+ */
+async function resolveShowId(dataSource, id) {
+  const raw = String(id || '').trim();
+  if (!raw || (await dataSource.getShow(raw))) return raw;
+  const hashed = raw.startsWith('#') ? raw : `#${raw}`;
+  return hashed !== raw && (await dataSource.getShow(hashed)) ? hashed : raw;
+}
+
+/**
+ * @param {object} dataSource - csvDataSource-compatible provider
+ * @returns {express.Router}
+ */
+function createTourRoutes(dataSource) {
+  const router = express.Router();
+
+  // Day sheet for one show (showId with or without the leading '#')
+  router.get('/daysheet/:showId', authenticate, tourPartyOnly, async (req, res) => {
+    try {
+      const showId = await resolveShowId(dataSource, req.params.showId);
+      const sheet = await buildDaySheet(dataSource, showId);
+      if (!sheet) {
+        return res.status(404).json({ error: `Unknown show ${showId}` });
+      }
+      const { text, data } = applyFieldPolicy({ type: 'day_sheet', text: formatDaySheet(sheet), data: sheet }, req.member);
+      res.json({ ...data, text });
+    } catch (err) {
+      console.error('[TourRoutes] Error handling /api/daysheet:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Itinerary conflicts across shows, travel and hotels (?showId=&from=YYYY-MM-DD&to=YYYY-MM-DD)
+  router.get('/itinerary/check', authenticate, tourPartyOnly, async (req, res) => {
+    try {
+      const { showId, from, to } = req.query;
+      const id = await resolveShowId(dataSource, showId);
+      res.json(await checkItinerary(dataSource, { showId: id || undefined, date_from: from, date_to: to }));
+    } catch (err) {
+      console.error('[TourRoutes] Error handling /api/itinerary/check:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Merch settlement report (?showId=&asOf=YYYY-MM-DD&format=csv)
+  router.get('/merch/report', authenticate, requireRole(ROLES.TOUR_MANAGER, ROLES.MERCH), async (req, res) => {
+    try {
+      const { showId, asOf, format } = req.query;
+      const id = await resolveShowId(dataSource, showId);
+      const report = await buildMerchReport(dataSource, { showId: id || undefined, asOf });
+      if (String(format || '').toLowerCase() === 'csv') {
+        res.type('text/csv');
+        res.attachment(`merch-report-${report.as_of}.csv`);
+        return res.send(merchReportToCsv(report));
+      }
+      res.json(report);
+    } catch (err) {
+      console.error('[TourRoutes] Error handling /api/merch/report:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTourRoutes, resolveShowId };
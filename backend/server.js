@@ -1,4 +1,5 @@
 const { loadAliasIndex } = require("./services/termIndex");
+const { loadIntentModel } = require("./services/intentClassifier");
 // backend/server.js
 const express = require('express');
 const cors = require('cors');
@@ -7,10 +8,25 @@ const pool = require('./db/pool');
 
 // Core services
 const processor = require('./services/tmMessageProcessor');
+const aiEngine = require('./services/tmAiEngine');
+const { createDataSource } = require('./services/dataSourceFactory');
+const { validateDataDir } = require('./services/csvSchema');
+const { authenticate, requireRole } = require('./services/tmAuthService');
+const { ROLES } = require('./models/bandMember');
+const { listHistory } = require('./models/tmChatSession');
+const apiRoutes = require('./routes/tmApiRoutes');
+const glossaryRoutes = require('./routes/tmGlossaryRoutes');
+const { createTourRoutes } = require('./routes/tmTourRoutes');
+const wsServer = require('./websocket/tmWebSocketServer');
+const { createSessionReaper } = require('./services/sessionReaper');
 
 // Create app + processor
 const app = express();
 
+// Tour data source (TM_DATA_SOURCE=csv|postgres|mastertour), shared by the engine and the routes
+const dataSource = createDataSource();
+aiEngine.setDataSource(dataSource);
+
 
 app.use(cors());
 app.use(express.json());
@@ -20,19 +36,31 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', uptime: process.uptime() });
 });
 
-// Chat endpoint
-app.post('/api/chat/message', async (req, res) => {
+// Member IDs are accepted with or without the leading '#' (it has to be escaped in URLs).
+function withHash(id) {
+  const raw = String(id || '').trim();
+  return !raw || raw.startsWith('#') ? raw : `#${raw}`;
+}
+
+// Auth (login / refresh / logout)
+app.use('/api', apiRoutes);
+
+// Chat endpoint: the member comes from the access token, never from the body
+app.post('/api/chat/message', authenticate, async (req, res) => {
   try {
-    const { memberId, content } = req.body;
+    // timezone (optional, IANA): the member's local zone, used for "today" on show day
+    // clientSessionId (optional): this device's id, so phone and laptop keep separate sessions
+    const { content, timezone, clientSessionId } = req.body;
 
-    if (!memberId || !content) {
-      return res.status(400).json({ error: 'memberId and content are required' });
+    if (!content) {
+      return res.status(400).json({ error: 'content is required' });
     }
 
     const result = await processor.processMessage(
       content,
       {},
-      { member_id: memberId }
+      { member_id: req.member.member_id, role: req.member.role, timezone },
+      { clientSessionId }
     );
     res.json(result);
   } catch (err) {
@@ -41,6 +69,72 @@ app.post('/api/chat/message', async (req, res) => {
   }
 });
 
+// Start a new conversation on this device: closes its session and opens a fresh one
+app.post('/api/chat/sessions', authenticate, async (req, res) => {
+  try {
+    const { clientSessionId } = req.body || {};
+    const session = await processor.startNewSession(req.member.member_id, clientSessionId);
+    res.status(201).json(session);
+  } catch (err) {
+    console.error('[Server] Error handling /api/chat/sessions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent chat turns, newest first (?memberId=&limit=&before=<ISO timestamp>&q=<keyword>).
+// Members read their own history; the tour manager can read anyone's.
+app.get('/api/chat/history', authenticate, async (req, res) => {
+  try {
+    const { memberId, limit, before, q } = req.query;
+    const target = memberId ? withHash(memberId) : req.member.member_id;
+    if (target !== req.member.member_id && req.member.role !== ROLES.TOUR_MANAGER) {
+      return res.status(403).json({ error: 'You can only read your own chat history' });
+    }
+    if (before && Number.isNaN(Date.parse(before))) {
+      return res.status(400).json({ error: 'before must be an ISO timestamp' });
+    }
+    const turns = await listHistory(target, { limit, before, keyword: q });
+    // Pass next_before back as ?before= for the page after this one.
+    res.json({ member_id: target, turns, next_before: turns.length ? turns[turns.length - 1].created_at : null });
+  } catch (err) {
+    console.error('[Server] Error handling /api/chat/history:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Day sheets, itinerary checks and merch reports over the data source
+app.use('/api', createTourRoutes(dataSource));
+
+// Force a re-read of the tour data (CSV source only; it also reloads on file changes)
+app.post('/api/admin/reload', authenticate, requireRole(ROLES.TOUR_MANAGER), async (req, res) => {
+  try {
+    if (typeof dataSource.reload !== 'function') {
+      return res.status(400).json({ error: `The ${process.env.TM_DATA_SOURCE} data source doesn't support reload` });
+    }
+    const changes = await dataSource.reload('manual');
+    res.json({ reloaded: true, at: new Date().toISOString(), changes });
+  } catch (err) {
+    console.error('[Server] Error handling /api/admin/reload:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Schema/data-quality report for the CSVs behind the CSV source (problems listed by file and line)
+app.get('/api/admin/data-health', authenticate, requireRole(ROLES.TOUR_MANAGER), (req, res) => {
+  try {
+    if (!dataSource.dataDir) {
+      return res.status(400).json({ error: 'Data health checks the CSV data source; this server is not using it' });
+    }
+    res.json(validateDataDir(dataSource.dataDir));
+  } catch (err) {
+    console.error('[Server] Error handling /api/admin/data-health:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Glossary admin: terms, aliases and answer versions (reloads the alias index on every change)
+app.use('/api/admin/glossary', authenticate, requireRole(ROLES.TOUR_MANAGER), glossaryRoutes);
+
 // Serve frontend (if built)
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -49,9 +143,16 @@ app.get('/', (req,res)=> res.sendFile(path.join(__dirname, 'public', 'index.html
 
 // Start server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   loadAliasIndex().then(r => console.log("[AliasIndex] loaded", r)).catch(e => console.error("[AliasIndex] failed", e));
+  loadIntentModel().then(r => console.log("[IntentModel] trained", r)).catch(e => console.error("[IntentModel] failed", e));
   console.log(`[Server] Listening on port ${PORT}`);
 });
 
+// WebSocket chat + push notices on the same HTTP server
+wsServer.attach(server, { processor, dataSource });
+
+// Close chat sessions that have gone idle
+createSessionReaper({ idleMinutes: processor.idleMinutes }).start();
+
 // test hook
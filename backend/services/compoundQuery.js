@@ -0,0 +1,102 @@
+// backend/services/compoundQuery.js
+// Splits a compound message into the questions it asks, so each can be answered on its own:
+//   "What time is soundcheck and doors in Brisbane, and what hotel are we at?"
+//     -> "what time is soundcheck in brisbane", "what time is doors in brisbane", "what hotel are we at"
+// Two kinds of split:
+//   1. clauses: "?" between questions, ";", and "and"/", also" before a new question word
+//   2. glossary terms or call times listed in one clause ("soundcheck and doors",
+//      "load in, load out and curfew"), which become one copy of the clause per term
+// Place and date sharing across the parts is the engine's job (TmAiEngine.shareSlots).
+
+const { normalize } = require('./normalizer');
+const { lookupAllInSentence } = require('./termIndex');
+
+// Words that open a new question after "and" / ",": "..., and what hotel are we at?"
+const QUESTION_START = String.raw`(?:what|what's|whats|when|where|where's|who|who's|which|how|is|are|do|does|did|can|could|any|tell\s+me|show\s+me|give\s+me|send\s+me)\b`;
+const CLAUSE_BREAK_RX = new RegExp(
+  String.raw`\?\s+(?=\S)|;\s*|,\s*(?:and\s+|also\s+|plus\s+)?(?=${QUESTION_START})|\s+(?:and|also|plus)\s+(?:also\s+)?(?=${QUESTION_START})`,
+  'i'
+);
+const LEADING_JOINER_RX = /^(?:and|also|plus|then)\s+/i;
+// Between two listed terms: "soundcheck and doors", "doors, curfew", "load in & the load out".
+const LIST_JOINERS = new Set(['and', 'or', 'plus', 'also', 'the', '&']);
+// Show-day call times, listable even when the glossary only has a longer alias ("doors open").
+const CALL_TIMES = [
+  'doors', 'soundcheck', 'sound check', 'load in', 'load out', 'curfew', 'set times', 'set time',
+  'on stage', 'changeover', 'lobby call', 'band call', 'crew call', 'bus call', 'airport call',
+  'check in', 'check out', 'checkout',
+].map(p => p.split(' '));
+
+function clauses(message) {
+  return String(message || '')
+    .split(CLAUSE_BREAK_RX)
+    .map(c => c.trim().replace(LEADING_JOINER_RX, '').replace(/[?.!,\s]+$/, '').trim())
+    .filter(c => normalize(c));
+}
+
+function callTimeHits(tokens) {
+  const hits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const p = CALL_TIMES.find(words => words.every((w, k) => tokens[i + k] === w));
+    if (p) hits.push({ term_id: p.join(' '), token_len: p.length, alias: p.join(' '), start: i });
+  }
+  return hits;
+}
+
+// Glossary and call-time hits, left to right; where two overlap the longer one is kept.
+function termHits(tokens) {
+  const all = [...lookupAllInSentence(tokens.join(' ')), ...callTimeHits(tokens)]
+    .sort((a, b) => a.start - b.start || b.token_len - a.token_len);
+  const hits = [];
+  for (const h of all) {
+    const prev = hits[hits.length - 1];
+    if (prev && h.start < prev.start + prev.token_len) {
+      if (h.token_len > prev.token_len) hits[hits.length - 1] = h;
+      continue;
+    }
+    hits.push(h);
+  }
+  return hits;
+}
+
+// The first run of two or more different terms joined only by list words, or null.
+function termRun(tokens) {
+  const hits = termHits(tokens);
+  let run = [];
+  for (const h of hits) {
+    const prev = run[run.length - 1];
+    const gap = prev ? tokens.slice(prev.start + prev.token_len, h.start) : null;
+    if (prev && gap.every(t => LIST_JOINERS.has(t))) {
+      run.push(h);
+      continue;
+    }
+    if (run.length > 1) break;
+    run = [h];
+  }
+  return run.length > 1 && new Set(run.map(h => h.term_id)).size > 1 ? run : null;
+}
+
+// "what time is soundcheck and doors in brisbane" -> one clause per listed term.
+function expandTermList(clause) {
+  const tokens = normalize(clause).split(' ').filter(Boolean);
+  const run = termRun(tokens);
+  // "the difference between doors and show time" is one question about both
+  if (!run || tokens[run[0].start - 1] === 'between') return [clause];
+  const last = run[run.length - 1];
+  const before = tokens.slice(0, run[0].start);
+  const after = tokens.slice(last.start + last.token_len);
+  return run.map(h => [...before, h.alias, ...after].join(' '));
+}
+
+/**
+ * The separate questions in a message, in the order asked. A simple question comes back as
+ * a single part.
+ * @param {string} message
+ * @returns {string[]}
+ */
+function splitCompoundQuery(message) {
+  const parts = clauses(message).flatMap(expandTermList);
+  return parts.length ? parts : [String(message || '')];
+}
+
+module.exports = { splitCompoundQuery };
@@ -0,0 +1,312 @@
+// backend/services/csvSchema.js
+// Declared schema for every CSV the CSV data source loads, and a validator that reports
+// problems with file + line so they can be fixed at the source (see scripts/check_data.js and
+// GET /api/admin/data-health). parseCsv itself stays lenient; this is where we get strict.
+
+const fs = require('fs');
+const path = require('path');
+const { TABLE_FILES, splitCsvLine } = require('./csvDataSource');
+const { isTimezone } = require('../utils/timeUtils');
+
+// Column types:
+//   id        non-empty, unique within the file
+//   date      YYYY-MM-DD
+//   time      HH:MM[:SS] or local ISO YYYY-MM-DDTHH:MM[:SS]
+//   datetime  local ISO YYYY-MM-DDTHH:MM[:SS]
+//   duration  M:SS / MM:SS
+//   tz        IANA timezone (Australia/Sydney)
+//   int, number, currency (ISO 4217 code), enum (see values)
+// required: value must be present. warnIfMissing: a gap we can live with, reported as a warning.
+// ref: foreign key as 'table.column'.
+const TIME_FIELDS = ['doors_time', 'show_time', 'soundcheck_time', 'load_in_time', 'load_out_time', 'curfew_time',
+  'lobby_call_time', 'departure_time', 'airport_call_time', 'band_call_time', 'checkout_time', 'crew_call_time'];
+
+const CSV_SCHEMAS = {
+  shows: {
+    key: 'show_id',
+    columns: [
+      { name: 'show_id', type: 'id', required: true },
+      { name: 'date', type: 'date', required: true },
+      { name: 'venue_id', ref: 'venues.venue_id', warnIfMissing: true },
+      { name: 'venue_name', warnIfMissing: true },
+      { name: 'city', required: true },
+      { name: 'state' },
+      { name: 'country' },
+      ...TIME_FIELDS.map((name) => ({ name, type: 'time' })),
+      { name: 'set_length' },
+      { name: 'set_times' },
+      { name: 'ticket_status' },
+      { name: 'timezone', type: 'tz', warnIfMissing: true },
+    ],
+  },
+  venues: {
+    key: 'venue_id',
+    columns: [
+      { name: 'venue_id', type: 'id', required: true },
+      { name: 'name', required: true },
+      { name: 'address_street' },
+      { name: 'address_city' },
+      { name: 'address_state' },
+      { name: 'address_zip' },
+      { name: 'address_country' },
+      { name: 'capacity', type: 'int' },
+      { name: 'phone' },
+      { name: 'website' },
+      { name: 'parking_info' },
+      { name: 'load_in_info' },
+      { name: 'contact_name' },
+      { name: 'contact_email' },
+      { name: 'contact_phone' },
+    ],
+  },
+  setlists: {
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id', required: true },
+      { name: 'set_index', type: 'int' },
+      { name: 'song_index', type: 'int', required: true },
+      { name: 'song_title', required: true },
+      { name: 'duration', type: 'duration' },
+      { name: 'notes' },
+    ],
+  },
+  flights: {
+    needsOneOf: ['show_id', 'date'],
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id' },
+      { name: 'date', type: 'date' },
+      { name: 'airline', required: true },
+      { name: 'flight_number', required: true },
+      { name: 'departure_city', required: true },
+      { name: 'arrival_city', required: true },
+      { name: 'departure_time', type: 'datetime', required: true },
+      { name: 'arrival_time', type: 'datetime', warnIfMissing: true },
+      { name: 'departure_timezone', type: 'tz', warnIfMissing: true },
+      { name: 'arrival_timezone', type: 'tz', warnIfMissing: true },
+      { name: 'confirmation' },
+    ],
+  },
+  hotels: {
+    needsOneOf: ['show_id', 'date'],
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id' },
+      { name: 'date', type: 'date' },
+      { name: 'name', required: true },
+      { name: 'address', warnIfMissing: true },
+      { name: 'check_in_date', type: 'date' },
+      { name: 'check_out_date', type: 'date' },
+      { name: 'confirmation' },
+    ],
+  },
+  ground: {
+    needsOneOf: ['show_id', 'date'],
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id' },
+      { name: 'date', type: 'date' },
+      { name: 'type', required: true },
+      { name: 'pickup_time', type: 'time', warnIfMissing: true },
+      { name: 'pickup_location' },
+    ],
+  },
+  soundcheck: {
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id', required: true },
+      { name: 'time', type: 'time', required: true },
+      { name: 'activity', required: true },
+      { name: 'notes' },
+    ],
+  },
+  prodNotes: {
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id', required: true },
+      { name: 'category' },
+      { name: 'note', required: true },
+      { name: 'priority', type: 'enum', values: ['low', 'medium', 'high', 'critical'] },
+      { name: 'created_by' },
+    ],
+  },
+  merchSales: {
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id', required: true },
+      { name: 'item', required: true },
+      { name: 'quantity_sold', type: 'int' },
+      { name: 'price', type: 'number' },
+      { name: 'gross_sales', type: 'number' },
+    ],
+  },
+  budgets: {
+    optional: true,
+    key: 'show_id',
+    columns: [
+      { name: 'show_id', type: 'id', ref: 'shows.show_id', required: true },
+      { name: 'currency', type: 'currency', required: true },
+      { name: 'guarantee', type: 'number' },
+      { name: 'deposit', type: 'number' },
+      { name: 'deposit_status', type: 'enum', values: ['pending', 'received'] },
+      { name: 'deposit_due_date', type: 'date' },
+      { name: 'per_diem_rate', type: 'number' },
+      { name: 'per_diem_headcount', type: 'int' },
+      { name: 'per_diem_days', type: 'int' },
+      { name: 'expense_budget', type: 'number' },
+    ],
+  },
+  expenses: {
+    optional: true,
+    columns: [
+      { name: 'show_id', ref: 'shows.show_id' }, // empty = tour-level expense
+      { name: 'date', type: 'date', required: true },
+      { name: 'category', required: true },
+      { name: 'description' },
+      { name: 'amount', type: 'number', required: true },
+      { name: 'currency', type: 'currency' },
+      { name: 'paid_by' },
+    ],
+  },
+};
+
+const CLOCK = '([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?';
+const DATE = '\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])';
+const RX = {
+  date: new RegExp(`^${DATE}$`),
+  time: new RegExp(`^(${DATE}T)?${CLOCK}$`),
+  datetime: new RegExp(`^${DATE}T${CLOCK}$`),
+  duration: /^\d{1,2}:[0-5]\d$/,
+  int: /^-?\d+$/,
+  number: /^-?\d+(\.\d+)?$/,
+  currency: /^[A-Z]{3}$/,
+};
+
+// Returns an error message, or null when the value is fine for its type.
+function checkType(col, v) {
+  switch (col.type) {
+    case 'date':
+      return RX.date.test(v) && !Number.isNaN(Date.parse(v)) ? null : `expected YYYY-MM-DD, got "${v}"`;
+    case 'time':
+      return RX.time.test(v) ? null : `expected HH:MM or YYYY-MM-DDTHH:MM, got "${v}"`;
+    case 'datetime':
+      return RX.datetime.test(v) ? null : `expected YYYY-MM-DDTHH:MM[:SS], got "${v}"`;
+    case 'duration':
+      return RX.duration.test(v) ? null : `expected M:SS, got "${v}"`;
+    case 'tz':
+      return isTimezone(v) ? null : `unknown IANA timezone "${v}"`;
+    case 'int':
+      return RX.int.test(v) ? null : `expected a whole number, got "${v}"`;
+    case 'number':
+      return RX.number.test(v) ? null : `expected a number, got "${v}"`;
+    case 'currency':
+      return RX.currency.test(v) ? null : `expected a 3-letter currency code, got "${v}"`;
+    case 'enum':
+      return col.values.includes(v) ? null : `expected one of ${col.values.join('/')}, got "${v}"`;
+    default:
+      return null;
+  }
+}
+
+// Parse one file keeping the file line of every row (header is line 1).
+function readRows(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const header = splitCsvLine(lines[0] || '').map((h) => h.trim());
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cols = splitCsvLine(lines[i]);
+    const values = {};
+    header.forEach((h, j) => { values[h] = (cols[j] ?? '').trim(); });
+    rows.push({ line: i + 1, width: cols.length, values });
+  }
+  return { header, rows };
+}
+
+/**
+ * Validate every CSV in dataDir against CSV_SCHEMAS.
+ * @param {string} dataDir
+ * @returns {{ data_dir: string, checked_at: string, ok: boolean, errors: number, warnings: number,
+ *   files: Array<{file: string, rows: number, errors: number, warnings: number}>,
+ *   problems: Array<{severity: 'error'|'warning', file: string, line: number|null, column: string|null, message: string}> }}
+ */
+function validateDataDir(dataDir) {
+  const problems = [];
+  const parsed = {};
+
+  for (const [table, schema] of Object.entries(CSV_SCHEMAS)) {
+    const file = TABLE_FILES[table];
+    const add = (severity, line, column, message) => problems.push({ severity, file, line, column, message });
+    const full = path.join(dataDir, file);
+    if (!fs.existsSync(full)) {
+      add(schema.optional ? 'warning' : 'error', null, null, 'file not found');
+      continue;
+    }
+    const { header, rows } = readRows(full);
+    parsed[table] = rows;
+
+    const known = new Set(schema.columns.map((c) => c.name));
+    for (const c of schema.columns) {
+      if (!header.includes(c.name) && (c.required || c.ref || c.type === 'id')) add('error', 1, c.name, 'missing column');
+      else if (!header.includes(c.name)) add('warning', 1, c.name, 'missing column');
+    }
+    for (const h of header) if (h && !known.has(h)) add('warning', 1, h, 'unknown column (ignored)');
+
+    const seen = new Map();
+    for (const r of rows) {
+      if (r.width > header.length) {
+        add('error', r.line, null, `${r.width} values for ${header.length} columns (unquoted comma?)`);
+      }
+      if (schema.needsOneOf && !schema.needsOneOf.some((c) => r.values[c])) {
+        add('error', r.line, null, `needs ${schema.needsOneOf.join(' or ')}`);
+      }
+      for (const c of schema.columns) {
+        if (!header.includes(c.name)) continue;
+        const v = r.values[c.name];
+        if (!v) {
+          if (c.required) add('error', r.line, c.name, 'required value is empty');
+          else if (c.warnIfMissing) add('warning', r.line, c.name, 'value is empty');
+          continue;
+        }
+        const msg = checkType(c, v);
+        if (msg) add('error', r.line, c.name, msg);
+      }
+      if (schema.key) {
+        const k = r.values[schema.key];
+        if (k && seen.has(k)) add('error', r.line, schema.key, `duplicate ${schema.key} ${k} (first on line ${seen.get(k)})`);
+        else if (k) seen.set(k, r.line);
+      }
+    }
+  }
+
+  // Foreign keys, once every file is read.
+  for (const [table, schema] of Object.entries(CSV_SCHEMAS)) {
+    for (const c of schema.columns.filter((col) => col.ref)) {
+      const [refTable, refCol] = c.ref.split('.');
+      if (!parsed[table] || !parsed[refTable]) continue;
+      const ids = new Set(parsed[refTable].map((r) => r.values[refCol]).filter(Boolean));
+      for (const r of parsed[table]) {
+        const v = r.values[c.name];
+        if (v && !ids.has(v)) {
+          problems.push({ severity: 'error', file: TABLE_FILES[table], line: r.line, column: c.name,
+            message: `${v} not found in ${TABLE_FILES[refTable]}` });
+        }
+      }
+    }
+  }
+
+  problems.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+  const count = (file, sev) => problems.filter((p) => p.file === file && p.severity === sev).length;
+  const files = Object.keys(CSV_SCHEMAS).map((table) => ({
+    file: TABLE_FILES[table],
+    rows: parsed[table] ? parsed[table].length : 0,
+    errors: count(TABLE_FILES[table], 'error'),
+    warnings: count(TABLE_FILES[table], 'warning'),
+  }));
+  const errors = problems.filter((p) => p.severity === 'error').length;
+
+  return {
+    data_dir: dataDir,
+    checked_at: new Date().toISOString(),
+    ok: errors === 0,
+    errors,
+    warnings: problems.length - errors,
+    files,
+    problems,
+  };
+}
+
+module.exports = { CSV_SCHEMAS, validateDataDir };
@@ -0,0 +1,47 @@
+// backend/services/dataSourceFactory.js
+// Picks the tour data source at startup from TM_DATA_SOURCE:
+//   csv (default)  – CSV files in TM_DATA_DIR (backend/data), reloaded on change unless TM_DATA_WATCH=false
+//   postgres       – tm_* tables in DATABASE_URL (see pgDataSource.js)
+//   mastertour     – Master Tour API (MASTERTOUR_* settings)
+// Every source implements the same contract (see tableDataSource.js).
+const path = require('path');
+
+const DATA_SOURCE_KINDS = ['csv', 'postgres', 'mastertour'];
+
+/**
+ * @param {object} [env=process.env]
+ * @returns {object} data source
+ */
+function createDataSource(env = process.env) {
+  const kind = String(env.TM_DATA_SOURCE || 'csv').trim().toLowerCase();
+  switch (kind) {
+    case 'csv': {
+      const { createCsvDataSource } = require('./csvDataSource');
+      return createCsvDataSource({
+        dataDir: env.TM_DATA_DIR || path.join(__dirname, '..', 'data'),
+        watch: env.TM_DATA_WATCH !== 'false',
+      });
+    }
+    case 'postgres': {
+      const { createPgDataSource } = require('./pgDataSource');
+      return createPgDataSource({
+        pool: require('../db/pool'),
+        ttlMs: Number(env.TM_PG_CACHE_TTL_MS || 30000),
+      });
+    }
+    case 'mastertour': {
+      const { createMasterTourClient } = require('./masterTourClient');
+      return createMasterTourClient({
+        baseUrl: env.MASTERTOUR_BASE_URL || 'https://my.eventric.com/portal/api/v5',
+        tourId: env.MASTERTOUR_TOUR_ID,
+        key: env.MASTERTOUR_KEY,
+        secret: env.MASTERTOUR_SECRET,
+        ttlMs: Number(env.MASTERTOUR_CACHE_TTL_MS || 300000),
+      });
+    }
+    default:
+      throw new Error(`Unknown TM_DATA_SOURCE "${kind}" (expected one of: ${DATA_SOURCE_KINDS.join(', ')})`);
+  }
+}
+
+module.exports = { createDataSource, DATA_SOURCE_KINDS };
@@ -0,0 +1,173 @@
+// backend/services/daySheet.js
+// Builds a per-show day sheet: call times + soundcheck schedule + travel + production notes,
+// merged into one chronological itinerary in the venue timezone.
+
+const { DEFAULT_TZ, localIsoInTz, zonedLocalToEpochMs, splitLocalTime } = require('../utils/timeUtils');
+
+// Show fields that belong on a day sheet, with their display labels.
+const CALL_TIME_FIELDS = [
+  ['checkout_time', 'Hotel checkout'],
+  ['lobby_call_time', 'Lobby call'],
+  ['airport_call_time', 'Airport call'],
+  ['departure_time', 'Departure'],
+  ['crew_call_time', 'Crew call'],
+  ['load_in_time', 'Load in'],
+  ['band_call_time', 'Band call'],
+  ['soundcheck_time', 'Soundcheck'],
+  ['doors_time', 'Doors'],
+  ['show_time', 'Show'],
+  ['curfew_time', 'Curfew'],
+  ['load_out_time', 'Load out'],
+];
+
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const squash = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Venue timezone: the show's own, else the arrival zone of a flight into the show city.
+ */
+function venueTimezone(show, flights) {
+  if (show.timezone) return show.timezone;
+  const city = squash(show.city);
+  const inbound = (flights || []).find(f => squash(f.arrival_city) === city && f.arrival_timezone);
+  return inbound ? inbound.arrival_timezone : DEFAULT_TZ;
+}
+
+// Flight times are local to their own airport; re-express them in the venue timezone.
+function toVenueLocal(localIso, fromTz, venueTz) {
+  if (!localIso) return null;
+  const at = localIsoInTz(zonedLocalToEpochMs(localIso, fromTz || venueTz), venueTz);
+  return { date: at.slice(0, 10), time: at.slice(11, 16) };
+}
+
+/**
+ * @param {object} dataSource - csvDataSource-compatible provider
+ * @param {string} showId
+ * @returns {Promise<object|null>} structured day sheet, or null when the show is unknown
+ */
+async function buildDaySheet(dataSource, showId) {
+  const show = await dataSource.getShow(showId);
+  if (!show) return null;
+
+  const [venue, soundcheck, travel, production] = await Promise.all([
+    show.venue_id ? dataSource.getVenue(show.venue_id) : null,
+    dataSource.getSoundcheckSchedule(showId),
+    dataSource.getTravelInfo(showId),
+    dataSource.getProductionNotes ? dataSource.getProductionNotes(showId) : { notes: [] },
+  ]);
+  const flights = (travel && travel.flights) || [];
+  const timezone = venueTimezone(show, flights);
+
+  const items = [];
+  const push = (when, item) => {
+    if (when) items.push({ date: when.date, time: when.time, ...item });
+  };
+
+  for (const [field, label] of CALL_TIME_FIELDS) {
+    push(splitLocalTime(show[field], show.date), { label, category: 'call', source: field });
+  }
+
+  // Soundcheck rows that repeat a call time (e.g. "Load In" at load_in_time) are folded into it.
+  for (const row of (soundcheck && soundcheck.schedule) || []) {
+    const when = splitLocalTime(row.time, show.date);
+    if (!when) continue;
+    const dupe = items.find(i => i.category === 'call' && i.date === when.date && i.time === when.time
+      && squash(row.activity).includes(squash(i.label)));
+    if (dupe) {
+      if (row.notes) dupe.details = row.notes;
+      continue;
+    }
+    push(when, { label: row.activity, category: 'schedule', source: 'soundcheck_schedule', details: row.notes || undefined });
+  }
+
+  for (const f of flights) {
+    const flight = `${f.airline || ''} ${f.flight_number || ''}`.trim();
+    push(toVenueLocal(f.departure_time, f.departure_timezone, timezone), {
+      label: `Flight ${flight} departs ${f.departure_city}`,
+      category: 'travel',
+      source: 'flight',
+      confirmation: f.confirmation || undefined,
+    });
+    push(toVenueLocal(f.arrival_time, f.arrival_timezone, timezone), {
+      label: `Flight ${flight} arrives ${f.arrival_city}`,
+      category: 'travel',
+      source: 'flight',
+    });
+  }
+
+  const ground = travel && travel.ground_transport;
+  if (ground) {
+    push(splitLocalTime(ground.pickup_time, show.date), {
+      label: `${ground.type || 'Ground transport'} pickup`,
+      category: 'travel',
+      source: 'ground_transport',
+      details: ground.pickup_location || undefined,
+    });
+  }
+
+  items.sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+
+  const notes = ((production && production.notes) || [])
+    .slice()
+    .sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 9) - (PRIORITY_ORDER[b.priority] ?? 9));
+
+  return {
+    show_id: show.show_id,
+    date: show.date,
+    timezone,
+    city: show.city,
+    venue: venue
+      ? { venue_id: venue.venue_id, name: venue.name, address: venue.address, load_in_info: venue.load_in_info, contact: venue.contact }
+      : { venue_id: show.venue_id, name: show.venue_name },
+    items,
+    hotel: (travel && travel.hotel) || null,
+    production_notes: notes,
+  };
+}
+
+/**
+ * Render a day sheet as chat text.
+ * @param {object} sheet - output of buildDaySheet()
+ * @returns {string}
+ */
+function formatDaySheet(sheet) {
+  const dateLabel = d => new Date(`${d}T00:00:00Z`).toLocaleDateString('en-AU', {
+    timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short',
+  });
+  const lines = [];
+  lines.push(`📋 Day sheet — ${sheet.city}, ${sheet.venue.name || 'TBA'}`);
+  const longDate = new Date(`${sheet.date}T00:00:00Z`).toLocaleDateString('en-AU', {
+    timeZone: 'UTC', weekday: 'long', day: 'numeric', month: 'long', year: 'numeric',
+  });
+  lines.push(`${longDate} (times in ${sheet.timezone})`);
+  lines.push('');
+
+  if (!sheet.items.length) lines.push('No times scheduled yet.');
+  for (const i of sheet.items) {
+    const when = i.date === sheet.date ? i.time : `${dateLabel(i.date)} ${i.time}`;
+    const extra = [i.details, i.confirmation && `Conf: ${i.confirmation}`].filter(Boolean).join(' · ');
+    lines.push(`${when}  ${i.label}${extra ? ` — ${extra}` : ''}`);
+  }
+
+  if (sheet.hotel) lines.push('', `🏨 ${formatHotel(sheet.hotel)}`);
+  if (sheet.venue.load_in_info) lines.push(`🚚 Load-in: ${sheet.venue.load_in_info}`);
+
+  if (sheet.production_notes.length) {
+    lines.push('', '📝 Production notes:');
+    for (const n of sheet.production_notes) lines.push(`  • [${n.priority || 'note'}] ${n.category}: ${n.note}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One line for a hotel booking: name, address, check-in/out dates and confirmation.
+ * @param {{name, address?, check_in_date?, check_out_date?, confirmation?}} h
+ * @returns {string}
+ */
+function formatHotel(h) {
+  const stay = [h.check_in_date && `in ${h.check_in_date}`, h.check_out_date && `out ${h.check_out_date}`].filter(Boolean).join(', ');
+  return `${h.name}${h.address ? `, ${h.address}` : ''}${stay ? ` (${stay})` : ''}${h.confirmation ? ` — Conf: ${h.confirmation}` : ''}`;
+}
+
+module.exports = { CALL_TIME_FIELDS, venueTimezone, buildDaySheet, formatDaySheet, formatHotel };
@@ -0,0 +1,235 @@
+// backend/services/entityExtractor.js
+// Named entities in a message, each with the character span it came from:
+//   "soundcheck at Sydney Opera House on friday, and is QF432 still ABC123?"
+//     -> venue "Sydney Opera House" (14-32), date "on friday" (33-42),
+//        flight_number "QF432" (51-56), confirmation "ABC123" (63-69)
+// Places, people and known booking codes come from a gazetteer built from the tour data
+// (loadEntityIndex). Show IDs, flight numbers and other booking codes are found by pattern.
+// Where two spans overlap the longer one wins, so the "sydney" in "sydney opera house" is part
+// of the venue and not the city.
+
+const { parseDateExpression } = require('../utils/dateExpressions');
+
+// Same length: the more specific kind wins.
+const PRIORITY = ['show_id', 'venue_id', 'flight_number', 'confirmation', 'venue', 'person', 'city', 'date'];
+
+const SHOW_ID_RX = /#605[0-9a-f]{3}\b/gi;
+const VENUE_ID_RX = /#606[0-9a-f]{3}\b/gi;
+// "QF432", "3K 681", "flight qf 432". A code typed in capitals must be a known airline; in lower
+// case it must be an airline the tour flies and follow a flight word, so "same as 2024" and
+// "aa 12" are not flights.
+const FLIGHT_RX = /\b([a-z][a-z0-9]|[0-9][a-z])\s?(\d{1,4})\b/gi;
+const FLIGHT_WORD_BEFORE_RX = /\b(?:flight|flights|flt|flying)\s+(?:(?:number|no|num)\.?\s+)?(?:is\s+)?$/i;
+// Airline codes accepted even when no flight in the tour data uses them.
+const COMMON_AIRLINES = new Set([
+  'QF', 'VA', 'JQ', 'ZL', 'NZ', 'FJ', 'SQ', 'TR', '3K', 'CX', 'EK', 'QR', 'EY', 'NH', 'JL',
+  'UA', 'AA', 'DL', 'AS', 'WN', 'B6', 'AC', 'BA', 'VS', 'LH', 'AF', 'KL',
+]);
+// A code right after a booking word: "confirmation is x7k2pq", "booking ref HTL789", "PNR: 4TGH2L"
+const CUED_CODE_RX = /\b(?:confirmation|conf|booking|reference|ref|pnr|locator)(?:\s+(?:number|no|code))?\s*(?:is\s+|#|:)?\s*([a-z0-9]{5,8})\b/gi;
+// A stand-alone six-character code typed in capitals with letters and digits: "ABC123"
+const BARE_CODE_RX = /\b(?=[A-Z0-9]*\d)(?=[A-Z0-9]*[A-Z])[A-Z0-9]{6}\b/g;
+const TIME_LIKE_RX = /^\d{1,4}(?:am|pm)$/i;
+const TOKEN_RX = /#?[a-z0-9]+/gi;
+
+function tokensOf(text) {
+  return [...String(text || '').matchAll(TOKEN_RX)].map(m => ({
+    word: m[0].toLowerCase(),
+    start: m.index,
+    end: m.index + m[0].length,
+    capitalized: /^[A-Z]/.test(m[0]),
+  }));
+}
+
+function nameKey(name) {
+  return tokensOf(name).map(t => t.word).join(' ');
+}
+
+/**
+ * Build the gazetteer the extractor matches against: show and venue IDs, venues, cities,
+ * venue contacts, tour-party members, airline codes and the booking codes in the travel data.
+ * @param {object} dataSource - tour data source (see tableDataSource.js)
+ * @param {object} [opts]
+ * @param {object[]} [opts.members] - tour-party members ({ member_id, display_name, role })
+ * @returns {Promise<object>} index for extractEntities()
+ */
+async function loadEntityIndex(dataSource, { members = [] } = {}) {
+  const [{ shows = [] }, { flights = [] }] = await Promise.all([dataSource.getShows({}), dataSource.getFlights()]);
+  const venueIds = [...new Set(shows.map(s => s.venue_id).filter(Boolean))];
+  const [venues, travel] = await Promise.all([
+    Promise.all(venueIds.map(id => dataSource.getVenue(id).catch(() => null))),
+    Promise.all(shows.map(s => dataSource.getTravelInfo(s.show_id).catch(() => null))),
+  ]);
+
+  const names = new Map();  // name key -> { type, value, capitalized? }
+  let maxTokens = 1;
+  const add = (type, name, value, extra = {}) => {
+    const key = nameKey(name);
+    if (!key || names.has(key)) return;
+    names.set(key, { type, value, ...extra });
+    maxTokens = Math.max(maxTokens, key.split(' ').length);
+  };
+
+  // A venue name on shows in more than one city keeps neither the id nor the city.
+  const byVenue = new Map();
+  for (const s of shows) {
+    const key = nameKey(s.venue_name);
+    if (!key) continue;
+    const v = byVenue.get(key) || { name: s.venue_name, venue_ids: new Set(), cities: new Set() };
+    if (s.venue_id) v.venue_ids.add(s.venue_id);
+    if (s.city) v.cities.add(s.city.toLowerCase());
+    byVenue.set(key, v);
+  }
+  for (const v of byVenue.values()) {
+    const value = {
+      name: v.name,
+      venue_id: v.venue_ids.size === 1 ? [...v.venue_ids][0] : null,
+      city: v.cities.size === 1 ? [...v.cities][0] : null,
+    };
+    add('venue', v.name, value);
+    // "the forum" is also just "forum"
+    if (/^the\s+/i.test(v.name)) add('venue', v.name.replace(/^the\s+/i, ''), value);
+  }
+
+  const cities = [
+    ...shows.map(s => s.city),
+    ...flights.flatMap(f => [f.departure_city, f.arrival_city]),
+  ].filter(Boolean);
+  cities.forEach(c => add('city', c, c.toLowerCase()));
+
+  // People: a full name anywhere, a first name on its own only when it's capitalized and unique.
+  const people = [
+    ...members.map(m => ({ name: m.display_name, role: m.role, member_id: m.member_id })),
+    ...venues.filter(v => v && v.contact && v.contact.name)
+      .map(v => ({ name: v.contact.name, role: 'venue_contact', venue_id: v.venue_id })),
+  ].filter(p => p.name);
+  const firstNames = new Map();
+  people.forEach(p => {
+    const first = nameKey(p.name).split(' ')[0];
+    firstNames.set(first, (firstNames.get(first) || 0) + 1);
+  });
+  for (const p of people) {
+    add('person', p.name, p);
+    const first = nameKey(p.name).split(' ')[0];
+    if (first.length > 2 && firstNames.get(first) === 1) add('person', first, p, { capitalized: true });
+  }
+
+  const codes = [
+    ...flights.map(f => f.confirmation),
+    ...travel.map(t => t && t.hotel && t.hotel.confirmation),
+    ...travel.flatMap(t => ((t && t.flights) || []).map(f => f.confirmation)),
+  ].filter(Boolean);
+  codes.forEach(c => add('confirmation', c, String(c).toUpperCase()));
+
+  const tourAirlines = new Set();
+  flights.forEach(f => {
+    const m = String(f.flight_number || '').match(/^([a-z0-9]{2})\s?\d/i);
+    if (m) tourAirlines.add(m[1].toUpperCase());
+  });
+
+  return {
+    names,
+    maxTokens,
+    airlines: new Set([...COMMON_AIRLINES, ...tourAirlines]),
+    tourAirlines,
+    showIds: new Map(shows.map(s => [s.show_id.toLowerCase(), s.show_id])),
+    venueIds: new Map(venueIds.map(id => [id.toLowerCase(), id])),
+  };
+}
+
+function gazetteerSpans(text, index) {
+  const tokens = tokensOf(text);
+  const spans = [];
+  for (let i = 0; i < tokens.length; i++) {
+    for (let k = Math.min(index.maxTokens, tokens.length - i); k >= 1; k--) {
+      const hit = index.names.get(tokens.slice(i, i + k).map(t => t.word).join(' '));
+      if (!hit || (hit.capitalized && !tokens[i].capitalized)) continue;
+      const start = tokens[i].start;
+      const end = tokens[i + k - 1].end;
+      spans.push({ type: hit.type, text: text.slice(start, end), start, end, value: hit.value });
+      break;
+    }
+  }
+  return spans;
+}
+
+function patternSpans(text, index) {
+  const spans = [];
+  const push = (type, start, matched, value) =>
+    spans.push({ type, text: matched, start, end: start + matched.length, value });
+
+  for (const m of text.matchAll(SHOW_ID_RX)) {
+    push('show_id', m.index, m[0], index.showIds.get(m[0].toLowerCase()) || m[0].toLowerCase());
+  }
+  for (const m of text.matchAll(VENUE_ID_RX)) {
+    push('venue_id', m.index, m[0], index.venueIds.get(m[0].toLowerCase()) || m[0].toLowerCase());
+  }
+  for (const m of text.matchAll(FLIGHT_RX)) {
+    const code = m[1].toUpperCase();
+    const typedAsCode = m[1] === code && index.airlines.has(code);
+    const cued = index.tourAirlines.has(code) && FLIGHT_WORD_BEFORE_RX.test(text.slice(0, m.index));
+    if (typedAsCode || cued) push('flight_number', m.index, m[0], `${code}${m[2]}`);
+  }
+  for (const m of text.matchAll(CUED_CODE_RX)) {
+    const code = m[1];
+    if (!/\d/.test(code) && code !== code.toUpperCase()) continue;  // "booking details"
+    if (TIME_LIKE_RX.test(code)) continue;
+    push('confirmation', m.index + m[0].lastIndexOf(code), code, code.toUpperCase());
+  }
+  for (const m of text.matchAll(BARE_CODE_RX)) {
+    if (!TIME_LIKE_RX.test(m[0])) push('confirmation', m.index, m[0], m[0]);
+  }
+  return spans;
+}
+
+function dateSpan(text, opts) {
+  const range = parseDateExpression(text, opts);
+  if (!range) return [];
+  const start = text.toLowerCase().indexOf(range.phrase);
+  if (start < 0) return [];
+  const end = start + range.phrase.length;
+  return [{ type: 'date', text: text.slice(start, end), start, end, value: range }];
+}
+
+// Longest first, then by PRIORITY; anything overlapping a kept span is dropped.
+function resolveOverlaps(spans) {
+  const ranked = [...spans].sort((a, b) =>
+    (b.end - b.start) - (a.end - a.start) || PRIORITY.indexOf(a.type) - PRIORITY.indexOf(b.type));
+  const kept = [];
+  for (const s of ranked) {
+    if (!kept.some(k => s.start < k.end && k.start < s.end)) kept.push(s);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Entities in a message. `spans` lists every one found, left to right; the named slots hold
+ * the first of each kind, so handlers can read intent.entities.city, .venue, .date and so on.
+ * A venue fills `city` with its own city when the message doesn't name one.
+ * @param {string} text
+ * @param {object|null} index - from loadEntityIndex(); without one only patterns and dates match
+ * @param {object} [opts] - passed to parseDateExpression ({ tz, now })
+ * @returns {{spans: Array<{type, text, start, end, value}>, show_id?, venue_id?, venue?, city?,
+ *   date?, flight_number?, confirmation?, person?}}
+ */
+function extractEntities(text, index, opts = {}) {
+  const message = String(text || '');
+  const idx = index || {
+    names: new Map(), maxTokens: 1, airlines: COMMON_AIRLINES, tourAirlines: new Set(), showIds: new Map(), venueIds: new Map(),
+  };
+  const spans = resolveOverlaps([
+    ...gazetteerSpans(message, idx),
+    ...patternSpans(message, idx),
+    ...dateSpan(message, opts),
+  ]);
+
+  const out = { spans };
+  for (const s of spans) {
+    if (!(s.type in out)) out[s.type] = s.value;
+  }
+  if (out.venue && out.venue.venue_id && !out.venue_id) out.venue_id = out.venue.venue_id;
+  if (out.venue && out.venue.city && !out.city) out.city = out.venue.city;
+  return out;
+}
+
+module.exports = { loadEntityIndex, extractEntities };
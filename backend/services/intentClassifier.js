@@ -0,0 +1,273 @@
+// backend/services/intentClassifier.js
+// Multinomial naive-Bayes intent classifier trained from labelled utterances. It runs locally
+// with no external service and is fast enough to retrain at startup.
+// Training data comes from TM_INTENT_SOURCE:
+//   file (default) – JSONL lines {"text", "intent"} in TM_INTENT_DATA (backend/data/intents.jsonl)
+//   postgres       – tm_intent_utterances(utterance TEXT, intent TEXT, is_active BOOLEAN) in DATABASE_URL
+// Features are normalized words and word pairs, plus a __date__ marker when the message names a
+// day ("tomorrow", "on friday"). Cities, venues and people from the tour's entity index
+// (setEntityIndex) become <city>, <venue> and <person> first, so a name seen in one intent's
+// examples ("capacity at rod laver arena") doesn't pull every question about it that way.
+// scripts/train_intents.js cross-validates a data set and reports per-intent precision and recall.
+const fs = require('fs');
+const path = require('path');
+const { normalize } = require('./normalizer');
+const { parseDateExpression } = require('../utils/dateExpressions');
+const { extractEntities } = require('./entityExtractor');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'intents.jsonl');
+// Additive smoothing for feature counts. Kept small: with word pairs the vocabulary is large, and
+// at 1 the smoothed mass of every other intent drowns a one-word message like "budget".
+const ALPHA = 0.1;
+
+// Words that carry no intent on their own: not features by themselves, only inside word pairs
+// ("what time", "my history"). A message with no other known feature gets no prediction.
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'be', 'do', 'does', 'did', 'i', 'we', 'you', 'me', 'my',
+  'our', 'us', 'it', 'this', 'that', 'of', 'for', 'to', 'in', 'on', 'at', 'and', 'or', 'with',
+  'what', 'whats', 'when', 'where', 'who', 'how', 'which', 'can', 'please', 'about', 'any', 'there',
+]);
+
+// Entity kinds replaced by a placeholder token; like stopwords, placeholders only count in pairs.
+const MASKED_ENTITIES = new Set(['city', 'venue', 'person']);
+
+// Tour entity index used for masking (see setEntityIndex); null masks nothing.
+let entityIndex = null;
+
+// "flights" -> "flight", "songs" -> "song"; leaves "press", "doors" -> "door".
+function foldPlural(t) {
+  return t.length > 3 && t.endsWith('s') && !/(ss|us|is)$/.test(t) ? t.slice(0, -1) : t;
+}
+
+function wordsOf(text) {
+  // "P & L" and "P&L" are one word
+  const joined = String(text).replace(/\b(\w)\s*&\s*(\w)\b/g, '$1&$2');
+  return normalize(joined).replace(/'/g, '').split(' ').filter(Boolean).map(foldPlural);
+}
+
+// Words of the message with each masked entity as one placeholder: "doors at <venue>".
+function tokensOf(text, index) {
+  const message = String(text || '');
+  if (!index) return wordsOf(message);
+  const tokens = [];
+  let at = 0;
+  for (const span of extractEntities(message, index).spans) {
+    if (!MASKED_ENTITIES.has(span.type)) continue;
+    tokens.push(...wordsOf(message.slice(at, span.start)), `<${span.type}>`);
+    at = span.end;
+  }
+  return [...tokens, ...wordsOf(message.slice(at))];
+}
+
+/**
+ * Feature list for a message: content words, word pairs and __date__.
+ * @param {string} text
+ * @param {object|null} [index] - entity index for masking (default: the one set with setEntityIndex)
+ * @returns {string[]}
+ */
+function featuresOf(text, index = entityIndex) {
+  const tokens = tokensOf(text, index);
+  const feats = tokens.filter(t => !STOPWORDS.has(t) && !t.startsWith('<'));
+  for (let i = 1; i < tokens.length; i++) feats.push(`${tokens[i - 1]} ${tokens[i]}`);
+  if (parseDateExpression(String(text || '').toLowerCase())) feats.push('__date__');
+  return feats;
+}
+
+/**
+ * Train a model from labelled examples. The model masks entities with the index it was trained with.
+ * @param {Array<{text: string, intent: string}>} examples
+ * @param {object} [opts]
+ * @param {object|null} [opts.entityIndex] - default: the one set with setEntityIndex
+ * @returns {{intents: string[], size: number, classify: (text: string) => Array<{intent: string, probability: number}>}}
+ */
+function trainIntentClassifier(examples, { entityIndex: index = entityIndex } = {}) {
+  const docs = new Map();      // intent -> number of examples
+  const counts = new Map();    // intent -> Map(feature -> count)
+  const totals = new Map();    // intent -> total feature count
+  const vocab = new Set();
+
+  for (const { text, intent } of examples) {
+    if (!intent || !normalize(text)) continue;
+    if (!docs.has(intent)) { docs.set(intent, 0); counts.set(intent, new Map()); totals.set(intent, 0); }
+    docs.set(intent, docs.get(intent) + 1);
+    const c = counts.get(intent);
+    for (const f of featuresOf(text, index)) {
+      c.set(f, (c.get(f) || 0) + 1);
+      totals.set(intent, totals.get(intent) + 1);
+      vocab.add(f);
+    }
+  }
+
+  const intents = [...docs.keys()];
+  const size = [...docs.values()].reduce((a, b) => a + b, 0);
+  const logPrior = new Map(intents.map(i => [i, Math.log(docs.get(i) / size)]));
+
+  /**
+   * Intents ranked by posterior probability (summing to 1), or [] when the message has no
+   * content word the model has seen.
+   */
+  function classify(text) {
+    const feats = featuresOf(text, index).filter(f => vocab.has(f));
+    if (!feats.length) return [];
+
+    const scores = intents.map(intent => {
+      const c = counts.get(intent);
+      const denom = Math.log(totals.get(intent) + ALPHA * vocab.size);
+      let s = logPrior.get(intent);
+      for (const f of feats) s += Math.log((c.get(f) || 0) + ALPHA) - denom;
+      return { intent, s };
+    });
+    const max = Math.max(...scores.map(x => x.s));
+    const sum = scores.reduce((a, x) => a + Math.exp(x.s - max), 0);
+    return scores
+      .map(({ intent, s }) => ({ intent, probability: Math.exp(s - max) / sum }))
+      .sort((a, b) => b.probability - a.probability);
+  }
+
+  return { intents, size, classify };
+}
+
+function readExamplesFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line, i) => {
+      if (!line.trim()) return null;
+      try {
+        const { text, intent } = JSON.parse(line);
+        return { text, intent };
+      } catch (err) {
+        throw new Error(`${file}:${i + 1}: ${err.message}`);
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Labelled utterances from the configured source.
+ * @param {object} [opts]
+ * @param {string} [opts.source] - 'file' or 'postgres' (default TM_INTENT_SOURCE, else 'file')
+ * @param {string} [opts.file] - JSONL path (default TM_INTENT_DATA, else backend/data/intents.jsonl)
+ * @returns {Promise<Array<{text: string, intent: string}>>}
+ */
+async function loadExamples({ source = process.env.TM_INTENT_SOURCE, file = process.env.TM_INTENT_DATA } = {}) {
+  const kind = String(source || 'file').trim().toLowerCase();
+  switch (kind) {
+    case 'file':
+      return readExamplesFile(file || DEFAULT_DATA_FILE);
+    case 'postgres': {
+      const pool = require('../db/pool');
+      const { rows } = await pool.query(
+        `SELECT utterance AS text, intent FROM tm_intent_utterances WHERE is_active IS NOT FALSE`
+      );
+      return rows;
+    }
+    default:
+      throw new Error(`Unknown TM_INTENT_SOURCE "${kind}" (expected file or postgres)`);
+  }
+}
+
+let model = null;
+let loading = null;
+
+/**
+ * (Re)train the shared model from the configured source. Call on boot or after editing the data.
+ * @returns {Promise<{examples: number, intents: number}>}
+ */
+async function loadIntentModel(opts) {
+  loading = loadExamples(opts).then(examples => {
+    model = trainIntentClassifier(examples);
+    return { examples: model.size, intents: model.intents.length };
+  });
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+}
+
+/**
+ * Mask the tour's cities, venues and people (entityExtractor.loadEntityIndex) from now on. The
+ * shared model retrains on next use so its examples are masked the same way.
+ * @param {object|null} index
+ */
+function setEntityIndex(index) {
+  entityIndex = index || null;
+  model = null;
+}
+
+/**
+ * Rank intents for a message with the shared model, training it on first use.
+ * @param {string} text
+ * @returns {Promise<Array<{intent: string, probability: number}>>}
+ */
+async function classifyIntent(text) {
+  if (!model) await (loading || loadIntentModel());
+  return model.classify(text);
+}
+
+/**
+ * k-fold cross-validation: every example is classified by a model trained without it.
+ * @param {Array<{text, intent}>} examples
+ * @param {object} [opts]
+ * @param {number} [opts.folds=5]
+ * @param {number} [opts.minProbability=0] - below this the prediction counts as "none"
+ * @returns {{accuracy: number, perIntent: object, mistakes: Array<{text, intent, predicted, probability}>}}
+ */
+function crossValidate(examples, { folds = 5, minProbability = 0 } = {}) {
+  const predictions = [];
+  for (let k = 0; k < folds; k++) {
+    const train = examples.filter((_, i) => i % folds !== k);
+    const test = examples.filter((_, i) => i % folds === k);
+    const m = trainIntentClassifier(train);
+    for (const ex of test) predictions.push(predict(m, ex, minProbability));
+  }
+  return score(predictions);
+}
+
+/**
+ * Score a trained model against held-out examples.
+ * @param {object} m - from trainIntentClassifier
+ * @param {Array<{text, intent}>} examples
+ * @param {object} [opts]
+ * @param {number} [opts.minProbability=0]
+ */
+function evaluate(m, examples, { minProbability = 0 } = {}) {
+  return score(examples.map(ex => predict(m, ex, minProbability)));
+}
+
+function predict(m, ex, minProbability) {
+  const [top] = m.classify(ex.text);
+  const predicted = top && top.probability >= minProbability ? top.intent : null;
+  return { text: ex.text, intent: ex.intent, predicted, probability: top ? top.probability : 0 };
+}
+
+function score(predictions) {
+  const perIntent = {};
+  const row = i => (perIntent[i] = perIntent[i] || { tp: 0, fp: 0, fn: 0 });
+  for (const p of predictions) {
+    if (p.predicted === p.intent) { row(p.intent).tp++; continue; }
+    row(p.intent).fn++;
+    if (p.predicted) row(p.predicted).fp++;
+  }
+  for (const r of Object.values(perIntent)) {
+    r.precision = r.tp + r.fp ? r.tp / (r.tp + r.fp) : 0;
+    r.recall = r.tp + r.fn ? r.tp / (r.tp + r.fn) : 0;
+  }
+  const right = predictions.filter(p => p.predicted === p.intent).length;
+  return {
+    accuracy: predictions.length ? right / predictions.length : 0,
+    perIntent,
+    mistakes: predictions.filter(p => p.predicted !== p.intent),
+  };
+}
+
+module.exports = {
+  featuresOf,
+  trainIntentClassifier,
+  loadExamples,
+  loadIntentModel,
+  setEntityIndex,
+  classifyIntent,
+  crossValidate,
+  evaluate,
+};
@@ -0,0 +1,154 @@
+// backend/services/itineraryCheck.js
+// Cross-checks shows, travel and hotels for conflicts a tour manager would want to catch early:
+//   - flight_after_load_in   a flight into the show city lands after load in on show day
+//   - hotel_gap              the show's hotel booking doesn't cover the show night
+//   - curfew                 the last set (set_times) ends after curfew
+//   - soundcheck_window      soundcheck outside load in → doors
+//   - missing_travel         consecutive shows in different cities with no flight between them
+//   - unreadable             the show's data couldn't be checked (run scripts/check_data.js)
+// Used by the itinerary_check chat intent and GET /api/itinerary/check.
+
+const { venueTimezone } = require('./daySheet');
+const { zonedLocalToEpochMs, localIsoInTz, splitLocalTime, parseSetTimes } = require('../utils/timeUtils');
+
+const SEVERITY = { flight_after_load_in: 'error', hotel_gap: 'error', curfew: 'error', soundcheck_window: 'warning', missing_travel: 'warning', unreadable: 'error' };
+const SOUNDCHECK_RX = /sound\s*-?\s*check|line\s*check/i;
+
+const squash = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const toMinutes = (hhmm) => {
+  const m = String(hhmm || '').match(/(\d{1,2}):(\d{2})$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+// Minutes after the start of show day, treating times before the anchor (doors/show) as after midnight.
+function dayMinutes(hhmm, anchor) {
+  const m = toMinutes(hhmm);
+  if (m == null) return null;
+  return anchor != null && m < anchor - 6 * 60 ? m + 24 * 60 : m;
+}
+
+function issue(kind, show, message, extra = {}) {
+  return { kind, severity: SEVERITY[kind], show_id: show.show_id, date: show.date, city: show.city, message, ...extra };
+}
+
+function checkFlights(show, flights, tz) {
+  const loadIn = splitLocalTime(show.load_in_time, show.date);
+  if (!loadIn) return [];
+  const loadInMs = zonedLocalToEpochMs(`${loadIn.date}T${loadIn.time}`, tz);
+  const out = [];
+  for (const f of flights) {
+    if (!f.arrival_time || squash(f.arrival_city) !== squash(show.city)) continue;
+    const arrMs = zonedLocalToEpochMs(f.arrival_time, f.arrival_timezone || tz);
+    const arrLocal = localIsoInTz(arrMs, tz);
+    if (arrLocal.slice(0, 10) !== show.date || arrMs <= loadInMs) continue;
+    out.push(issue('flight_after_load_in', show,
+      `${f.airline || ''} ${f.flight_number || ''} lands ${arrLocal.slice(11, 16)}, after load in at ${loadIn.time}`.replace(/\s+/g, ' ').trim(),
+      { flight_number: f.flight_number }));
+  }
+  return out;
+}
+
+function checkHotel(show, hotel) {
+  if (!hotel || !hotel.check_in_date || !hotel.check_out_date) return [];
+  if (hotel.check_in_date <= show.date && hotel.check_out_date > show.date) return [];
+  return [issue('hotel_gap', show,
+    `${hotel.name} is booked ${hotel.check_in_date} → ${hotel.check_out_date}, which doesn't cover the night of ${show.date}`)];
+}
+
+function checkCurfew(show) {
+  const sets = parseSetTimes(show.set_times);
+  if (!sets.length || !show.curfew_time) return [];
+  const anchor = toMinutes(show.doors_time) ?? toMinutes(show.show_time) ?? toMinutes(sets[0].start);
+  const last = sets.reduce((a, b) => (dayMinutes(b.end, anchor) > dayMinutes(a.end, anchor) ? b : a));
+  const curfew = splitLocalTime(show.curfew_time, show.date);
+  if (!curfew || dayMinutes(last.end, anchor) <= dayMinutes(curfew.time, anchor)) return [];
+  return [issue('curfew', show, `Set ends ${last.end}, after the ${curfew.time} curfew`)];
+}
+
+function checkSoundcheck(show, schedule) {
+  const start = toMinutes(show.load_in_time);
+  const end = toMinutes(show.doors_time);
+  if (start == null || end == null) return [];
+  const rows = schedule.filter((r) => SOUNDCHECK_RX.test(r.activity || ''));
+  if (show.soundcheck_time) rows.push({ time: show.soundcheck_time, activity: 'Soundcheck (show call time)' });
+  const out = [];
+  for (const r of rows) {
+    const t = toMinutes(r.time);
+    if (t == null || (t >= start && t < end)) continue;
+    out.push(issue('soundcheck_window', show,
+      `${r.activity} at ${String(r.time).slice(-5)} is outside load in (${show.load_in_time}) → doors (${show.doors_time})`));
+  }
+  return out;
+}
+
+function checkTravelBetween(prev, next, flights) {
+  if (!prev || squash(prev.city) === squash(next.city)) return [];
+  const booked = flights.some((f) => squash(f.departure_city) === squash(prev.city)
+    && squash(f.arrival_city) === squash(next.city)
+    && String(f.departure_time).slice(0, 10) >= prev.date
+    && String(f.departure_time).slice(0, 10) <= next.date);
+  if (booked) return [];
+  return [issue('missing_travel', next,
+    `No flight booked from ${prev.city} to ${next.city} between ${prev.date} and ${next.date}`, { from_show_id: prev.show_id })];
+}
+
+/**
+ * @param {object} dataSource - data source contract (see tableDataSource)
+ * @param {object} [opts]
+ * @param {string} [opts.showId] - only check this show (and travel into it)
+ * @param {string} [opts.date_from] - YYYY-MM-DD
+ * @param {string} [opts.date_to] - YYYY-MM-DD
+ * @returns {Promise<{checked_at: string, shows_checked: number, errors: number, warnings: number, issues: Array<object>}>}
+ */
+async function checkItinerary(dataSource, opts = {}) {
+  const [{ shows: all = [] }, { flights = [] }] = await Promise.all([dataSource.getShows({}), dataSource.getFlights()]);
+  const inScope = (s) => (!opts.showId || s.show_id === opts.showId)
+    && (!opts.date_from || s.date >= opts.date_from)
+    && (!opts.date_to || s.date <= opts.date_to);
+
+  const issues = [];
+  let checked = 0;
+  for (let i = 0; i < all.length; i++) {
+    const show = all[i];
+    if (!inScope(show)) continue;
+    checked++;
+    const [travel, sound] = await Promise.all([
+      dataSource.getTravelInfo(show.show_id),
+      dataSource.getSoundcheckSchedule(show.show_id),
+    ]);
+    try {
+      const tz = venueTimezone(show, flights);
+      issues.push(
+        ...checkFlights(show, flights, tz),
+        ...checkHotel(show, travel && travel.hotel),
+        ...checkCurfew(show),
+        ...checkSoundcheck(show, (sound && sound.schedule) || []),
+        ...checkTravelBetween(all[i - 1], show, flights),
+      );
+    } catch (e) {
+      // One malformed row (e.g. a bad timezone) shouldn't hide the rest of the report.
+      issues.push(issue('unreadable', show, `Couldn't check this show: ${e.message}`));
+    }
+  }
+
+  const errors = issues.filter((x) => x.severity === 'error').length;
+  return { checked_at: new Date().toISOString(), shows_checked: checked, errors, warnings: issues.length - errors, issues };
+}
+
+/**
+ * Chat text for a checkItinerary() report.
+ * @param {object} report
+ * @returns {string}
+ */
+function formatItineraryCheck(report) {
+  const n = report.shows_checked;
+  const scope = `${n} show${n === 1 ? '' : 's'}`;
+  if (!report.issues.length) return `✅ No conflicts found across ${scope}.`;
+  const lines = [`Itinerary check: ${report.errors} problem${report.errors === 1 ? '' : 's'}, ${report.warnings} warning${report.warnings === 1 ? '' : 's'} across ${scope}`, ''];
+  for (const x of report.issues) {
+    lines.push(`${x.severity === 'error' ? '❌' : '⚠️'} ${x.city} ${x.date} — ${x.message}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { checkItinerary, formatItineraryCheck };
@@ -0,0 +1,343 @@
+// backend/services/masterTourClient.js
+// Master Tour-backed data provider with the same contract as csvDataSource.
+// Talks to the Master Tour public API (v5, OAuth 1.0a signed with the account key/secret),
+// mapping its tour → day → event model onto our show objects:
+//   - one show per event on a day; show_id is the Master Tour event id
+//   - call times (doors, load in, curfew, …) come from the day's schedule items
+//   - travel, hotels and notes hang off the day
+// Responses are cached in memory (ttlMs) and list endpoints are paged until exhausted.
+
+const crypto = require('crypto');
+const { UnsupportedError } = require('./tableDataSource');
+
+// Schedule item title → show field. First match wins, so keep the specific ones first.
+const SCHEDULE_FIELD_PATTERNS = [
+  { field: 'airport_call_time', rx: /airport\s*call/i },
+  { field: 'lobby_call_time',   rx: /lobby\s*call/i },
+  { field: 'band_call_time',    rx: /band\s*call/i },
+  { field: 'crew_call_time',    rx: /crew\s*call/i },
+  { field: 'checkout_time',     rx: /check\s*-?\s*out/i },
+  { field: 'departure_time',    rx: /bus\s*call|depart/i },
+  { field: 'load_in_time',      rx: /load\s*-?\s*in/i },
+  { field: 'load_out_time',     rx: /load\s*-?\s*out/i },
+  { field: 'soundcheck_time',   rx: /sound\s*-?\s*check/i },
+  { field: 'doors_time',        rx: /doors/i },
+  { field: 'curfew_time',       rx: /curfew/i },
+  { field: 'show_time',         rx: /show\s*time|on\s*stage|headline|\bset\b|\bshow\b/i },
+];
+
+// "2025-08-20 19:00:00" / "2025-08-20T19:00" → "19:00"
+function hhmm(datetime) {
+  const m = String(datetime || '').match(/[T\s](\d{2}):(\d{2})/);
+  return m ? `${m[1]}:${m[2]}` : '';
+}
+
+function localIso(datetime) {
+  const m = String(datetime || '').match(/^(\d{4}-\d{2}-\d{2})[T\s](\d{2}:\d{2}(?::\d{2})?)/);
+  return m ? `${m[1]}T${m[2].length === 5 ? `${m[2]}:00` : m[2]}` : null;
+}
+
+const pct = (s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * OAuth 1.0a (two-legged) Authorization header for a request.
+ */
+function oauthHeader(method, url, key, secret) {
+  const u = new URL(url);
+  const oauth = {
+    oauth_consumer_key: key,
+    oauth_nonce: crypto.randomBytes(12).toString('hex'),
+    oauth_signature_method: 'HMAC-SHA1',
+    oauth_timestamp: String(Math.floor(Date.now() / 1000)),
+    oauth_version: '1.0',
+  };
+  const params = [...u.searchParams.entries(), ...Object.entries(oauth)]
+    .map(([k, v]) => [pct(k), pct(v)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : a < b ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  const base = [method.toUpperCase(), pct(`${u.origin}${u.pathname}`), pct(params)].join('&');
+  oauth.oauth_signature = crypto.createHmac('sha1', `${pct(secret)}&`).update(base).digest('base64');
+  return 'OAuth ' + Object.entries(oauth).map(([k, v]) => `${pct(k)}="${pct(v)}"`).join(', ');
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.baseUrl - e.g. https://my.eventric.com/portal/api/v5
+ * @param {string} opts.tourId
+ * @param {string} [opts.key] - Master Tour API key
+ * @param {string} [opts.secret] - Master Tour API secret
+ * @param {number} [opts.ttlMs=300000] - cache lifetime per request
+ * @param {number} [opts.pageSize=100]
+ * @param {Function} [opts.fetchImpl=fetch]
+ * @returns {{ getShows, getShow, getVenue, getSetlist, getTravelInfo, getFlights, getSoundcheckSchedule, getProductionNotes, getMerchSales, getShowFinancials, getTourFinancials, getFlightsByDestination, clearCache }}
+ */
+function createMasterTourClient({ baseUrl, tourId, key, secret, ttlMs = 300000, pageSize = 100, fetchImpl = fetch }) {
+  if (!baseUrl || !tourId) throw new Error('Master Tour client needs baseUrl and tourId');
+  const root = baseUrl.replace(/\/+$/, '');
+  const cache = new Map(); // url -> { at, promise }
+
+  async function request(path, query = {}) {
+    const url = new URL(`${root}${path}`);
+    for (const [k, v] of Object.entries(query)) if (v != null) url.searchParams.set(k, String(v));
+    const href = url.toString();
+
+    const hit = cache.get(href);
+    if (hit && Date.now() - hit.at < ttlMs) return hit.promise;
+
+    const headers = { Accept: 'application/json' };
+    if (key && secret) headers.Authorization = oauthHeader('GET', href, key, secret);
+    const promise = (async () => {
+      const res = await fetchImpl(href, { headers });
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`Master Tour ${path} failed: HTTP ${res.status}`);
+      const body = await res.json();
+      if (body && body.success === false) throw new Error(`Master Tour ${path} failed: ${body.message || 'unknown error'}`);
+      return body && Object.prototype.hasOwnProperty.call(body, 'data') ? body.data : body;
+    })();
+    cache.set(href, { at: Date.now(), promise });
+    promise.catch(() => cache.delete(href)); // don't cache failures
+    return promise;
+  }
+
+  // Page through a list endpoint: { <listKey>: [...], paging: { page, totalPages } }.
+  async function requestAll(path, listKey) {
+    const out = [];
+    for (let page = 1; ; page++) {
+      const data = await request(path, { page, pageSize });
+      if (!data) break;
+      const items = Array.isArray(data) ? data : data[listKey] || [];
+      out.push(...items);
+      const paging = !Array.isArray(data) && data.paging;
+      const more = paging ? page < Number(paging.totalPages || 1) : items.length === pageSize;
+      if (!more || !items.length) break;
+    }
+    return out;
+  }
+
+  function scheduleTimes(items) {
+    const times = {};
+    for (const item of items || []) {
+      const p = SCHEDULE_FIELD_PATTERNS.find((x) => x.rx.test(item.title || ''));
+      if (p && !times[p.field]) times[p.field] = hhmm(item.startDatetime);
+    }
+    return times;
+  }
+
+  function toFlight(f) {
+    return {
+      airline: f.airline,
+      flight_number: f.flightNumber,
+      departure_city: f.departureCity,
+      arrival_city: f.arrivalCity,
+      departure_time: localIso(f.departureDatetime),
+      arrival_time: localIso(f.arrivalDatetime),
+      departure_timezone: f.departureTimeZone || null,
+      arrival_timezone: f.arrivalTimeZone || null,
+      confirmation: f.confirmationNumber || null,
+    };
+  }
+
+  function toShow(day, event) {
+    const venue = event.venue || {};
+    return {
+      show_id: String(event.id),
+      day_id: String(day.id),
+      date: day.dayDate,
+      venue_id: venue.id != null ? String(venue.id) : undefined,
+      venue_name: venue.name || event.title,
+      city: day.city || venue.city,
+      state: day.state || venue.state,
+      country: day.country || venue.country,
+      timezone: day.timeZone || venue.timeZone,
+      ...scheduleTimes(day.scheduleItems),
+      set_length: event.setLength || undefined,
+      set_times: event.setTimes || undefined,
+      ticket_status: event.ticketStatus || undefined,
+    };
+  }
+
+  async function loadDays() {
+    return requestAll(`/tour/${encodeURIComponent(tourId)}/days`, 'days');
+  }
+
+  async function loadFlights() {
+    const days = await loadDays();
+    const list = [];
+    for (const d of days) {
+      const travel = await request(`/day/${encodeURIComponent(d.id)}/travel`);
+      for (const f of (travel && travel.flights) || []) list.push({ show_id: null, date: d.dayDate, ...toFlight(f) });
+    }
+    return list;
+  }
+
+  async function loadShows() {
+    const days = await loadDays();
+    const shows = [];
+    for (const d of days) {
+      const detail = (await request(`/day/${encodeURIComponent(d.id)}`)) || d;
+      const events = await requestAll(`/day/${encodeURIComponent(d.id)}/events`, 'events');
+      for (const e of events) shows.push(toShow({ ...d, ...detail }, e));
+    }
+    shows.sort((a, b) => String(a.date).localeCompare(String(b.date)) || String(a.show_time || '').localeCompare(String(b.show_time || '')));
+    return shows;
+  }
+
+  async function findShow(showId) {
+    const shows = await loadShows();
+    return shows.find((s) => s.show_id === String(showId)) || null;
+  }
+
+  // key is a show_id or a YYYY-MM-DD date; resolve to the Master Tour day id.
+  async function dayIdFor(key) {
+    const show = await findShow(key);
+    if (show) return show.day_id;
+    const days = await loadDays();
+    const day = days.find((d) => d.dayDate === key);
+    return day ? String(day.id) : null;
+  }
+
+  return {
+    async getShows(filters = {}) {
+      let list = await loadShows();
+      if (filters.city) {
+        const needle = String(filters.city).trim().toLowerCase();
+        list = list.filter((s) => (s.city || '').trim().toLowerCase() === needle);
+      }
+      const todayYmd = new Date().toISOString().slice(0, 10);
+      if (filters.upcoming) list = list.filter((s) => String(s.date) >= todayYmd);
+      if (filters.past) list = list.filter((s) => String(s.date) < todayYmd);
+      if (filters.date_from) list = list.filter((s) => String(s.date) >= String(filters.date_from));
+      if (filters.date_to) list = list.filter((s) => String(s.date) <= String(filters.date_to));
+      return { shows: list };
+    },
+
+    async getShow(showId) {
+      return findShow(showId);
+    },
+
+    async getVenue(venueId) {
+      const v = await request(`/venue/${encodeURIComponent(venueId)}`);
+      if (!v) return null;
+      const a = v.address || {};
+      const contact = (v.contacts || [])[0] || {};
+      return {
+        venue_id: String(v.id),
+        name: v.name,
+        address: {
+          street: [a.line1, a.line2].filter(Boolean).join(' '),
+          city: a.city,
+          state: a.state,
+          zip: a.zip,
+          country: a.country,
+        },
+        capacity: v.capacity != null && v.capacity !== '' ? Number(v.capacity) : undefined,
+        phone: v.phone,
+        website: v.website,
+        parking_info: v.parkingInfo,
+        load_in_info: v.loadInInfo,
+        contact: { name: contact.name, email: contact.email, phone: contact.phone },
+      };
+    },
+
+    async getSetlist(showId) {
+      const rows = await requestAll(`/event/${encodeURIComponent(showId)}/setlist`, 'songs');
+      if (!rows.length) return { show_id: showId, songs: [] };
+      const setsMap = new Map();
+      const ordered = [...rows].sort((a, b) => Number(a.setIndex || 1) - Number(b.setIndex || 1) || Number(a.songIndex || 0) - Number(b.songIndex || 0));
+      for (const r of ordered) {
+        const idx = Number(r.setIndex || 1);
+        if (!setsMap.has(idx)) setsMap.set(idx, { name: r.setName || `Set ${idx}`, songs: [] });
+        setsMap.get(idx).songs.push({ title: r.title, duration: r.duration || undefined, notes: r.notes || undefined });
+      }
+      const sets = [...setsMap.keys()].sort((a, b) => a - b).map((k) => setsMap.get(k));
+      return { show_id: showId, sets, songs: sets.flatMap((s) => s.songs) };
+    },
+
+    async getTravelInfo(key) {
+      const dayId = await dayIdFor(key);
+      if (!dayId) return { flights: [] };
+      const [travel, hotels] = await Promise.all([
+        request(`/day/${encodeURIComponent(dayId)}/travel`),
+        requestAll(`/day/${encodeURIComponent(dayId)}/hotels`, 'hotels'),
+      ]);
+      const flights = ((travel && travel.flights) || []).map(toFlight);
+      const h = hotels[0];
+      const g = ((travel && travel.ground) || [])[0];
+      const isShow = !!(await findShow(key));
+      return {
+        show_id: isShow ? key : undefined,
+        date: isShow ? undefined : key,
+        flights,
+        hotel: h
+          ? {
+              name: h.name,
+              address: h.address,
+              check_in_date: h.checkInDate || null,
+              check_out_date: h.checkOutDate || null,
+              confirmation: h.confirmationNumber || null,
+            }
+          : undefined,
+        ground_transport: g
+          ? { type: g.type, pickup_time: hhmm(g.pickupDatetime) || null, pickup_location: g.pickupLocation || null }
+          : undefined,
+      };
+    },
+
+    async getFlights() {
+      const list = await loadFlights();
+      return { flights: list.filter((f) => f.departure_time).sort((a, b) => a.departure_time.localeCompare(b.departure_time)) };
+    },
+
+    async getFlightsByDestination(city) {
+      const cityLower = String(city || '').toLowerCase().trim();
+      const list = await loadFlights();
+      return { flights: list.filter((f) => String(f.arrival_city || '').toLowerCase().includes(cityLower)) };
+    },
+
+    async getSoundcheckSchedule(showId) {
+      const show = await findShow(showId);
+      if (!show) return { show_id: showId, timezone: undefined, schedule: [] };
+      const day = (await request(`/day/${encodeURIComponent(show.day_id)}`)) || {};
+      const schedule = (day.scheduleItems || [])
+        .map((i) => ({ time: hhmm(i.startDatetime), activity: i.title, notes: i.details || null }))
+        .filter((i) => i.time)
+        .sort((a, b) => a.time.localeCompare(b.time));
+      return { show_id: showId, timezone: show.timezone, schedule };
+    },
+
+    async getProductionNotes(showId) {
+      const show = await findShow(showId);
+      const notes = show ? await requestAll(`/day/${encodeURIComponent(show.day_id)}/notes`, 'notes') : [];
+      return {
+        show_id: showId,
+        notes: notes.map((n) => ({
+          category: n.category,
+          note: n.note || n.body,
+          priority: n.priority,
+          created_by: n.createdBy,
+        })),
+      };
+    },
+
+    // Master Tour doesn't carry merch settlement; keep the contract with an empty result.
+    async getMerchSales(showId) {
+      return { show_id: showId, items: [], total_gross: 0 };
+    },
+
+    // Budgets, expenses and per diems aren't in Master Tour; say so rather than report an empty P&L.
+    async getShowFinancials() {
+      throw new UnsupportedError('Master Tour', 'getShowFinancials');
+    },
+
+    async getTourFinancials() {
+      throw new UnsupportedError('Master Tour', 'getTourFinancials');
+    },
+
+    clearCache() {
+      cache.clear();
+    },
+  };
+}
+
+module.exports = { createMasterTourClient };
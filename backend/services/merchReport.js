@@ -0,0 +1,105 @@
+// backend/services/merchReport.js
+// Merch settlement figures built on dataSource.getMerchSales(): per-show gross and units,
+// per-cap against venue capacity, best sellers and tour-to-date totals.
+
+const { DEFAULT_TZ, ymdInTz } = require('../utils/timeUtils');
+
+const round2 = n => Math.round(n * 100) / 100;
+const num = v => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * @param {object} dataSource - csvDataSource-compatible provider
+ * @param {object} [opts]
+ * @param {string} [opts.showId] - limit the report to one show
+ * @param {string} [opts.asOf] - YYYY-MM-DD cut-off for tour-to-date (default: today)
+ * @returns {Promise<object>}
+ */
+async function buildMerchReport(dataSource, opts = {}) {
+  const { shows = [] } = await dataSource.getShows({});
+  const asOf = opts.asOf || ymdInTz(new Date(), DEFAULT_TZ);
+  const selected = opts.showId ? shows.filter(s => s.show_id === opts.showId) : shows;
+
+  const perShow = [];
+  for (const show of selected) {
+    const { items = [] } = await dataSource.getMerchSales(show.show_id);
+    if (!items.length) continue;
+    const venue = show.venue_id ? await dataSource.getVenue(show.venue_id) : null;
+    const capacity = venue && Number.isFinite(venue.capacity) ? venue.capacity : null;
+
+    const lines = items.map(i => ({
+      item: i.item,
+      units: num(i.quantity_sold),
+      price: num(i.price),
+      gross: round2(num(i.gross_sales)),
+    }));
+    const gross = round2(lines.reduce((sum, l) => sum + l.gross, 0));
+    const units = lines.reduce((sum, l) => sum + l.units, 0);
+    perShow.push({
+      show_id: show.show_id,
+      date: show.date,
+      city: show.city,
+      venue_name: show.venue_name,
+      capacity,
+      gross,
+      units,
+      per_cap: capacity ? round2(gross / capacity) : null,
+      items: lines.sort((a, b) => b.gross - a.gross),
+    });
+  }
+
+  const byItem = new Map();
+  for (const s of perShow) {
+    for (const l of s.items) {
+      const agg = byItem.get(l.item) || { item: l.item, units: 0, gross: 0 };
+      agg.units += l.units;
+      agg.gross = round2(agg.gross + l.gross);
+      byItem.set(l.item, agg);
+    }
+  }
+  const bestSellers = [...byItem.values()].sort((a, b) => b.units - a.units || b.gross - a.gross);
+
+  const toDate = perShow.filter(s => String(s.date) <= asOf);
+  const withCap = toDate.filter(s => s.capacity);
+  const capGross = withCap.reduce((sum, s) => sum + s.gross, 0);
+  const capTotal = withCap.reduce((sum, s) => sum + s.capacity, 0);
+
+  return {
+    as_of: asOf,
+    shows: perShow,
+    best_sellers: bestSellers,
+    tour_to_date: {
+      shows: toDate.length,
+      gross: round2(toDate.reduce((sum, s) => sum + s.gross, 0)),
+      units: toDate.reduce((sum, s) => sum + s.units, 0),
+      per_cap: capTotal ? round2(capGross / capTotal) : null,
+    },
+  };
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Settlement CSV: one row per show/item plus a TOTAL row per show carrying capacity and per-cap.
+ * @param {object} report - output of buildMerchReport()
+ * @returns {string}
+ */
+function merchReportToCsv(report) {
+  const header = ['show_id', 'date', 'city', 'venue_name', 'item', 'units', 'price', 'gross', 'capacity', 'per_cap'];
+  const rows = [header];
+  for (const s of report.shows) {
+    for (const l of s.items) {
+      rows.push([s.show_id, s.date, s.city, s.venue_name, l.item, l.units, l.price.toFixed(2), l.gross.toFixed(2), '', '']);
+    }
+    rows.push([s.show_id, s.date, s.city, s.venue_name, 'TOTAL', s.units, '', s.gross.toFixed(2),
+      s.capacity ?? '', s.per_cap != null ? s.per_cap.toFixed(2) : '']);
+  }
+  return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = { buildMerchReport, merchReportToCsv };
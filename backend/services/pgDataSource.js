@@ -0,0 +1,134 @@
+// backend/services/pgDataSource.js
+// Postgres-backed data provider: the same tables as the CSVs, kept in tm_* tables so the crew
+// can edit tour data in the database instead of redeploying CSV files.
+// Tables are read in one go and cached for ttlMs; edits show up once the cache expires
+// (or immediately after invalidate()). SCHEMA_SQL creates the tables; scripts/import_csv_to_pg.js
+// seeds them from a CSV data directory.
+
+const { createTableDataSource, CONTRACT_METHODS } = require('./tableDataSource');
+
+// Contract table → Postgres table and columns (column names match the CSV headers).
+const PG_TABLES = {
+  shows: {
+    table: 'tm_shows',
+    columns: ['show_id', 'date', 'venue_id', 'venue_name', 'city', 'state', 'country', 'timezone',
+      'doors_time', 'show_time', 'soundcheck_time', 'load_in_time', 'load_out_time', 'curfew_time',
+      'lobby_call_time', 'departure_time', 'airport_call_time', 'band_call_time', 'checkout_time',
+      'crew_call_time', 'set_length', 'set_times', 'ticket_status'],
+  },
+  venues: {
+    table: 'tm_venues',
+    columns: ['venue_id', 'name', 'address_street', 'address_city', 'address_state', 'address_zip',
+      'address_country', 'capacity', 'phone', 'website', 'parking_info', 'load_in_info',
+      'contact_name', 'contact_email', 'contact_phone'],
+  },
+  setlists: { table: 'tm_setlist_songs', columns: ['show_id', 'set_index', 'song_index', 'song_title', 'duration', 'notes'] },
+  flights: {
+    table: 'tm_travel_flights',
+    columns: ['show_id', 'date', 'airline', 'flight_number', 'departure_city', 'arrival_city', 'departure_time',
+      'arrival_time', 'departure_timezone', 'arrival_timezone', 'confirmation'],
+  },
+  hotels: { table: 'tm_travel_hotels', columns: ['show_id', 'date', 'name', 'address', 'check_in_date', 'check_out_date', 'confirmation'] },
+  ground: { table: 'tm_ground_transport', columns: ['show_id', 'date', 'type', 'pickup_time', 'pickup_location'] },
+  soundcheck: { table: 'tm_soundcheck_schedule', columns: ['show_id', 'time', 'activity', 'notes'] },
+  prodNotes: { table: 'tm_production_notes', columns: ['show_id', 'category', 'note', 'priority', 'created_by'] },
+  merchSales: { table: 'tm_merch_sales', columns: ['show_id', 'item', 'quantity_sold', 'price', 'gross_sales'] },
+  budgets: {
+    table: 'tm_show_budgets',
+    columns: ['show_id', 'currency', 'guarantee', 'deposit', 'deposit_status', 'deposit_due_date',
+      'per_diem_rate', 'per_diem_headcount', 'per_diem_days', 'expense_budget'],
+  },
+  expenses: { table: 'tm_expenses', columns: ['show_id', 'date', 'category', 'description', 'amount', 'currency', 'paid_by'] },
+};
+
+// Times stay TEXT: they may be "HH:MM" or a local ISO datetime interpreted in the row's timezone.
+const SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS tm_venues (
+  venue_id TEXT PRIMARY KEY, name TEXT NOT NULL, address_street TEXT, address_city TEXT, address_state TEXT,
+  address_zip TEXT, address_country TEXT, capacity INTEGER, phone TEXT, website TEXT, parking_info TEXT,
+  load_in_info TEXT, contact_name TEXT, contact_email TEXT, contact_phone TEXT
+);
+CREATE TABLE IF NOT EXISTS tm_shows (
+  show_id TEXT PRIMARY KEY, date DATE NOT NULL, venue_id TEXT, venue_name TEXT, city TEXT, state TEXT,
+  country TEXT, timezone TEXT, doors_time TEXT, show_time TEXT, soundcheck_time TEXT, load_in_time TEXT,
+  load_out_time TEXT, curfew_time TEXT, lobby_call_time TEXT, departure_time TEXT, airport_call_time TEXT,
+  band_call_time TEXT, checkout_time TEXT, crew_call_time TEXT, set_length TEXT, set_times TEXT, ticket_status TEXT
+);
+CREATE TABLE IF NOT EXISTS tm_setlist_songs (
+  show_id TEXT NOT NULL, set_index INTEGER NOT NULL DEFAULT 1, song_index INTEGER NOT NULL, song_title TEXT NOT NULL,
+  duration TEXT, notes TEXT, PRIMARY KEY (show_id, set_index, song_index)
+);
+CREATE TABLE IF NOT EXISTS tm_travel_flights (
+  id BIGSERIAL PRIMARY KEY, show_id TEXT, date DATE, airline TEXT, flight_number TEXT, departure_city TEXT,
+  arrival_city TEXT, departure_time TEXT, arrival_time TEXT, departure_timezone TEXT, arrival_timezone TEXT,
+  confirmation TEXT
+);
+CREATE TABLE IF NOT EXISTS tm_travel_hotels (
+  id BIGSERIAL PRIMARY KEY, show_id TEXT, date DATE, name TEXT NOT NULL, address TEXT, check_in_date DATE,
+  check_out_date DATE, confirmation TEXT
+);
+CREATE TABLE IF NOT EXISTS tm_ground_transport (
+  id BIGSERIAL PRIMARY KEY, show_id TEXT, date DATE, type TEXT, pickup_time TEXT, pickup_location TEXT
+);
+CREATE TABLE IF NOT EXISTS tm_soundcheck_schedule (
+  id BIGSERIAL PRIMARY KEY, show_id TEXT NOT NULL, time TEXT NOT NULL, activity TEXT NOT NULL, notes TEXT
+);
+CREATE TABLE IF NOT EXISTS tm_production_notes (
+  id BIGSERIAL PRIMARY KEY, show_id TEXT NOT NULL, category TEXT, note TEXT NOT NULL, priority TEXT, created_by TEXT
+);
+CREATE TABLE IF NOT EXISTS tm_merch_sales (
+  id BIGSERIAL PRIMARY KEY, show_id TEXT NOT NULL, item TEXT NOT NULL, quantity_sold INTEGER, price NUMERIC(12,2),
+  gross_sales NUMERIC(12,2)
+);
+CREATE TABLE IF NOT EXISTS tm_show_budgets (
+  show_id TEXT PRIMARY KEY, currency TEXT NOT NULL DEFAULT 'AUD', guarantee NUMERIC(12,2), deposit NUMERIC(12,2),
+  deposit_status TEXT, deposit_due_date DATE, per_diem_rate NUMERIC(12,2), per_diem_headcount INTEGER,
+  per_diem_days INTEGER, expense_budget NUMERIC(12,2)
+);
+CREATE TABLE IF NOT EXISTS tm_expenses (
+  id BIGSERIAL PRIMARY KEY, show_id TEXT, date DATE, category TEXT, description TEXT, amount NUMERIC(12,2) NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'AUD', paid_by TEXT
+);
+`;
+
+/**
+ * @param {object} opts
+ * @param {import('pg').Pool} opts.pool
+ * @param {number} [opts.ttlMs=30000] - how long a snapshot of the tables is reused
+ * @returns {object} data source (see tableDataSource for the contract) plus invalidate()
+ */
+function createPgDataSource({ pool, ttlMs = 30000 }) {
+  let cached = null; // { at, promise }
+
+  // Every column comes back as text ('' for NULL) so rows look exactly like parsed CSV rows.
+  async function loadTables() {
+    const tables = {};
+    await Promise.all(Object.entries(PG_TABLES).map(async ([name, { table, columns }]) => {
+      const select = columns.map((c) => `COALESCE("${c}"::text, '') AS "${c}"`).join(', ');
+      const { rows } = await pool.query(`SELECT ${select} FROM ${table}`);
+      tables[name] = rows;
+    }));
+    return createTableDataSource(tables);
+  }
+
+  function current() {
+    if (!cached || Date.now() - cached.at >= ttlMs) {
+      const promise = loadTables();
+      cached = { at: Date.now(), promise };
+      promise.catch(() => { if (cached && cached.promise === promise) cached = null; });
+    }
+    return cached.promise;
+  }
+
+  const source = {
+    invalidate() {
+      cached = null;
+    },
+  };
+  for (const m of CONTRACT_METHODS) {
+    source[m] = async (...args) => (await current())[m](...args);
+  }
+  return source;
+}
+
+module.exports = { createPgDataSource, PG_TABLES, SCHEMA_SQL };
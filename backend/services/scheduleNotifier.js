@@ -0,0 +1,134 @@
+// backend/services/scheduleNotifier.js
+// Watches show data for two kinds of unsolicited notices:
+//   - reminders ahead of call times ("Lobby call in 30 minutes")
+//   - schedule changes between checks ("Brisbane load in moved to 13:00")
+// Delivery is left to the caller (see websocket/tmWebSocketServer.js).
+
+const { CALL_TIME_FIELDS } = require('./daySheet');
+const { DEFAULT_TZ, zonedLocalToEpochMs, splitLocalTime } = require('../utils/timeUtils');
+
+const REMINDER_FIELDS = ['lobby_call_time', 'airport_call_time', 'departure_time', 'crew_call_time',
+  'load_in_time', 'band_call_time', 'soundcheck_time', 'doors_time'];
+const WATCHED_FIELDS = ['date', 'venue_name', ...CALL_TIME_FIELDS.map(([f]) => f)];
+const LABELS = Object.fromEntries([...CALL_TIME_FIELDS, ['date', 'Show date'], ['venue_name', 'Venue']]);
+
+function snapshot(shows) {
+  const snap = new Map();
+  for (const s of shows) {
+    snap.set(s.show_id, Object.fromEntries(WATCHED_FIELDS.map(f => [f, s[f] || ''])));
+  }
+  return snap;
+}
+
+/**
+ * Compare two snapshots and describe what changed.
+ * @param {Map} prev
+ * @param {Map} next
+ * @param {Map} showsById - current show objects (for city/venue in the wording)
+ * @returns {Array<{kind: string, show_id: string, field?: string, from?: string, to?: string, text: string}>}
+ */
+function diffSnapshots(prev, next, showsById) {
+  const notices = [];
+  for (const [id, cur] of next) {
+    const show = showsById.get(id) || {};
+    const old = prev.get(id);
+    if (!old) {
+      notices.push({ kind: 'show_added', show_id: id, text: `New show added: ${show.city} (${show.venue_name || 'TBA'}) on ${show.date}` });
+      continue;
+    }
+    for (const f of WATCHED_FIELDS) {
+      if (old[f] === cur[f]) continue;
+      const label = LABELS[f].toLowerCase();
+      const text = cur[f]
+        ? `${show.city} ${label} ${old[f] ? 'moved' : 'set'} to ${cur[f]}${old[f] ? ` (was ${old[f]})` : ''}`
+        : `${show.city} ${label} removed (was ${old[f]})`;
+      notices.push({ kind: 'schedule_change', show_id: id, field: f, from: old[f], to: cur[f], text });
+    }
+  }
+  for (const [id, old] of prev) {
+    if (!next.has(id)) notices.push({ kind: 'show_removed', show_id: id, text: `Show removed: ${old.venue_name || id} on ${old.date}` });
+  }
+  return notices;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.dataSource - csvDataSource-compatible provider
+ * @param {function(object): void} opts.notify - called once per notice
+ * @param {number} [opts.leadMinutes=30] - how far ahead of a call time to remind
+ * @param {number} [opts.intervalMs=60000] - polling interval
+ */
+function createScheduleNotifier({ dataSource, notify, leadMinutes = 30, intervalMs = 60000 }) {
+  let last = null;
+  let timer = null;
+  const reminded = new Set();
+
+  function reminders(shows, nowMs) {
+    const out = [];
+    for (const s of shows) {
+      const tz = s.timezone || DEFAULT_TZ;
+      for (const f of REMINDER_FIELDS) {
+        const when = splitLocalTime(s[f], s.date);
+        if (!when) continue;
+        const at = zonedLocalToEpochMs(`${when.date}T${when.time}`, tz);
+        const mins = Math.round((at - nowMs) / 60000);
+        const key = `${s.show_id}|${f}|${when.date}T${when.time}`;
+        if (mins <= 0 || mins > leadMinutes || reminded.has(key)) continue;
+        reminded.add(key);
+        out.push({
+          kind: 'reminder',
+          show_id: s.show_id,
+          field: f,
+          at: `${when.date}T${when.time}`,
+          timezone: tz,
+          text: `${LABELS[f]} in ${mins} minute${mins === 1 ? '' : 's'} (${when.time}, ${s.city} — ${s.venue_name || 'TBA'})`,
+        });
+      }
+    }
+    return out;
+  }
+
+  // Checks run one at a time (the poll and a reload can both ask). Overlapping, a poll that read
+  // the data before a reload could finish after the reload's check and announce the change as
+  // reverted, then the next poll would announce it again.
+  let pending = Promise.resolve();
+
+  function check(nowMs) {
+    const run = pending.then(() => runCheck(nowMs));
+    pending = run.catch(() => {});
+    return run;
+  }
+
+  async function runCheck(nowMs = Date.now()) {
+    const { shows = [] } = await dataSource.getShows({});
+    const next = snapshot(shows);
+    const notices = [];
+    if (last) notices.push(...diffSnapshots(last, next, new Map(shows.map(s => [s.show_id, s]))));
+    last = next;
+    notices.push(...reminders(shows, nowMs));
+    for (const n of notices) notify(n);
+    return notices;
+  }
+
+  function run() {
+    check().catch(e => console.error('[ScheduleNotifier] check failed:', e.message));
+  }
+
+  return {
+    check,
+    start() {
+      if (!timer) {
+        run();
+        timer = setInterval(run, intervalMs);
+        timer.unref();
+      }
+      return this;
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { createScheduleNotifier, diffSnapshots };
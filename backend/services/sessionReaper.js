@@ -0,0 +1,44 @@
+// backend/services/sessionReaper.js
+// Background job that marks chat sessions idle past TM_SESSION_IDLE_MINUTES inactive, so the
+// member's next message starts a fresh session; their turns stay in history. The message
+// processor already refuses to reuse a stale session; this keeps is_active honest for everything
+// else that reads it.
+
+const { expireIdleSessions } = require('../models/tmChatSession');
+
+/**
+ * @param {object} opts
+ * @param {number} opts.idleMinutes
+ * @param {number} [opts.intervalMs=300000] - how often to sweep
+ */
+function createSessionReaper({ idleMinutes, intervalMs = 5 * 60 * 1000 }) {
+  let timer = null;
+
+  async function sweep() {
+    const closed = await expireIdleSessions(idleMinutes);
+    if (closed) console.log(`[SessionReaper] Closed ${closed} idle session${closed === 1 ? '' : 's'}`);
+    return closed;
+  }
+
+  function run() {
+    sweep().catch(e => console.error('[SessionReaper] sweep failed:', e.message));
+  }
+
+  return {
+    sweep,
+    start() {
+      if (!timer) {
+        run();
+        timer = setInterval(run, intervalMs);
+        timer.unref();
+      }
+      return this;
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = { createSessionReaper };
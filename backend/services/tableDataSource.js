@@ -0,0 +1,401 @@
+// backend/services/tableDataSource.js
+// The data-source contract implemented over in-memory tables (arrays of row objects keyed by
+// CSV header / column name). csvDataSource fills the tables from files, pgDataSource from Postgres.
+
+function indexBy(arr, key) {
+  const map = new Map();
+  for (const item of arr) {
+    if (item[key]) map.set(item[key], item);
+  }
+  return map;
+}
+
+function groupBy(arr, key) {
+  const map = new Map();
+  for (const item of arr) {
+    const k = item[key];
+    if (!k) continue;
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(item);
+  }
+  return map;
+}
+
+const DEFAULT_CURRENCY = 'AUD';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function money(v) {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? round2(n) : 0;
+}
+
+function sumByCategory(list) {
+  const out = {};
+  for (const e of list) out[e.category] = round2((out[e.category] || 0) + e.amount);
+  return out;
+}
+
+/**
+ * @param {object} tables - row arrays: shows, venues, setlists, flights, hotels, ground,
+ *   soundcheck, prodNotes, merchSales, budgets, expenses (missing tables count as empty)
+ * @returns {{ getShows, getShow, getVenue, getSetlist, getTravelInfo, getFlights, getSoundcheckSchedule, getProductionNotes, getMerchSales, getShowFinancials, getTourFinancials, getFlightsByDestination }}
+ */
+function createTableDataSource(tables = {}) {
+  const {
+    shows = [], venues = [], setlists = [], flights = [], hotels = [], ground = [],
+    soundcheck = [], prodNotes = [], merchSales = [], budgets = [], expenses = [],
+  } = tables;
+  const venueById = indexBy(venues, 'venue_id');
+  const showsById = indexBy(shows, 'show_id');
+  const setlistByShow = groupBy(setlists, 'show_id');
+  const flightsByShow = groupBy(flights, 'show_id');
+  const flightsByDate = groupBy(flights, 'date');
+  const hotelsByShow = groupBy(hotels, 'show_id');
+  const hotelsByDate = groupBy(hotels, 'date');
+  const groundByShow = groupBy(ground, 'show_id');
+  const groundByDate = groupBy(ground, 'date');
+  const schedByShow = groupBy(soundcheck, 'show_id');
+  const prodNotesByShow = groupBy(prodNotes, 'show_id');
+  const merchByShow = groupBy(merchSales, 'show_id');
+  const budgetByShow = indexBy(budgets, 'show_id');
+  const expensesByShow = groupBy(expenses, 'show_id');
+  function normalizeShow(s) {
+    // Return canonical show object; ensure times & tz fields are named consistently
+    return {
+      show_id: s.show_id,
+      date: s.date, // expect YYYY-MM-DD or ISO
+      venue_id: s.venue_id,
+      venue_name: s.venue_name,
+      city: s.city,
+      state: s.state,
+      country: s.country,
+      timezone: s.timezone || s.venue_timezone, // IANA
+      doors_time: s.doors_time, // prefer ISO; allow "HH:MM"
+      show_time: s.show_time,
+      soundcheck_time: s.soundcheck_time,
+      load_in_time: s.load_in_time,
+
+      load_out_time: s.load_out_time,
+      curfew_time: s.curfew_time,
+      lobby_call_time: s.lobby_call_time,
+      departure_time: s.departure_time,
+      airport_call_time: s.airport_call_time,
+      band_call_time: s.band_call_time,
+      checkout_time: s.checkout_time,
+      crew_call_time: s.crew_call_time,
+      set_length: s.set_length,
+      set_times: s.set_times,      ticket_status: s.ticket_status,
+    };
+  }
+
+  function normalizeFlight(f) {
+    return {
+      airline: f.airline,
+      flight_number: f.flight_number,
+      departure_city: f.departure_city,
+      arrival_city: f.arrival_city,
+      departure_time: f.departure_time || null,
+      arrival_time: f.arrival_time || null,
+      departure_timezone: f.departure_timezone || null,
+      arrival_timezone: f.arrival_timezone || null,
+      confirmation: f.confirmation || null,
+    };
+  }
+
+  function normalizeExpense(e) {
+    return {
+      show_id: e.show_id || null,
+      date: e.date || null,
+      category: (e.category || 'misc').toLowerCase(),
+      description: e.description,
+      amount: money(e.amount),
+      currency: e.currency || DEFAULT_CURRENCY,
+      paid_by: e.paid_by || null,
+    };
+  }
+
+  // Budget + actuals for one show. Per diems are budgeted (rate x headcount x days) and count as a cost.
+  function showFinancials(showId) {
+    const b = budgetByShow.get(showId) || {};
+    const currency = b.currency || DEFAULT_CURRENCY;
+    const list = (expensesByShow.get(showId) || []).map(normalizeExpense);
+    const perDiems = {
+      rate: money(b.per_diem_rate),
+      headcount: Number(b.per_diem_headcount || 0),
+      days: Number(b.per_diem_days || 0),
+    };
+    perDiems.total = round2(perDiems.rate * perDiems.headcount * perDiems.days);
+    const byCategory = sumByCategory(list);
+    const totalExpenses = round2(list.reduce((sum, e) => sum + e.amount, 0));
+    const guarantee = money(b.guarantee);
+    return {
+      show_id: showId,
+      currency,
+      guarantee,
+      deposit: {
+        amount: money(b.deposit),
+        status: b.deposit_status || null,
+        due_date: b.deposit_due_date || null,
+      },
+      balance_due: round2(guarantee - (b.deposit_status === 'received' ? money(b.deposit) : 0)),
+      per_diems: perDiems,
+      expense_budget: money(b.expense_budget),
+      expenses: list,
+      expenses_by_category: byCategory,
+      total_expenses: totalExpenses,
+      net: round2(guarantee - totalExpenses - perDiems.total),
+    };
+  }
+
+  return {
+    async getShows(filters = {}) {
+      let list = shows.map(normalizeShow);
+
+      if (filters.city) {
+        const needle = String(filters.city).trim().toLowerCase();
+        list = list.filter((s) => (s.city || '').trim().toLowerCase() === needle);
+      }
+
+      const todayYmd = new Date().toISOString().slice(0, 10);
+      if (filters.upcoming) {
+        list = list.filter((s) => String(s.date) >= todayYmd);
+      }
+      if (filters.past) {
+        list = list.filter((s) => String(s.date) < todayYmd);
+      }
+      if (filters.date_from) {
+        list = list.filter((s) => String(s.date) >= String(filters.date_from));
+      }
+      if (filters.date_to) {
+        list = list.filter((s) => String(s.date) <= String(filters.date_to));
+      }
+
+      // Sort by date asc, then show_time if present
+      list.sort((a, b) => {
+        const da = String(a.date);
+        const db = String(b.date);
+        if (da !== db) return da < db ? -1 : 1;
+        const ta = a.show_time || '';
+        const tb = b.show_time || '';
+        return ta < tb ? -1 : ta > tb ? 1 : 0;
+      });
+
+      return { shows: list };
+    },
+
+    async getShow(showId) {
+      const s = showsById.get(showId);
+      return s ? normalizeShow(s) : null;
+    },
+
+    async getVenue(venueId) {
+      const v = venueById.get(venueId);
+      if (!v) return null;
+      return {
+        venue_id: v.venue_id,
+        name: v.name,
+        address: {
+          street: [v.address_street].filter(Boolean).join(' '),
+          city: v.address_city,
+          state: v.address_state,
+          zip: v.address_zip,
+          country: v.address_country,
+        },
+        capacity: v.capacity ? Number(v.capacity) : undefined,
+        phone: v.phone,
+        website: v.website,
+        parking_info: v.parking_info,
+        load_in_info: v.load_in_info,
+        contact: {
+          name: v.contact_name,
+          email: v.contact_email,
+          phone: v.contact_phone,
+        },
+      };
+    },
+
+    async getSetlist(showId) {
+      const rows = setlistByShow.get(showId) || [];
+      if (!rows.length) return { show_id: showId, songs: [] };
+
+      // If sets present, group by set_index; else treat as flat list
+      const hasSets = rows.some((r) => r.set_index);
+      if (hasSets) {
+        const setsMap = new Map();
+        const ordered = [...rows].sort((a, b) =>
+          Number(a.set_index || 1) - Number(b.set_index || 1) || Number(a.song_index || 0) - Number(b.song_index || 0));
+        for (const r of ordered) {
+          const idx = Number(r.set_index || 1);
+          if (!setsMap.has(idx)) setsMap.set(idx, { name: r.set_name || `Set ${idx}`, songs: [] });
+          setsMap.get(idx).songs.push({
+            title: r.song_title,
+            duration: r.duration || undefined,
+            notes: r.notes || undefined,
+          });
+        }
+        const sets = [...setsMap.keys()].sort((a, b) => a - b).map((k) => setsMap.get(k));
+        return { show_id: showId, sets, songs: sets.flatMap((s) => s.songs) };
+      }
+
+      const songs = rows
+        .sort((a, b) => Number(a.song_index || 0) - Number(b.song_index || 0))
+        .map((r) => ({ title: r.song_title, duration: r.duration || undefined }));
+
+      return { show_id: showId, songs };
+    },
+
+    async getTravelInfo(key) {
+      // key can be show_id or date
+      const fByShow = flightsByShow.get(key) || [];
+      const fByDate = flightsByDate.get(key) || [];
+      const hByShow = hotelsByShow.get(key) || [];
+      const hByDate = hotelsByDate.get(key) || [];
+      const gByShow = groundByShow.get(key) || [];
+      const gByDate = groundByDate.get(key) || [];
+
+      const flightsList = (fByShow.length ? fByShow : fByDate).map(normalizeFlight);
+
+      const hotelRow = (hByShow.length ? hByShow : hByDate)[0];
+      const hotel = hotelRow
+        ? {
+            name: hotelRow.name,
+            address: hotelRow.address,
+            check_in_date: hotelRow.check_in_date || null,
+            check_out_date: hotelRow.check_out_date || null,
+            confirmation: hotelRow.confirmation || null,
+          }
+        : null;
+
+      const groundRow = (gByShow.length ? gByShow : gByDate)[0];
+      const groundTransport = groundRow
+        ? {
+            type: groundRow.type,
+            pickup_time: groundRow.pickup_time || null,
+            pickup_location: groundRow.pickup_location || null,
+          }
+        : null;
+
+      return {
+        show_id: showsById.has(key) ? key : undefined,
+        date: flightsByDate.has(key) || hotelsByDate.has(key) || groundByDate.has(key) ? key : undefined,
+        flights: flightsList,
+        hotel: hotel || undefined,
+        ground_transport: groundTransport || undefined,
+      };
+    },
+
+    // Every flight on the tour, with the show/date it belongs to, in departure order.
+    async getFlights() {
+      const list = flights
+        .map((f) => ({ show_id: f.show_id || null, date: f.date || null, ...normalizeFlight(f) }))
+        .filter((f) => f.departure_time);
+      list.sort((a, b) => String(a.departure_time).localeCompare(String(b.departure_time)));
+      return { flights: list };
+    },
+
+    async getSoundcheckSchedule(showId) {
+      const rows = schedByShow.get(showId) || [];
+      const venueTz = (showsById.get(showId) || {}).timezone;
+      const schedule = rows
+        .sort((a, b) => String(a.time).localeCompare(String(b.time)))
+        .map((r) => ({ time: r.time, activity: r.activity, notes: r.notes || null }));
+
+      // Optional technical notes could be provided in a separate row/column if desired
+      return { show_id: showId, timezone: venueTz, schedule };
+    },
+    async getProductionNotes(showId) {
+      const notes = prodNotesByShow.get(showId) || [];
+      return {
+        show_id: showId,
+        notes: notes.map(n => ({
+          category: n.category,
+          note: n.note,
+          priority: n.priority,
+          created_by: n.created_by
+        }))
+      };
+    },
+
+    async getMerchSales(showId) {
+      const sales = merchByShow.get(showId) || [];
+      const total = sales.reduce((sum, item) => sum + parseFloat(item.gross_sales || 0), 0);
+      return {
+        show_id: showId,
+        items: sales,
+        total_gross: total
+      };
+    },
+
+    async getShowFinancials(showId) {
+      if (!showsById.has(showId) && !budgetByShow.has(showId)) return null;
+      return showFinancials(showId);
+    },
+
+    // Tour-wide P&L. Optional { date_from, date_to } limit shows by show date and
+    // tour-level expenses (no show_id) by expense date. Totals are kept per currency.
+    async getTourFinancials(filters = {}) {
+      const inRange = (d) => (!filters.date_from || String(d) >= String(filters.date_from))
+        && (!filters.date_to || String(d) <= String(filters.date_to));
+
+      const perShow = shows
+        .filter((s) => inRange(s.date))
+        .map((s) => ({ ...showFinancials(s.show_id), date: s.date, city: s.city }));
+      const tourLevel = expenses
+        .filter((e) => !e.show_id && inRange(e.date))
+        .map(normalizeExpense);
+
+      const totals = {};
+      const bucket = (cur) => (totals[cur] = totals[cur] || {
+        guarantees: 0, deposits_received: 0, per_diems: 0, expenses: 0, net: 0, expenses_by_category: {},
+      });
+      const addCategories = (t, byCat) => {
+        for (const [cat, amt] of Object.entries(byCat)) {
+          t.expenses_by_category[cat] = round2((t.expenses_by_category[cat] || 0) + amt);
+        }
+      };
+      for (const f of perShow) {
+        const t = bucket(f.currency);
+        t.guarantees = round2(t.guarantees + f.guarantee);
+        if (f.deposit.status === 'received') t.deposits_received = round2(t.deposits_received + f.deposit.amount);
+        t.per_diems = round2(t.per_diems + f.per_diems.total);
+        t.expenses = round2(t.expenses + f.total_expenses);
+        addCategories(t, f.expenses_by_category);
+      }
+      for (const e of tourLevel) {
+        const t = bucket(e.currency);
+        t.expenses = round2(t.expenses + e.amount);
+        addCategories(t, { [e.category]: e.amount });
+      }
+      for (const t of Object.values(totals)) t.net = round2(t.guarantees - t.expenses - t.per_diems);
+
+      return { shows: perShow, tour_expenses: tourLevel, totals };
+    },
+
+    async getFlightsByDestination(city) {
+      const cityLower = city.toLowerCase().trim();
+      const matches = flights.filter(f => 
+        f.arrival_city.toLowerCase().includes(cityLower)
+      );
+      return { flights: matches };
+    },
+  };
+}
+
+// Every method a data source exposes; wrappers (pg, hot-reloading CSV) delegate these.
+const CONTRACT_METHODS = ['getShows', 'getShow', 'getVenue', 'getSetlist', 'getTravelInfo', 'getFlights',
+  'getSoundcheckSchedule', 'getProductionNotes', 'getMerchSales', 'getShowFinancials', 'getTourFinancials',
+  'getFlightsByDestination'];
+
+// Thrown by a contract method the source has no data for (e.g. financials from Master Tour),
+// so callers can say so instead of answering "no data".
+class UnsupportedError extends Error {
+  constructor(source, method) {
+    super(`${method} isn't supported by the ${source} data source`);
+    this.name = 'UnsupportedError';
+    this.source = source;
+    this.method = method;
+  }
+}
+
+module.exports = { createTableDataSource, CONTRACT_METHODS, UnsupportedError };
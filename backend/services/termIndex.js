@@ -1,5 +1,9 @@
 // backend/services/termIndex.js
-// Deterministic alias index for term lookups
+// Deterministic alias index for term lookups, with an optional fuzzy tier behind it.
+// The fuzzy tier only runs when the exact tier finds nothing. It folds plurals and -ing/-ed
+// endings, allows a small edit distance and compares rough phonetic keys, so "sound chek",
+// "soundchecks" and "curfue" still find their term. Short words are never fuzzed, and a fuzzy
+// hit that fits two terms equally well is dropped rather than guessed.
 
 const { Pool } = require('pg');
 const pool = new Pool({
@@ -9,17 +13,80 @@ const pool = new Pool({
 
 let aliasMap = new Map();  // key: alias_normalized, val: { term_id, token_len }
 let maxTokenLen = 1;
+let fuzzyEntries = [];     // [{ alias, term_id, token_len, compact, stem, phonetic }] for the fuzzy tier
+
+// Fuzzy tier: queries shorter than this (letters, spaces removed) only ever match exactly,
+// so "foh"/"boh"/"fob" can't collide.
+const MIN_FUZZY_LEN = 5;
+// Confidence per match kind; edit matches lose a little more per edit.
+const FUZZY_CONFIDENCE = { stem: 0.9, edit: 0.85, phonetic: 0.75 };
+
+// Per-token plural/verb folding: "checks" -> "check", "loadins" -> "loadin", "setting" -> "sett".
+function stemToken(t) {
+  if (t.length > 4 && t.endsWith('ies')) return `${t.slice(0, -3)}y`;
+  if (t.length > 5 && t.endsWith('ing')) return t.slice(0, -3);
+  if (t.length > 4 && t.endsWith('ed')) return t.slice(0, -2);
+  if (t.length > 4 && /(ss|x|ch|sh)es$/.test(t)) return t.slice(0, -2);
+  if (t.length > 3 && t.endsWith('s') && !t.endsWith('ss')) return t.slice(0, -1);
+  return t;
+}
+
+// Spaces dropped so "sound check", "soundcheck" and "sound-check" share a key.
+function stemKey(normalized) {
+  return normalized.split(' ').filter(Boolean).map(stemToken).join('');
+}
+
+// Rough sound-alike key: first letter kept, then consonant classes with vowels (and h/w/y) dropped.
+// "curfew" and "curfue" -> "crf"; "soundcheck" and "sound chek" -> "sntxk".
+function phoneticKey(normalized) {
+  const s = normalized.replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f').replace(/ck/g, 'k').replace(/ch|sh/g, 'x')
+    .replace(/c(?=[eiy])/g, 's').replace(/[cq]/g, 'k').replace(/z/g, 's').replace(/d/g, 't');
+  if (!s) return '';
+  const rest = s.slice(1).replace(/[aeiouhwy]/g, '').replace(/(.)\1+/g, '$1');
+  return s[0] + rest;
+}
+
+// Damerau-Levenshtein (optimal string alignment), giving up once the distance exceeds max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+      cur[j] = d;
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Edits allowed for a query of this length: none below MIN_FUZZY_LEN, one up to 7, then two.
+function maxEditsFor(len) {
+  if (len < MIN_FUZZY_LEN) return 0;
+  return len < 8 ? 1 : 2;
+}
 
 /**
  * Load alias index from tm_term_aliases into memory.
  * Call on boot or on demand after seeding.
+ * @param {Array<{term_id, alias_normalized, token_len}>} [aliasRows] - use these instead of the
+ *   table (offline checks such as scripts/test_intent_routing.js)
  */
-async function loadAliasIndex() {
+async function loadAliasIndex(aliasRows = null) {
   const sql = `
     SELECT term_id, alias_normalized, token_len
     FROM tm_term_aliases
   `;
-  const { rows } = await pool.query(sql);
+  const { rows } = aliasRows ? { rows: aliasRows } : await pool.query(sql);
 
   const m = new Map();
   let maxLen = 1;
@@ -29,6 +96,14 @@ async function loadAliasIndex() {
   }
   aliasMap = m;
   maxTokenLen = maxLen;
+  fuzzyEntries = rows.map(r => ({
+    alias: r.alias_normalized,
+    term_id: r.term_id,
+    token_len: r.token_len,
+    compact: r.alias_normalized.replace(/ /g, ''),
+    stem: stemKey(r.alias_normalized),
+    phonetic: phoneticKey(r.alias_normalized),
+  }));
 
   return { count: rows.length, maxTokenLen };
 }
@@ -42,12 +117,57 @@ function lookupExact(normalizedText) {
   return hit ? { term_id: hit.term_id, token_len: hit.token_len } : null;
 }
 
+/**
+ * Fuzzy lookup of a whole (normalized) phrase against the alias index. Use it after
+ * lookupExact has missed. Tries, in order: plural/stem folding, edit distance, phonetic key.
+ * @param {string} normalizedText
+ * @returns {{term_id, token_len, alias, confidence: number, match: 'stem'|'edit'|'phonetic'}|null}
+ *   null when nothing is close enough, or when the best match fits more than one term
+ */
+function lookupFuzzy(normalizedText) {
+  const compact = String(normalizedText || '').replace(/ /g, '');
+  const stem = stemKey(normalizedText || '');
+  if (compact.length < MIN_FUZZY_LEN) return null;
+
+  let best = [];
+  let bestScore = 0;
+  const consider = (e, match, confidence) => {
+    if (confidence > bestScore) { best = [{ e, match, confidence }]; bestScore = confidence; }
+    else if (confidence === bestScore) best.push({ e, match, confidence });
+  };
+
+  const maxEdits = maxEditsFor(compact.length);
+  const phonetic = phoneticKey(normalizedText);
+  for (const e of fuzzyEntries) {
+    if (e.stem === stem) { consider(e, 'stem', FUZZY_CONFIDENCE.stem); continue; }
+    if (e.compact.length < MIN_FUZZY_LEN || e.compact[0] !== compact[0]) continue;
+    // Stemming can over-trim a typo ("catring" -> "catr"), so the raw spelling gets a say too.
+    const d = Math.min(editDistance(compact, e.compact, maxEdits), editDistance(stem, e.stem, maxEdits));
+    if (d <= maxEdits) {
+      consider(e, 'edit', Math.round((FUZZY_CONFIDENCE.edit - 0.05 * (d - 1)) * 100) / 100);
+    } else if (phonetic.length >= 3 && e.phonetic === phonetic) {
+      consider(e, 'phonetic', FUZZY_CONFIDENCE.phonetic);
+    }
+  }
+
+  if (!best.length || new Set(best.map(b => b.e.term_id)).size > 1) return null;
+  const { e, match, confidence } = best[0];
+  return { term_id: e.term_id, token_len: e.token_len, alias: e.alias, confidence, match };
+}
+
 /**
  * Free-text phrase scan (tokens already normalized by your normalizer).
  * Longest-match wins; on tie, earliest start wins.
+ * When an equally long alias of a different term overlaps the winner ("sound check in" holds
+ * both "sound check" and "check in"), they're listed in `alternatives` so the caller can ask.
+ * With { fuzzy: true }, a sentence with no exact alias is scanned again with lookupFuzzy;
+ * the most confident fuzzy n-gram wins, then the longest. Only close calls count there (stem
+ * folding or a single edit): phonetic and two-edit matches fire too easily on ordinary words.
+ * A fuzzy hit's token_len is the number of message tokens it spans ("sound chek" is 2).
  */
-function lookupInSentence(normalizedSentence) {
+function lookupInSentence(normalizedSentence, { fuzzy = false } = {}) {
   const tokens = normalizedSentence.split(' ').filter(Boolean);
+  const found = [];
   let best = null;
 
   for (let i = 0; i < tokens.length; i++) {
@@ -55,21 +175,82 @@ function lookupInSentence(normalizedSentence) {
       const ngram = tokens.slice(i, i + k).join(' ');
       const hit = aliasMap.get(ngram);
       if (hit) {
-        if (!best || hit.token_len > best.token_len) {
-          best = { term_id: hit.term_id, token_len: hit.token_len, alias: ngram, start: i };
-        }
+        const h = { term_id: hit.term_id, token_len: hit.token_len, alias: ngram, start: i };
+        found.push(h);
+        if (!best || hit.token_len > best.token_len) best = h;
         break; // shorter window can't beat this n-gram at this start
       }
     }
   }
-  return best;
+  if (!best) return fuzzy ? fuzzyInSentence(tokens) : null;
+
+  const overlaps = h => h.start < best.start + best.token_len && best.start < h.start + h.token_len;
+  const alternatives = [];
+  for (const h of found) {
+    if (h.token_len !== best.token_len || !overlaps(h)) continue;
+    if (h.term_id === best.term_id || alternatives.some(a => a.term_id === h.term_id)) continue;
+    alternatives.push({ term_id: h.term_id, alias: h.alias, start: h.start, token_len: h.token_len });
+  }
+  return alternatives.length ? { ...best, alternatives } : best;
+}
+
+/**
+ * Every exact alias in a (normalized) sentence, left to right and non-overlapping: the longest
+ * alias at each position wins and the scan resumes after it.
+ * @returns {Array<{term_id, token_len, alias, start}>}
+ */
+function lookupAllInSentence(normalizedSentence) {
+  const tokens = normalizedSentence.split(' ').filter(Boolean);
+  const hits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    for (let k = Math.min(maxTokenLen, tokens.length - i); k >= 1; k--) {
+      const ngram = tokens.slice(i, i + k).join(' ');
+      const hit = aliasMap.get(ngram);
+      if (hit) {
+        hits.push({ term_id: hit.term_id, token_len: hit.token_len, alias: ngram, start: i });
+        i += k - 1;
+        break;
+      }
+    }
+  }
+  return hits;
+}
+
+// Weakest lookupFuzzy confidence fuzzyInSentence accepts: a stem match or a single edit.
+const MIN_IN_SENTENCE_CONFIDENCE = FUZZY_CONFIDENCE.edit;
+
+// An edit that only swaps a short word ("flight to" -> "flight no") is a different phrase, not a typo.
+function editsAWord(ngram, alias) {
+  const aliasStems = new Set(alias.split(' ').map(stemToken));
+  return ngram.split(' ').filter(t => !aliasStems.has(stemToken(t))).join('').length >= 3;
+}
+
+function fuzzyInSentence(tokens) {
+  let best = null;
+  // One token wider than the longest alias, so "sound chek" can still reach "soundcheck".
+  for (let i = 0; i < tokens.length; i++) {
+    for (let k = Math.min(maxTokenLen + 1, tokens.length - i); k >= 1; k--) {
+      const ngram = tokens.slice(i, i + k).join(' ');
+      const hit = lookupFuzzy(ngram);
+      if (!hit || hit.confidence < MIN_IN_SENTENCE_CONFIDENCE) continue;
+      if (hit.match === 'edit' && !editsAWord(ngram, hit.alias)) continue;
+      if (!best || hit.confidence > best.confidence || (hit.confidence === best.confidence && k > best.span)) {
+        best = { ...hit, start: i, span: k };
+      }
+    }
+  }
+  if (!best) return null;
+  const { span, ...hit } = best;
+  return { ...hit, token_len: span };
 }
 
 module.exports = {
   loadAliasIndex,
   lookupExact,
+  lookupFuzzy,
   lookupInSentence,
+  lookupAllInSentence,
   // exposed for diagnostics
-  _debug: () => ({ size: aliasMap.size, maxTokenLen })
+  _debug: () => ({ size: aliasMap.size, maxTokenLen, fuzzyEntries: fuzzyEntries.length })
 };
 
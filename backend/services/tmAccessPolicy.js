@@ -0,0 +1,145 @@
+// backend/services/tmAccessPolicy.js
+// Who can see what. Intent rules refuse a whole answer; field rules redact sensitive
+// values (money, confirmation codes, contacts) from an answer's text and data.
+
+const { ROLES, normalizeRole } = require('../models/bandMember');
+
+const REDACTED = '[redacted]';
+
+const { TOUR_MANAGER, BAND, CREW, PRODUCTION, MERCH, GUEST } = ROLES;
+const TOUR_PARTY = [TOUR_MANAGER, BAND, CREW, PRODUCTION, MERCH];
+
+// Intents not listed here are open to every role, guests included.
+const INTENT_ROLES = {
+  financial: [TOUR_MANAGER],
+  merch: [TOUR_MANAGER, MERCH],
+  day_sheet: TOUR_PARTY,
+  itinerary_check: TOUR_PARTY,
+  travel: TOUR_PARTY,
+};
+
+const INTENT_LABELS = {
+  financial: 'Financial info',
+  merch: 'Merch figures',
+  day_sheet: 'Day sheets',
+  itinerary_check: 'Itinerary checks',
+  travel: 'Travel details',
+};
+
+// keys: data properties to redact; text: [pattern, replacement] pairs applied to reply text.
+// scrub: also remove string values found under those keys in the data from the reply text.
+const FIELD_RULES = {
+  money: {
+    roles: [TOUR_MANAGER, MERCH],
+    keys: ['guarantee', 'deposit', 'balance_due', 'gross', 'price', 'per_cap', 'net', 'amount', 'total_gross',
+      'gross_sales', 'expenses', 'total_expenses', 'expense_budget', 'expenses_by_category', 'per_diems'],
+    text: [[/(?:\b(?:AUD|NZD|SGD|USD|CAD|EUR|GBP|JPY)\s?|\$)\d[\d,]*(?:\.\d+)?/g, REDACTED]],
+  },
+  confirmation: {
+    roles: [TOUR_MANAGER],
+    keys: ['confirmation'],
+    scrub: true,
+    text: [[/(\bconf(?:irmation)?(?:\s*(?:code|number|#))?\s*[:#]?\s*)[A-Z0-9-]{4,}/gi, `$1${REDACTED}`]],
+  },
+  contacts: {
+    roles: [TOUR_MANAGER, PRODUCTION, CREW],
+    keys: ['contact', 'email', 'phone', 'contact_name', 'contact_email', 'contact_phone'],
+    scrub: true,
+    text: [
+      [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, REDACTED],
+      [/\+\d[\d\s()-]{6,}\d/g, REDACTED],
+    ],
+  },
+};
+
+function roleOf(member) {
+  return normalizeRole(member && member.role);
+}
+
+/**
+ * @param {object} member
+ * @param {string} intentType
+ * @returns {boolean}
+ */
+function canUseIntent(member, intentType) {
+  const allowed = INTENT_ROLES[intentType];
+  return !allowed || allowed.includes(roleOf(member));
+}
+
+/**
+ * @param {object} member
+ * @param {string} field - key of FIELD_RULES
+ * @returns {boolean}
+ */
+function canSeeField(member, field) {
+  const rule = FIELD_RULES[field];
+  return !rule || rule.roles.includes(roleOf(member));
+}
+
+function refusalFor(intentType) {
+  const what = INTENT_LABELS[intentType] || 'That info';
+  return { type: 'forbidden', text: `Sorry, ${what.toLowerCase()} ${what.endsWith('s') ? 'are' : 'is'} restricted for your role.` };
+}
+
+function redactData(value, keys) {
+  if (Array.isArray(value)) return value.map(v => redactData(v, keys));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = keys.has(k) && v != null && v !== '' ? REDACTED : redactData(v, keys);
+  }
+  return out;
+}
+
+function collectStrings(value, keys, out, under = false) {
+  if (Array.isArray(value)) {
+    value.forEach(v => collectStrings(v, keys, out, under));
+  } else if (value && typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) collectStrings(v, keys, out, under || keys.has(k));
+  } else if (under && typeof value === 'string' && value.trim().length >= 3) {
+    out.add(value.trim());
+  }
+  return out;
+}
+
+const escapeRx = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Redact every field the member's role isn't allowed to see.
+ * @param {object} response - engine response { type, text, data? }
+ * @param {object} member
+ * @returns {object} a new response (input is not mutated)
+ */
+function applyFieldPolicy(response, member) {
+  if (!response || typeof response !== 'object') return response;
+  const hidden = Object.keys(FIELD_RULES).filter(f => !canSeeField(member, f));
+  if (!hidden.length) return response;
+
+  let text = String(response.text || '');
+  const keys = new Set();
+  const scrubKeys = new Set();
+  for (const f of hidden) {
+    const rule = FIELD_RULES[f];
+    for (const [rx, to] of rule.text) text = text.replace(rx, to);
+    rule.keys.forEach(k => keys.add(k));
+    if (rule.scrub) rule.keys.forEach(k => scrubKeys.add(k));
+  }
+  if (response.data && scrubKeys.size) {
+    const values = [...collectStrings(response.data, scrubKeys, new Set())].sort((a, b) => b.length - a.length);
+    for (const v of values) text = text.replace(new RegExp(escapeRx(v), 'g'), REDACTED);
+  }
+  const out = { ...response, text, redacted: hidden };
+  if (response.data) out.data = redactData(response.data, keys);
+  return out;
+}
+
+module.exports = {
+  REDACTED,
+  INTENT_ROLES,
+  FIELD_RULES,
+  roleOf,
+  canUseIntent,
+  canSeeField,
+  refusalFor,
+  applyFieldPolicy,
+};
@@ -1,4 +1,3 @@
-const path = require("path");
 const { Pool } = require("pg");
 
 // Postgres (answers come from tm_answers)
@@ -9,10 +8,20 @@ const __pool = new Pool({
 });
 const db = { query: (text, params) => __pool.query(text, params) };
 
-// The createCsvDataSource is in the same directory as this file.
-const { createCsvDataSource } = require("./csvDataSource");
-const DATA_DIR = process.env.TM_DATA_DIR || path.join(__dirname, "..", "data");
-const dataSource = createCsvDataSource({ dataDir: DATA_DIR });
+// Tour data source is chosen at startup (TM_DATA_SOURCE) and injected with setDataSource().
+const { createDataSource } = require("./dataSourceFactory");
+const commandHandlers = require("./tmCommandHandlers");
+const { buildDaySheet, formatDaySheet, formatHotel } = require("./daySheet");
+const { checkItinerary, formatItineraryCheck } = require("./itineraryCheck");
+const { DEFAULT_TZ, ymdInTz } = require("../utils/timeUtils");
+const { parseDateExpression, formatRange } = require("../utils/dateExpressions");
+const { canUseIntent, refusalFor, applyFieldPolicy } = require("./tmAccessPolicy");
+const { FOLLOW_UP_RX } = require("../utils/textUtils");
+const { normalize } = require("./normalizer");
+const { loadEntityIndex, extractEntities } = require("./entityExtractor");
+const { setEntityIndex } = require("./intentClassifier");
+const chatHistory = require("../models/tmChatSession");
+const bandMember = require("../models/bandMember");
 
 // -------- helpers --------
 // This function dynamically gets the term IDs from the database.
@@ -33,36 +42,19 @@ async function getTermIds() {
   }
 }
 
-// NEW: This function dynamically gets all unique city names from the flights CSV data.
-// It reads the file directly to avoid reliance on an external API on the dataSource.
-async function getCitiesFromCsv() {
+// Every city the tour touches (shows, flight origins and destinations), lowercased.
+async function getCities(ds) {
   try {
-    const fs = require("fs");
-    const file = path.resolve(DATA_DIR, "travel_flights.csv");
-    if (!fs.existsSync(file)) return [];
-    
-    const txt = fs.readFileSync(file, "utf8");
-    const lines = txt.split(/\r?\n/).filter(Boolean);
-    if (lines.length <= 1) return [];
-    
-    const header = lines.shift();
-    const cols = header.split(",");
-    const idx = (n) => cols.indexOf(n);
-    const I = {
-      departure_city: idx("departure_city"),
-      arrival_city: idx("arrival_city"),
-    };
-    
+    const [{ shows = [] }, { flights = [] }] = await Promise.all([ds.getShows({}), ds.getFlights()]);
     const cities = new Set();
-    lines.forEach(line => {
-      const parts = line.split(',');
-      if (parts[I.departure_city]) cities.add(parts[I.departure_city].toLowerCase());
-      if (parts[I.arrival_city]) cities.add(parts[I.arrival_city].toLowerCase());
+    shows.forEach(s => { if (s.city) cities.add(s.city.toLowerCase()); });
+    flights.forEach(f => {
+      if (f.departure_city) cities.add(f.departure_city.toLowerCase());
+      if (f.arrival_city) cities.add(f.arrival_city.toLowerCase());
     });
-    
     return Array.from(cities);
   } catch (error) {
-    console.error("Error fetching city data from CSV:", error.message);
+    console.error("Error fetching city data:", error.message);
     return [];
   }
 }
@@ -99,12 +91,70 @@ function lineForShow(s, i) {
   return bits.join("\n");
 }
 
+const ASK_CITY_OR_DAY = 'I can grab the exact time if you tell me the city or day (e.g., “when are doors in Sydney?” or “doors tomorrow”).';
+
+// "load_in_time" -> "Load in time"
+function fieldLabel(field) {
+  const base = String(field || "").replace(/_time$/, "").replace(/_/g, " ").trim();
+  return `${base.charAt(0).toUpperCase()}${base.slice(1)} time`;
+}
+
+// Says which show an answer used when the message didn't name a city or day.
+function pickNote(source) {
+  const notes = { previous: "same show as before", today: "today’s show", next: "next show" };
+  return notes[source] ? ` (${notes[source]})` : "";
+}
+
+// "No show tomorrow (Tue 26 Aug)." — when a date was named but nothing is booked then.
+function noShowText(range, city) {
+  const where = city ? ` in ${city.replace(/\b\w/g, m => m.toUpperCase())}` : "";
+  return `No show${where} ${range.phrase} (${range.label}).`;
+}
+
+// "what hotel are we at", "where are we staying in brisbane": the show's hotel, not flights.
+const HOTEL_QUESTION_RX = /\bhotels?\b|\bwhere\s+(?:are\s+we|am\s+i|is\s+everyone)\s+staying\b|\baccommodation\b/i;
+
+// Questions answered from a show's schedule rather than the glossary.
+const TIME_QUESTION_RX = /(what\s+time|doors?\b|sound\s*-?check|\bload[\s-]?in\b|\bload[\s-]?out\b|on\s*[-\s]*stage|curfew|set\s*time|show\s*time|band\s*call|crew\s*call|lobby\s*call|airport\s*call|check[-\s]*out\s*time)/;
+
+// Call times asked about by name ("when is lobby call", "what time is checkout") and answered
+// from the show row even when the glossary has no time term for them. First match wins.
+const DIRECT_TIME_TERMS = [
+  { rx: /\bcheckout\b/i,       field: "checkout_time",     label: "Checkout time" },
+  { rx: /\bdeparture\b/i,      field: "departure_time",    label: "Departure time" },
+  { rx: /\bairport\s*call\b/i, field: "airport_call_time", label: "Airport call time" },
+  { rx: /\blobby\s*call\b/i,   field: "lobby_call_time",   label: "Lobby call time" },
+];
+
+// "what time is soundcheck", "doors in sydney": a question after a show field rather than a definition.
+const SHOW_TIME_RX = /\bwhat\s+time\b|\btime\s+for\b|\bon\s*stage\b|\bsoundcheck\b|\bdoors\b|\bcurfew\b|\bload[\s-]?(in|out)\b/;
+
+// Intents about a single show; naming a city or venue with several shows makes them ask which.
+const SHOW_SCOPED_INTENTS = new Set(["venue_info", "setlist", "day_sheet", "merch", "financial", "itinerary_check"]);
+
+// "Fri 22 Aug — Sydney Opera House, Sydney"
+function showOptionLabel(s) {
+  return `${formatRange(s.date, s.date)} — ${[s.venue_name, s.city].filter(Boolean).join(", ")}`;
+}
+
+// The message with the overlapping aliases replaced by the one picked:
+// "what is a press day sheet" + "day sheet" -> "what is a day sheet".
+function withChosenAlias(message, alternatives, chosen) {
+  const tokens = normalize(message).split(" ");
+  const from = Math.min(...alternatives.map(a => a.start));
+  const to = Math.max(...alternatives.map(a => a.start + a.token_len));
+  return [...tokens.slice(0, from), chosen.alias, ...tokens.slice(to)].join(" ");
+}
+
 // -------- engine --------
 class TmAiEngine {
-  constructor(pool) {
+  constructor(pool, dataSource = null) {
     this.pool = pool;
+    this._dataSource = null;
+    this._unsubscribeReload = null;
     this.industryTerms = [];
     this.cities = [];
+    this.entityIndex = null;
 
     // Longer/more specific verbs first.
     this.VERBS = [
@@ -116,12 +166,34 @@ class TmAiEngine {
       "what is"
     ];
 
-    // Load the terms and cities when the engine is instantiated.
+    // Load the terms when the engine is instantiated; cities load with the data source.
     this.loadTerms(); 
-    this.loadCities();
+    if (dataSource) this.setDataSource(dataSource);
     if (this.loadTimeTermsFromDb) this.loadTimeTermsFromDb();
   }
 
+  /**
+   * Use the given tour data source (see dataSourceFactory) and load the city list and the
+   * entity index from it.
+   * @param {object} dataSource
+   */
+  setDataSource(dataSource) {
+    if (this._unsubscribeReload) this._unsubscribeReload();
+    this._dataSource = dataSource;
+    this.entityIndex = null;
+    // Sources that reload in place (CSV watch) tell us when the city list may have changed.
+    const reload = () => { this.loadCities(); this.loadEntities(); };
+    this._unsubscribeReload = dataSource.onReload ? dataSource.onReload(reload) : null;
+    reload();
+    return this;
+  }
+
+  // Callers that never inject a source (scripts, REPL) get the TM_DATA_SOURCE default.
+  get dataSource() {
+    if (!this._dataSource) this.setDataSource(createDataSource());
+    return this._dataSource;
+  }
+
   // Method to asynchronously load the terms from the database
   async loadTerms() {
     this.industryTerms = await getTermIds();
@@ -129,10 +201,45 @@ class TmAiEngine {
     this.buildRouterHints();
   }
 
-  // Method to asynchronously load cities from the CSV data
+  // Method to asynchronously load cities from the tour data
   async loadCities() {
-    this.cities = await getCitiesFromCsv();
-    console.log(`Loaded ${this.cities.length} unique cities from the travel data.`);
+    this.cities = await getCities(this._dataSource);
+    console.log(`Loaded ${this.cities.length} unique cities from the tour data.`);
+  }
+
+  // Gazetteer for entitiesIn(): places, people and booking codes from the tour data, plus the
+  // tour party when the database is reachable. The intent classifier masks names with it too.
+  async loadEntities() {
+    const members = await bandMember.listActive().catch((e) => {
+      console.error("[TmAiEngine] tour party unavailable for entities:", e.message);
+      return [];
+    });
+    try {
+      this.entityIndex = await loadEntityIndex(this._dataSource, { members });
+      setEntityIndex(this.entityIndex);
+      console.log(`[TmAiEngine] Entity index ready: ${this.entityIndex.names.size} names`);
+    } catch (e) {
+      console.error("[TmAiEngine] Error building the entity index:", e.message);
+    }
+    return this.entityIndex;
+  }
+
+  /**
+   * Entities named in a message (see entityExtractor.js): spans plus the show_id, venue, city,
+   * date, flight_number, confirmation and person slots. Dates resolve in the tour's timezone.
+   */
+  async entitiesIn(message) {
+    const index = this.entityIndex || await this.loadEntities();
+    return extractEntities(message, index, { tz: await this.tourTimezone() });
+  }
+
+  /**
+   * The entities already extracted for this message (the processor puts them, spans and all, on
+   * intent.entities); extracted here only for callers that didn't.
+   */
+  async entitiesFor(message, intent) {
+    const entities = intent && intent.entities;
+    return entities && entities.spans ? entities : this.entitiesIn(message);
   }
 
   // --- Parser helpers ---
@@ -212,11 +319,246 @@ class TmAiEngine {
   /** Return the first show matching a city (case-insensitive). */
   async getShowByCity(city) {
     if (!city) return null;
-    const { shows = [] } = await dataSource.getShows({});
+    const { shows = [] } = await this.dataSource.getShows({});
     const c = String(city).toLowerCase();
     return shows.find(s => (s.city || "").toLowerCase() === c) || null;
   }
 
+  /**
+   * Shows a message points at: the show ID it gives, else the venue it names, else the city
+   * passed in or named in the text (see entitiesIn; "sydney opera house" is the venue, not
+   * "sydney"). Limited to the date range when given, and to upcoming shows while any are left.
+   * Pass the message's `entities` when already extracted (see entitiesFor).
+   * Date-sorted; empty when no show, venue or city is mentioned.
+   */
+  async showsForPlace(message, city = null, range = null, entities = null) {
+    const filters = range ? { date_from: range.date_from, date_to: range.date_to } : {};
+    const [{ shows = [] }, named] = await Promise.all([this.dataSource.getShows(filters), entities || this.entitiesIn(message)]);
+    const { show_id: showId, venue_id: venueId, venue } = named;
+
+    let matched = [];
+    if (showId) return shows.filter(s => s.show_id === showId);
+    if (venueId) matched = shows.filter(s => s.venue_id === venueId);
+    else if (venue) matched = shows.filter(s => normalize(s.venue_name || "") === normalize(venue.name));
+    if (!matched.length) {
+      const c = String(city || named.city || "").toLowerCase();
+      matched = c ? shows.filter(s => String(s.city || "").toLowerCase() === c) : [];
+    }
+    const upcoming = matched.filter(s => s.date >= ymdInTz(new Date(), s.timezone || DEFAULT_TZ));
+    return upcoming.length ? upcoming : matched;
+  }
+
+  /**
+   * The venue or city a message names (lowercased, venue first), or null.
+   */
+  async placeIn(message) {
+    const { venue, city } = await this.entitiesIn(message);
+    return venue ? venue.name.toLowerCase() : city || null;
+  }
+
+  /**
+   * Parts of a compound question (see compoundQuery.js) with the place and day named anywhere in
+   * the message added to the parts that don't name their own:
+   * "soundcheck and doors in brisbane, and what hotel are we at" -> "... hotel are we at in brisbane".
+   * @param {string} message - the whole message
+   * @param {string[]} parts
+   * @returns {Promise<string[]>}
+   */
+  async shareSlots(message, parts) {
+    const [place, range] = await Promise.all([this.placeIn(message), this.dateRangeFromMessage(message)]);
+    if (!place && !range) return parts;
+    return Promise.all(parts.map(async (part) => {
+      let out = part;
+      if (place && !(await this.placeIn(part))) out += ` in ${place}`;
+      if (range && !(await this.dateRangeFromMessage(part))) out += ` ${range.phrase}`;
+      return out;
+    }));
+  }
+
+  /**
+   * One show from showsForPlace(): the show from the previous turn if it's among them
+   * (so a clarified pick sticks), otherwise the first.
+   */
+  pickShow(shows, context = null) {
+    const last = (context && context.entities && context.entities.show_id) || null;
+    return shows.find(s => s.show_id === last) || shows[0] || null;
+  }
+
+  /**
+   * Resolve which show a message is about from a venue name or city in the text.
+   * Returns the next show at that venue/city, or null. A found show is remembered in
+   * the conversation context for follow-up questions.
+   */
+  async resolveShowFromMessage(message, context = null, entities = null) {
+    if (!this.normalizeMessage(message)) return null;
+    return this.rememberShow(context, this.pickShow(await this.showsForPlace(message, null, null, entities), context));
+  }
+
+  /**
+   * Show for a show-scoped intent: the venue/city in the message, or, for a follow-up that
+   * names neither ("what about the venue?"), the show from the previous turn.
+   */
+  async resolveShowForIntent(message, intent, context) {
+    const show = await this.resolveShowFromMessage(message, context, await this.entitiesFor(message, intent));
+    if (show || !(intent && intent.entities && intent.entities.follow_up)) return show;
+    const last = (context && context.entities) || {};
+    return last.show_id ? this.dataSource.getShow(last.show_id) : null;
+  }
+
+  /**
+   * Return the show happening today, or null. "Today" is the member's local date when
+   * they sent a timezone, otherwise the show's own (the tour's default zone if it has none).
+   */
+  async getTodaysShow(member = null) {
+    const { shows = [] } = await this.dataSource.getShows({});
+    const memberTz = member && member.timezone;
+    return shows.find(s => s.date === ymdInTz(new Date(), memberTz || s.timezone || DEFAULT_TZ)) || null;
+  }
+
+  /**
+   * The first show on or after today (same "today" rules as getTodaysShow), or null.
+   */
+  async getUpcomingShow(member = null) {
+    const { shows = [] } = await this.dataSource.getShows({});
+    const memberTz = member && member.timezone;
+    return shows.find(s => s.date >= ymdInTz(new Date(), memberTz || s.timezone || DEFAULT_TZ)) || null;
+  }
+
+  /**
+   * The timezone the tour is in right now: the next show's (today counts), else the default.
+   * Date words like "tomorrow" are resolved against this.
+   */
+  async tourTimezone() {
+    const next = await this.getUpcomingShow();
+    return (next && next.timezone) || DEFAULT_TZ;
+  }
+
+  /**
+   * Date range named in a message ("tonight", "friday", "next week", "on the 25th"), or null.
+   * @returns {Promise<{date_from: string, date_to: string, phrase: string, label: string}|null>}
+   */
+  async dateRangeFromMessage(message) {
+    return parseDateExpression(message, { tz: await this.tourTimezone() });
+  }
+
+  /**
+   * First show within a parseDateExpression() range, or null.
+   */
+  async getShowInRange(range) {
+    const { shows = [] } = await this.dataSource.getShows({ date_from: range.date_from, date_to: range.date_to });
+    return shows[0] || null;
+  }
+
+  /**
+   * Merge the slots this turn resolved (city, show_id, term, date) into the conversation
+   * context, so follow-ups ("and curfew?", "what about sydney?") reuse or override them.
+   */
+  rememberSlots(context, slots) {
+    if (context) context.entities = { ...(context.entities || {}), ...slots };
+  }
+
+  /**
+   * Record the show a turn was about, and the date range it was picked by (if any).
+   * Returns the show.
+   */
+  rememberShow(context, show, range = null) {
+    if (show) {
+      this.rememberSlots(context, {
+        show_id: show.show_id,
+        city: String(show.city || "").toLowerCase(),
+        date: range ? { date_from: range.date_from, date_to: range.date_to } : null,
+      });
+    }
+    return show;
+  }
+
+  /**
+   * Pick the show a time question is about, in order of preference:
+   *   1. the show ID, venue or city in the message (within any date words: "soundcheck in sydney on friday")
+   *   2. the date words alone ("doors tomorrow")
+   *   3. the show from the previous turn (context.entities)
+   *   4. today's show, then the next upcoming one
+   * Pass the message's `entities` when already extracted (see entitiesFor).
+   * Returns { show, city, range, source }; city is null when nothing could be picked.
+   * source says how the show was chosen (see pickNote()).
+   */
+  async resolveShowForQuery(message, city, { context = null, member = null, entities = null } = {}) {
+    const [range, named] = await Promise.all([this.dateRangeFromMessage(message), entities || this.entitiesIn(message)]);
+    const showId = named.show_id;
+    let show = null;
+    let source = null;
+    if (city || showId) {
+      const shows = await this.showsForPlace(message, city, range, named);
+      show = this.pickShow(shows, context);
+      const last = (context && context.entities) || {};
+      source = shows.length > 1 && show && show.show_id === last.show_id ? "previous" : "city";
+    } else if (range) {
+      show = await this.getShowInRange(range);
+      source = "date";
+    } else {
+      const last = (context && context.entities) || {};
+      if (last.show_id) show = await this.dataSource.getShow(last.show_id);
+      if (!show && last.city) show = await this.getNextShowByCity(last.city);
+      if (show) source = "previous";
+      if (!show && (show = await this.getTodaysShow(member))) source = "today";
+      if (!show && (show = await this.getUpcomingShow(member))) source = "next";
+    }
+    if (source !== "previous") this.rememberShow(context, show, range);
+    return { show, city: city || (show ? String(show.city || "").toLowerCase() : null), range, source };
+  }
+
+  /**
+   * Answer a question naming one of DIRECT_TIME_TERMS from the show it points at (see
+   * resolveShowForQuery). Returns null when the message names none of them.
+   * Pass the message's `entities` when already extracted (see entitiesFor).
+   */
+  async timeTermAnswer(message, { context = null, member = null, entities = null } = {}) {
+    const hit = DIRECT_TIME_TERMS.find(t => t.rx.test(message));
+    if (!hit) return null;
+    const named = entities || await this.entitiesIn(message);
+    const { show, city, range, source } = await this.resolveShowForQuery(message, named.city, { context, member, entities: named });
+    if (!city) return { type: "fallback", text: range ? noShowText(range) : ASK_CITY_OR_DAY };
+    if (!show && range) return { type: "fallback", text: noShowText(range, city) };
+    const picked = __pickTimeField(show, hit.field);
+    if (picked && show[picked]) {
+      this.rememberSlots(context, { term: hit.field });
+      const tz = show.timezone ? ` ${show.timezone}` : "";
+      return { type: "schedule", text: `${hit.label} for ${city} (${show.venue_name || "TBA"}) on ${show.date || "TBA"}: ${show[picked]}${tz}${pickNote(source)}` };
+    }
+    return { type: "fallback", text: `I couldn’t find ${hit.label.toLowerCase()} for ${city} on the next show. If there’s a later date or a different city, try that.` };
+  }
+
+  /**
+   * Answer a time question ("what time is soundcheck in sydney", "doors tomorrow") from the show
+   * field its term resolves to. Returns null when the message isn't one, or names no show field.
+   * Pass the message's `entities` when already extracted (see entitiesFor).
+   */
+  async showTimeAnswer(message, { context = null, member = null, entities = null } = {}) {
+    const q = String(message || "").toLowerCase();
+    if (!SHOW_TIME_RX.test(q) || !this.parseCityAndTerm) return null;
+    const named = entities || await this.entitiesIn(q);
+    const parsed = this.parseCityAndTerm(q, named);
+    const { show, city, range, source } = await this.resolveShowForQuery(q, named.city, { context, member, entities: named });
+    const term = parsed && parsed.term && (range ? parsed.term.replace(range.phrase, " ").trim() : parsed.term);
+    if (!show && range && term) return { type: "fallback", text: noShowText(range, city) };
+    if (!city || !term || !this.resolveTermToField) return null;
+    const field = await this.resolveTermToField(term);
+    const val = field && show && Object.prototype.hasOwnProperty.call(show, field) ? show[field] : null;
+    if (!val) return null;
+    const clean = String(term)
+      .replace(/^\s*what\s+time\s+(is|are|for)\s*/, "")
+      .replace(/^\s*(and|what\s+about)\s+/, "")
+      .replace(/^\s*when\s+(is|are)\s*/, "")
+      .replace(/\b(in|at|the)\b/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    const labelBase = clean || String(field).replace(/_time$/, " ").replace(/_/g, " ").trim();
+    const label = labelBase.charAt(0).toUpperCase() + labelBase.slice(1) + " time";
+    const tz = show.timezone || show.tz || "";
+    this.rememberSlots(context, { term: field });
+    return { type: "schedule", text: `${label} for ${city} (${show.venue_name || show.venue || "venue"}) on ${show.date || show.show_date || ""}: ${val}${tz ? " " + tz : ""}${pickNote(source)}` };
+  }
+
   /**
    * Try to find the most relevant field in a show object for a given term, without hard-coding.
    * Strategy:
@@ -309,43 +651,12 @@ class TmAiEngine {
 
     
 
-try {
-  if (/(?:\bwhen\b|\bwhat\s*time\b)/i.test(q)) {
-    const directTerms = [
-      { rx: /\bcheckout\b/i,         field: 'checkout_time'      },
-      { rx: /\bdeparture\b/i,        field: 'departure_time'     },
-      { rx: /\bairport\s*call\b/i,  field: 'airport_call_time'  },
-      { rx: /\blobby\s*call\b/i,    field: 'lobby_call_time'    }
-    ];
-    const hit = directTerms.find(t => t.rx.test(q));
-    if (hit) {
-      const parsed = this.parseCityAndTerm(String(message||"")) || {};
-      const city = parsed.city;
-      if (!city) { return { type: 'fallback', text: 'I can grab the exact time if you tell me the city (e.g., “when are doors in Sydney?”).' }; }
-      if (!this.timeTermMap || typeof this.timeTermMap !== 'object') {
-        if (typeof this.loadTimeTermsFromDb === 'function') { try { await this.loadTimeTermsFromDb(); } catch(_){} }
-        this.timeTermMap = this.timeTermMap || {};
-      }
-      const show = await this.getNextShowByCity(city);
-      if (show) {
-        const __picked = (typeof __pickTimeField === 'function') ? __pickTimeField(show, hit.field) : hit.field;
-        if (__picked && show[__picked]) {
-          let label = null;
-          const map = this.timeTermMap || {};
-          for (const k in map) {
-            const v = map[k] || {};
-            const fk = v.field_key || v.field;
-            if (fk === hit.field) { label = v.label; break; }
-          }
-          label = label || (String(hit.field).replace(/_/g,' ').replace(/\b\w/g,m=>m.toUpperCase()));
-          const tz = show.timezone ? (' ' + show.timezone) : '';
-          return { type: 'schedule', text: `${label} for ${city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}: ${show[__picked]}${tz}` };
-        }
-      }
-      return { type: 'fallback', text: `I couldn’t find ${hit.field.replace(/_/g,' ')} for ${city} on the next show. If there’s a later date or a different city, try that.` };
-    }
-  }
-} catch(_) { }
+if (/(?:\bwhen\b|\bwhat\s*time\b)/i.test(q)) {
+  try {
+    const answer = await this.timeTermAnswer(q);
+    if (answer) return answer;
+  } catch (_) { }
+}
 if (!intent || !intent.intent_type) {
   if (/(?:\bwhen\b|\bwhat\s*time\b)/i.test(q) && /(\bdeparture\b|\bcheckout\b|\bairport\s*call\b|\blobby\s*call\b)/i.test(q)) {
     intent = { intent_type: "term_lookup", confidence: 0.65, entities: {} };
@@ -362,7 +673,8 @@ if (!intent || !intent.intent_type) {
     const mentionsFlight = /\bflight(s)?\b/.test(q);
     const timeLike = (verb === "what time is" || verb === "when is");
     if (mentionsFlight) {
-      const text = formatUpcomingFlights(10, city ? { toCity: city, userTz: "Australia/Sydney" } : { userTz: "Australia/Sydney" });
+      const { flights = [] } = await this.dataSource.getFlights();
+      const text = formatUpcomingFlights(flights, 10, city ? { toCity: city, userTz: "Australia/Sydney" } : { userTz: "Australia/Sydney" });
       return { responseType: "travelSchedule", payload: { text } };
     }
 
@@ -454,11 +766,111 @@ if (!intent || !intent.intent_type) {
     return FALLBACKS[Math.floor(Math.random() * FALLBACKS.length)];
   }
 
-  // -------- Main dispatcher --------
+  /**
+   * A clarification response when the message could mean several terms or shows, else null.
+   * Terms: overlapping aliases the matcher couldn't rank (intent.entities.alternatives).
+   * Shows: a show-scoped question whose city or venue has more than one show (after any
+   * date words), unless the previous turn's show is one of them.
+   */
+  async clarifyIfAmbiguous({ message, intent, context }) {
+    const type = intent && intent.intent_type;
+    const entities = (intent && intent.entities) || {};
+
+    if (type === "term_lookup" && Array.isArray(entities.alternatives) && entities.alternatives.length > 1) {
+      const options = entities.alternatives.map(a => ({
+        label: a.alias,
+        term_id: a.term_id,
+        message: withChosenAlias(message, entities.alternatives, a),
+      }));
+      return this.askToChoose(context, { question: "Did you mean:", options, message, intent });
+    }
+
+    const timeQuestion = type === "term_lookup" && TIME_QUESTION_RX.test(String(message || "").toLowerCase());
+    if (!timeQuestion && !SHOW_SCOPED_INTENTS.has(type)) return null;
+    const range = await this.dateRangeFromMessage(message);
+    const shows = await this.showsForPlace(message, null, range, await this.entitiesFor(message, intent));
+    const last = (context && context.entities && context.entities.show_id) || null;
+    if (shows.length < 2 || shows.some(s => s.show_id === last)) return null;
+
+    const cities = [...new Set(shows.map(s => s.city))];
+    const question = cities.length > 1
+      ? "That venue is on the tour in more than one city. Which show do you mean?"
+      : `There are ${shows.length} shows in ${cities[0]}${range ? ` ${range.phrase}` : ""}. Which one?`;
+    const options = shows.map(s => ({ label: showOptionLabel(s), show_id: s.show_id }));
+    return this.askToChoose(context, { question, options, message, intent });
+  }
+
+  /**
+   * Remember what was asked and the options offered, and return the numbered question.
+   * The next turn answers with a number, an ordinal or an option's name (intent "choice").
+   */
+  askToChoose(context, { question, options, message, intent }) {
+    if (context) {
+      context.pending_choice = {
+        message,
+        intent: { intent_type: intent.intent_type, entities: intent.entities || {} },
+        options,
+      };
+    }
+    const lines = options.map((o, i) => `${i + 1}. ${o.label}`);
+    return {
+      type: "clarification",
+      text: `${question}\n${lines.join("\n")}\nReply with a number.`,
+      options: options.map((o, i) => ({ n: i + 1, label: o.label })),
+    };
+  }
+
+  /**
+   * Turn a "choice" reply back into the question it answers, with the pick applied: a picked
+   * show becomes the remembered show, a picked term replaces the ambiguous phrase.
+   * @returns {Promise<{message, intent}|{response}>} response when there's nothing to replay
+   */
+  async applyChoice(intent, context) {
+    const pending = context && context.pending_choice;
+    if (!pending) {
+      return { response: { type: "fallback", text: "I’m not waiting on a choice right now. What would you like to know?" } };
+    }
+    const option = pending.options[(intent.entities && intent.entities.index) - 1];
+    if (!option) {
+      const options = pending.options.map((o, i) => ({ n: i + 1, label: o.label }));
+      return { response: { type: "clarification", text: `Pick a number from 1 to ${options.length}.`, options } };
+    }
+    delete context.pending_choice;
+    const entities = { ...pending.intent.entities };
+    if (option.show_id) this.rememberShow(context, await this.dataSource.getShow(option.show_id));
+    if (option.term_id) {
+      entities.term_id = option.term_id;
+      delete entities.alternatives;
+    }
+    return { message: option.message || pending.message, intent: { ...pending.intent, entities } };
+  }
+
+  // -------- Main entry: access policy around the dispatcher --------
   async generateResponse({ message, intent, context, member }) {
+    if (intent && intent.intent_type === "choice") {
+      const picked = await this.applyChoice(intent, context);
+      if (picked.response) return picked.response;
+      ({ message, intent } = picked);
+    } else if (context) {
+      // Asking something else drops the unanswered question.
+      delete context.pending_choice;
+    }
+
+    const intentType = intent && intent.intent_type;
+    if (intentType && !canUseIntent(member, intentType)) {
+      return refusalFor(intentType);
+    }
+    const clarification = await this.clarifyIfAmbiguous({ message, intent, context });
+    if (clarification) return clarification;
+    const response = await this.dispatchIntent({ message, intent, context, member });
+    return applyFieldPolicy(response, member);
+  }
+
+  // -------- Main dispatcher --------
+  async dispatchIntent({ message, intent, context, member }) {
     try {
       const _q_norm = String(message || "").toLowerCase();
-      const _timey = /(what\s+time|doors?\b|sound\s*-?check|load[\s-]?in|load[\s-]?out|on\s*[-\s]*stage|curfew|set\s*time|show\s*time|band\s*call|crew\s*call|lobby\s*call|airport\s*call|check[-\s]*out\s*time)/.test(_q_norm);
+      const _timey = TIME_QUESTION_RX.test(_q_norm);
       if (!intent) intent = {};
       if (!intent.intent_type && _timey) intent.intent_type = "term_lookup";
       const memberStr = typeof member === "string" ? member : (member && (member.memberId || member.member_id || member.id || member.identifier)) || "guest";
@@ -472,7 +884,14 @@ if (!intent || !intent.intent_type) {
           return { type: "help", text: "You can ask me about shows, schedules, venues, or general tour details." };
 
         case "show_schedule": {
-          const { shows = [] } = await dataSource.getShows({});
+          const range = await this.dateRangeFromMessage(message);
+          if (range) {
+            const { shows = [] } = await this.dataSource.getShows({ date_from: range.date_from, date_to: range.date_to });
+            if (!shows.length) return { type: "schedule", text: noShowText(range) };
+            const header = `${shows.length} ${shows.length === 1 ? "show" : "shows"} ${range.phrase} (${range.label}):\n\n`;
+            return { type: "schedule", text: header + shows.map((s, idx) => lineForShow(s, idx + 1)).join("\n") };
+          }
+          const { shows = [] } = await this.dataSource.getShows({});
           const today = new Date();
           const upcoming = shows
             .filter(s => s && s.date && new Date(s.date) >= today)
@@ -490,14 +909,89 @@ if (!intent || !intent.intent_type) {
           return { type: "schedule", text: header + lines.join("\n") };
         }
 
+        case "venue_info": {
+          const show = await this.resolveShowForIntent(message, intent, context);
+          return commandHandlers.venue_info(message, intent, member, { dataSource: this.dataSource, show });
+        }
+
+        case "setlist": {
+          let show = await this.resolveShowForIntent(message, intent, context);
+          const range = show ? null : await this.dateRangeFromMessage(message);
+          if (range) {
+            show = this.rememberShow(context, await this.getShowInRange(range), range);
+            if (!show) return { type: "fallback", text: noShowText(range) };
+          }
+          return commandHandlers.setlist(message, intent, member, { dataSource: this.dataSource, show });
+        }
+
+        case "day_sheet": {
+          let show = await this.resolveShowForIntent(message, intent, context);
+          const range = show ? null : await this.dateRangeFromMessage(message);
+          if (range) {
+            show = this.rememberShow(context, await this.getShowInRange(range), range);
+            if (!show) return { type: "fallback", text: noShowText(range) };
+          }
+          if (!show) show = await this.getTodaysShow(member);
+          if (!show) {
+            return { type: "fallback", text: "Which day sheet? Give me a city, venue or date (e.g., “day sheet for Brisbane”)." };
+          }
+          const sheet = await buildDaySheet(this.dataSource, show.show_id);
+          return { type: "day_sheet", text: formatDaySheet(sheet), data: sheet };
+        }
+
+        case "history": {
+          const reply = await commandHandlers.history(message, intent, member, { chatHistory });
+          // A cleared history starts the next turn without any remembered show or term.
+          if (context && intent.entities && intent.entities.action === "clear") context.entities = {};
+          return reply;
+        }
+
+        case "itinerary_check": {
+          const show = await this.resolveShowFromMessage(message, context, await this.entitiesFor(message, intent));
+          const report = await checkItinerary(this.dataSource, show ? { showId: show.show_id } : {});
+          return { type: "itinerary_check", text: formatItineraryCheck(report), data: report };
+        }
+
+        case "merch": {
+          const show = await this.resolveShowForIntent(message, intent, context);
+          return commandHandlers.merch(message, intent, member, { dataSource: this.dataSource, show });
+        }
+
+        case "financial": {
+          const show = await this.resolveShowForIntent(message, intent, context);
+          return commandHandlers.financial(message, intent, member, { dataSource: this.dataSource, show });
+        }
+
         // Term Lookup now routed through parse -> retrieve -> generate pipeline
         
 case "term_lookup": {
+          // Place slots come from the extracted entities; parseCityAndTerm only supplies the term words.
+          const entities = await this.entitiesFor(message, intent);
           {
             const q = String(message || "").toLowerCase();
             const termId = (intent && (intent.term_id || (intent.entities && intent.entities.term_id))) || null;
             
     
+    // Follow-up to the last time question that swaps its term, city or day
+    // ("and curfew?", "what about sydney?", "and friday?"): reuse whichever slots it doesn't name.
+    const __last = (context && context.entities) || {};
+    if (intent.entities && intent.entities.follow_up && __last.term) {
+      const rest = q.replace(FOLLOW_UP_RX, "");
+      const parsed = this.parseCityAndTerm(rest, entities) || {};
+      const { show, city, range, source } = await this.resolveShowForQuery(rest, entities.city, { context, member, entities });
+      if (!show) return { type: "fallback", text: range ? noShowText(range, entities.city) : ASK_CITY_OR_DAY };
+      const term = String(parsed.term || "").replace(range ? range.phrase : "", " ").trim();
+      const field = (term && await this.resolveTermToField(term)) || __last.term;
+      const picked = __pickTimeField(show, field);
+      const label = fieldLabel(field);
+      if (!picked || !show[picked]) {
+        return { type: "fallback", text: `I couldn’t find ${label.toLowerCase()} for ${city} (${show.venue_name || "TBA"}) on ${show.date || "TBA"}.` };
+      }
+      this.rememberSlots(context, { term: field });
+      const tz = show.timezone ? ` ${show.timezone}` : "";
+      return { type: "schedule", text: `${label} for ${city} (${show.venue_name || "TBA"}) on ${show.date || "TBA"}: ${show[picked]}${tz}${pickNote(source)}` };
+    }
+
     // [TmBot3000::TimeTerms] PRIORITY: schedule time lookup (race-safe) → return immediately on success
     try {
       // Ensure DB map is ready
@@ -513,21 +1007,20 @@ case "term_lookup": {
 
       if (ttHit) {
         const __fieldKey = (ttHit.field_key || ttHit.field);
-        const parsed = this.parseCityAndTerm(q);
-        const city = parsed && parsed.city;
+        const { show, city, range, source } = await this.resolveShowForQuery(q, entities.city, { context, member, entities });
 
         if (!city) {
-          return { type: 'fallback', text: 'I can grab the exact time if you tell me the city (e.g., “when are doors in Sydney?”).' };
+          return { type: 'fallback', text: range ? noShowText(range) : ASK_CITY_OR_DAY };
         }
-
-        const show = await this.getNextShowByCity(city);
+        if (!show && range) return { type: 'fallback', text: noShowText(range, city) };
 
         const __picked = __pickTimeField(show, __fieldKey);
         if (__picked) {const lbl = ttHit.label || (String(__fieldKey).replace(/_/g,' ').replace(/\b\w/g, m => m.toUpperCase()));
+          this.rememberSlots(context, { term: __fieldKey });
           const tz  = show.timezone ? ` ${show.timezone}` : '';
           return {
             type: 'schedule',
-            text: `${lbl} for ${city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}: ${show[__picked]}${tz}`
+            text: `${lbl} for ${city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}: ${show[__picked]}${tz}${pickNote(source)}`
           };
         } else {
           const lbl = ttHit.label || 'that time';
@@ -538,32 +1031,8 @@ case "term_lookup": {
 // NL direct map for common time terms when no term_id was produced
 try {
   if (!ttHit) {
-    const directTerms = [
-      { rx: /\bdeparture\b/i,        field: 'departure_time',     label: 'Departure time' },
-      { rx: /\bcheckout\b/i,         field: 'checkout_time',      label: 'Checkout time'  },
-      { rx: /\bairport\s*call\b/i,  field: 'airport_call_time',  label: 'Airport call time' },
-      { rx: /\blobby\s*call\b/i,    field: 'lobby_call_time',    label: 'Lobby call time' }
-    ];
-    const hit = directTerms.find(t => t.rx.test(q));
-    if (hit) {
-      const parsed = this.parseCityAndTerm(q) || {};
-      const city = parsed.city;
-      if (!city) {
-        return { type: 'fallback', text: 'I can grab the exact time if you tell me the city (e.g., “when are doors in Sydney?”).' };
-      }
-      const show = await this.getNextShowByCity(city);
-      if (show) {
-        const __picked = __pickTimeField(show, hit.field);
-        if (__picked) {
-          const tz = show.timezone ? (' ' + show.timezone) : '';
-          return {
-            type: 'schedule',
-            text: `${hit.label} for ${city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}: ${show[__picked]}${tz}`
-          };
-        }
-      }
-      return { type: 'fallback', text: `I couldn’t find ${hit.label} for ${city} on the next show. If there’s a later date or a different city, try that.` };
-    }
+    const answer = await this.timeTermAnswer(q, { context, member, entities });
+    if (answer) return answer;
   }
 } catch(_) { /* fall through */ }
 // If not a time-term or no hit, fall through to glossary path
@@ -575,8 +1044,7 @@ try {
     try {
       const ttHit = intent && intent.entities && intent.entities.term_id ? await __resolveByTermId(intent.entities.term_id) : null;
       if (ttHit) {
-        const cityParse = this.parseCityAndTerm(String(message || ""));
-        const city = cityParse && cityParse.city;
+        const city = entities.city;
         if (!city) {
           return { type: 'fallback', text: __friendlyMissingCity() };
         }
@@ -598,11 +1066,9 @@ try {
       }
     } catch (e) { /* swallow and fall through to glossary */ }
 const ti = termId && this.timeTermMap ? this.timeTermMap[String(termId).toLowerCase()] : null;
-            if (ti && this.parseCityAndTerm && this.getNextShowByCity) {
-              const parsed = this.parseCityAndTerm(q);
-              const city = parsed && parsed.city;
+            if (ti && this.getNextShowByCity) {
+              const { show, city, source } = await this.resolveShowForQuery(q, entities.city, { context, member, entities });
               if (city) {
-                const show = await this.getNextShowByCity(city);
                 if (show && Object.prototype.hasOwnProperty.call(show, ti.field)) {
                   const val = show[ti.field];
                   if (val) {
@@ -610,78 +1076,21 @@ const ti = termId && this.timeTermMap ? this.timeTermMap[String(termId).toLowerC
                     const vname = show.venue_name || show.venue || "venue";
                     const date  = show.date || show.show_date || "";
                     const tz    = show.timezone || show.tz || "";
-                    return { type: "schedule", text: `${ti.label} for ${city} (${vname}) on ${date}: ${when} ${tz}` };
+                    this.rememberSlots(context, { term: ti.field });
+                    return { type: "schedule", text: `${ti.label} for ${city} (${vname}) on ${date}: ${when}${tz ? " " + tz : ""}${pickNote(source)}` };
                   }
                 }
               }
             }
           }
-      try {
-        const q = String(message || "").toLowerCase();
-        const timeLike = /\bwhat\s+time\b|\btime\s+for\b|\bon\s*stage\b|\bsoundcheck\b|\bdoors\b|\bcurfew\b/.test(q);
-        if (timeLike && this.parseCityAndTerm) {
-          const parsed = this.parseCityAndTerm(q);
-          const city = parsed && parsed.city;
-          const term = parsed && parsed.term;
-          if (city && term && this.resolveTermToField && this.getNextShowByCity) {
-            const field = await this.resolveTermToField(term);
-            if (field) {
-              const show = await this.getNextShowByCity(city);
-              if (show && Object.prototype.hasOwnProperty.call(show, field)) {
-                const val = show[field];
-                if (val) {
-                  const when = String(val);
-                  const vname = show.venue_name || show.venue || "venue";
-                  const date  = show.date || show.show_date || "";
-                  const tz    = show.timezone || show.tz || "";
-                  const _clean = (s) => String(s||"")
-                    .replace(/^\s*what\s+time\s+(is|are|for)\s*/, "")
-                    .replace(/\b(in|at|the)\b/g, " ")
-                    .replace(/\s+/g, " ")
-                    .trim();
-                  const labelBase = (typeof term === "string" && _clean(term)) ? _clean(term) : String(field||"").replace(/_time$/," ").replace(/_/g," ").trim();
-                  const label = labelBase.charAt(0).toUpperCase() + labelBase.slice(1) + " time";
-                  return { type: "schedule", text: `${label} for ${city} (${vname}) on ${date}: ${when} ${tz}` };
-                }
-              }
-            }
+          // Fast-path: time-like question + city → pull actual show time instead of glossary definition
+          try {
+            const answer = await this.showTimeAnswer(message, { context, member, entities });
+            if (answer) return answer;
+          } catch (e) {
+            // swallow and fall back to glossary path
           }
-        }
-      } catch (e) {}
           const locale = process.env.LOCALE || "en-AU";
-      // Fast-path: time-like question + city → pull actual show time instead of glossary definition
-      try {
-        const q = String(message || "").toLowerCase();
-        const timeLike = /\bwhat\s+time\b|\btime\s+for\b|\bon\s*stage\b|\bsoundcheck\b|\bdoors\b|\bcurfew\b/.test(q);
-        if (timeLike && this.parseCityAndTerm) {
-          const { city, term } = this.parseCityAndTerm(q);
-          if (city && term && this.resolveTermToField && this.getNextShowByCity) {
-            const field = await this.resolveTermToField(term);
-            if (field) {
-              const show = await this.getNextShowByCity(city);
-              if (show && Object.prototype.hasOwnProperty.call(show, field)) {
-                const val = show[field];
-                if (val) {
-                  const when = String(val);
-                  const vname = show.venue_name || show.venue || "venue";
-                  const date  = show.date || show.show_date || "";
-                  const tz    = show.timezone || show.tz || "";
-                  const _clean = (s) => String(s||"")
-                    .replace(/^\s*what\s+time\s+(is|are|for)\s*/, "")
-                    .replace(/\b(in|at|the)\b/g, " ")
-                    .replace(/\s+/g, " ")
-                    .trim();
-                  const labelBase = (typeof term === "string" && _clean(term)) ? _clean(term) : String(field||"").replace(/_time$/," ").replace(/_/g," ").trim();
-                  const label = labelBase.charAt(0).toUpperCase() + labelBase.slice(1) + " time";
-                  return { type: "schedule", text: `${label} for ${city} (${vname}) on ${date}: ${when} ${tz}` };
-                }
-              }
-            }
-          }
-        }
-      } catch (e) {
-        // swallow and fall back to glossary path
-      }
 
           // 1) Parse message into { verb, entities }
           const parsed = this.parseMessage(message);
@@ -713,48 +1122,35 @@ const ti = termId && this.timeTermMap ? this.timeTermMap[String(termId).toLowerC
         // Refactored Flights / travel handler (unchanged in behavior)
         case "travel": {
           // [TmBot3000] time-term override inside travel: checkout/departure/airport call/lobby call
-{
-  const qText = String(message || "");
-  const timey = /(?:\bwhen\b|\bwhat\s*time\b)/i.test(qText);
-  const directTerms = [
-    { rx: /\bcheckout\b/i,         field: 'checkout_time',      label: 'Checkout time' },
-    { rx: /\bdeparture\b/i,        field: 'departure_time',     label: 'Departure time' },
-    { rx: /\bairport\s*call\b/i,  field: 'airport_call_time',  label: 'Airport call time' },
-    { rx: /\blobby\s*call\b/i,    field: 'lobby_call_time',    label: 'Lobby call time' }
-  ];
-  const hit = timey ? directTerms.find(t => t.rx.test(qText)) : null;
-  if (hit) {
-    const parsed = this.parseCityAndTerm(qText) || {};
-    const city = parsed.city;
-    if (!city) {
-      return { type: 'fallback', text: 'I can grab the exact time if you tell me the city (e.g., “when are doors in Sydney?”).' };
-    }
-    const show = await this.getNextShowByCity(city);
-    if (show) {
-      const picked = (typeof __pickTimeField === 'function') ? __pickTimeField(show, hit.field) : hit.field;
-      if (picked && show[picked]) {
-        const tz = show.timezone ? (' ' + show.timezone) : '';
-        return { type: 'schedule', text: `${hit.label} for ${city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}: ${show[picked]}${tz}` };
-      }
-    }
-    return { type: 'fallback', text: `I couldn’t find ${hit.label} for ${city} on the next show. If there’s a later date or a different city, try that.` };
-  }
-}
+          if (/(?:\bwhen\b|\bwhat\s*time\b)/i.test(String(message || ""))) {
+            const answer = await this.timeTermAnswer(String(message || ""), { context, member, entities: await this.entitiesFor(message, intent) });
+            if (answer) return answer;
+          }
+          if (HOTEL_QUESTION_RX.test(String(message || ""))) {
+            const entities = await this.entitiesFor(message, intent);
+            const { show, city, range, source } = await this.resolveShowForQuery(message, entities.city, { context, member, entities });
+            if (!show) return { type: "fallback", text: range ? noShowText(range, city) : ASK_CITY_OR_DAY };
+            const travel = await this.dataSource.getTravelInfo(show.show_id).catch(() => null);
+            const hotel = travel && travel.hotel;
+            const where = `${show.city || city} on ${show.date || "TBA"}`;
+            if (!hotel) return { type: "fallback", text: `No hotel booked for ${where} yet.` };
+            return { type: "schedule", text: `Hotel for ${where}: ${formatHotel(hotel)}${pickNote(source)}`, data: { hotel } };
+          }
 try {
             const opts = { userTz: "Australia/Sydney" };
             let limit = 10;
             const normalizedMessage = (message || "").toLowerCase();
+            const { city, spans = [], flight_number: flightNumber, confirmation } = await this.entitiesFor(message, intent);
+            const citySpan = spans.find(s => s.type === "city");
+            const cityText = citySpan ? String(citySpan.text).toLowerCase() : null;
 
-            // Check for "from" city first using the dynamically loaded city list
-            const fromCityMatch = this.cities.find(city => normalizedMessage.includes(`from ${city}`));
-            if (fromCityMatch) {
-              opts.fromCity = fromCityMatch;
+            // Check for "from" city first, then "to", using the city the message names
+            if (cityText && normalizedMessage.includes(`from ${cityText}`)) {
+              opts.fromCity = city;
               limit = 50;
             } else {
-              // Check for "to" city
-              const toCityMatch = this.cities.find(city => normalizedMessage.includes(`to ${city}`));
-              if (toCityMatch) {
-                opts.toCity = toCityMatch;
+              if (cityText && normalizedMessage.includes(`to ${cityText}`)) {
+                opts.toCity = city;
                 limit = 50;
               } else if (/\bnext\b/.test(normalizedMessage)) {
                 // Check for "next"
@@ -765,15 +1161,17 @@ try {
                 opts.todayOnly = true;
                 limit = 50;
               } else {
-                // Final fallback: check for any city name without a prefix
-                const genericCityMatch = this.cities.find(city => normalizedMessage.includes(city));
-                if (genericCityMatch) {
-                  opts.city = genericCityMatch;
+                // Final fallback: the city without a prefix
+                if (city) {
+                  opts.city = city;
                   limit = 50;
                 }
               }
             }
-            const text = formatUpcomingFlights(limit, opts);
+            // A flight number or booking code picks out the flight, whatever the date.
+            if (flightNumber || confirmation) Object.assign(opts, { flightNumber, confirmation });
+            const { flights = [] } = await this.dataSource.getFlights();
+            const text = formatUpcomingFlights(flights, limit, opts);
             return { type: "schedule", text };
           } catch (e) {
             console.error("[TmAiEngine] Error in travel handler:", e);
@@ -793,59 +1191,19 @@ try {
 
 // The export statement is correct, creating and exporting one instance of the engine.
 const engine = new TmAiEngine();
-setImmediate(() => engine.loadTimeTermsFromDb && engine.loadTimeTermsFromDb());
+setImmediate(() => {
+  // Nothing injected by startup code (scripts, REPL): use the TM_DATA_SOURCE default.
+  if (!engine._dataSource) engine.setDataSource(createDataSource());
+  engine.loadTimeTermsFromDb && engine.loadTimeTermsFromDb();
+});
 module.exports = engine;
 
 // -------- Updated flights formatter (timezone-aware) --------
-function formatUpcomingFlights(limit = 10, opts = {}) {
-  const fs = require("fs");
-  const path = require("path");
-  const file = path.resolve(__dirname, "..", "data", "travel_flights.csv");
-  if (!fs.existsSync(file)) return "I found 0 flights.";
-
-  const txt = fs.readFileSync(file, "utf8");
-  const lines = txt.split(/\r?\n/).filter(Boolean);
-  if (lines.length <= 1) return "I found 0 flights.";
-
-  const header = lines.shift();
-  const cols = header.split(",");
-  const idx = (n) => cols.indexOf(n);
-
-  const I = {
-    airline: idx("airline"),
-    flight_number: idx("flight_number"),
-    departure_city: idx("departure_city"),
-    arrival_city: idx("arrival_city"),
-    departure_time: idx("departure_time"),
-    arrival_time: idx("arrival_time"),
-    departure_timezone: idx("departure_timezone"),
-    arrival_timezone: idx("arrival_timezone"),
-    confirmation: idx("confirmation"),
-  };
-
-  function parseCSV(line) {
-    const out = []; let cur = ""; let q = false;
-    for (let i = 0; i < line.length; i++) {
-      const c = line[i];
-      if (c === '"') { if (q && line[i + 1] === '"') { cur += '"'; i++; } else { q = !q; } }
-      else if (c === "," && !q) { out.push(cur); cur = ""; }
-      else { cur += c; }
-    }
-    out.push(cur);
-    while (out.length < cols.length) out.push("");
-    return out;
-  }
-
-  const rows = lines.map(parseCSV).map(a => ({
-    airline: a[I.airline],
-    flight_number: a[I.flight_number],
-    departure_city: a[I.departure_city],
-    arrival_city: a[I.arrival_city],
-    departure_time: a[I.departure_time],
-    arrival_time: a[I.arrival_time],
-    departure_timezone: a[I.departure_timezone] || opts.userTz || "Australia/Sydney",
-    arrival_timezone: a[I.arrival_timezone],
-    confirmation: a[I.confirmation],
+// flights: rows from dataSource.getFlights()
+function formatUpcomingFlights(flights, limit = 10, opts = {}) {
+  const rows = (flights || []).map(f => ({
+    ...f,
+    departure_timezone: f.departure_timezone || opts.userTz || "Australia/Sydney",
   })).filter(r => r.departure_time);
 
   function getOffsetMinutesAt(utcMs, tz) {
@@ -886,7 +1244,14 @@ function formatUpcomingFlights(limit = 10, opts = {}) {
     );
   }
 
-  list = list.filter(r => r.depEpoch >= nowUtc).sort((a, b) => a.depEpoch - b.depEpoch);
+  if (opts.flightNumber || opts.confirmation) {
+    const code = (v) => String(v || "").replace(/\s+/g, "").toUpperCase();
+    list = list.filter(r => (opts.flightNumber && code(r.flight_number) === opts.flightNumber) ||
+      (opts.confirmation && code(r.confirmation) === opts.confirmation));
+  } else {
+    list = list.filter(r => r.depEpoch >= nowUtc);
+  }
+  list.sort((a, b) => a.depEpoch - b.depEpoch);
 
   if (opts.todayOnly) {
     const fmtUser = new Intl.DateTimeFormat("en-CA", {
@@ -931,18 +1296,28 @@ function formatUpcomingFlights(limit = 10, opts = {}) {
 // ==== Appended helper methods (prototype patch; no anchors needed) ====
 // parseCityAndTerm: extract {city, term} from user text (e.g., "what time is soundcheck in brisbane")
 if (typeof TmAiEngine !== "undefined" && TmAiEngine.prototype) {
-  TmAiEngine.prototype.parseCityAndTerm = function(q) {
-    const text = String(q || "").toLowerCase();
-    const cities = (this.cities || []).map(c => String(c).toLowerCase()).filter(Boolean);
+  // The place comes from the message's entity spans (pass `entities`, see entitiesFor; they're
+  // only extracted here when not given), and its words are cut out of the term
+  // ("soundcheck at sydney opera house" -> city sydney, term soundcheck).
+  TmAiEngine.prototype.parseCityAndTerm = function(q, entities = null) {
+    let text = String(q || "").toLowerCase();
     let foundCity = null;
-    for (const c of cities) {
-      if (text.includes(c)) { foundCity = c; break; }
+    const named = entities || (this.entityIndex ? extractEntities(text, this.entityIndex) : null);
+    if (named) {
+      foundCity = named.city || null;
+      (named.spans || []).filter(s => ["venue", "venue_id", "show_id", "city"].includes(s.type))
+        .forEach(s => { text = text.replace(String(s.text).toLowerCase(), " "); });
+    } else {
+      const cities = (this.cities || []).map(c => String(c).toLowerCase()).filter(Boolean);
+      for (const c of cities) {
+        if (text.includes(c)) { foundCity = c; break; }
+      }
     }
     let term = text
       .replace(/what\s+time\s+(is|for|do\s+we\s+have|does\s+.*\s+start)\s*/g, "")
       .replace(/\?+$/,"");
     if (foundCity) term = term.replace(foundCity, "").trim();
-    term = term.replace(/\b(in|at|the)\b/g, " ").replace(/\s+/g, " ").trim();
+    term = term.replace(/\b(in|at|for|the)\b/g, " ").replace(/\s+/g, " ").trim();
     return { city: foundCity, term };
   };
 
@@ -953,7 +1328,7 @@ if (typeof TmAiEngine !== "undefined" && TmAiEngine.prototype) {
     if (!t) return null;
 
     // Try to access the shared data source that exposes getShows()
-    const ds = (this && this.dataSource) || (typeof dataSource !== "undefined" ? dataSource : null);
+    const ds = this && this.dataSource;
     let first = null;
     try {
       if (ds && ds.getShows) {
@@ -1014,13 +1389,15 @@ if (typeof TmAiEngine !== "undefined" && TmAiEngine.prototype) {
   };
 }
 
-// Return the next (earliest) show for a given city (case-insensitive).
+// Return the next (earliest) show for a given city (case-insensitive),
+// optionally within a { date_from, date_to } range from parseDateExpression().
 // Prototype patch so we don't depend on class location.
 if (typeof TmAiEngine !== "undefined" && TmAiEngine.prototype) {
-  TmAiEngine.prototype.getNextShowByCity = async function(cityLower) {
-    const ds = (this && this.dataSource) || (typeof dataSource !== "undefined" ? dataSource : null);
+  TmAiEngine.prototype.getNextShowByCity = async function(cityLower, range = null) {
+    const ds = this && this.dataSource;
     try {
-      const { shows = [] } = ds && ds.getShows ? await ds.getShows({}) : { shows: [] };
+      const filters = range ? { date_from: range.date_from, date_to: range.date_to } : {};
+      const { shows = [] } = ds && ds.getShows ? await ds.getShows(filters) : { shows: [] };
       const target = String(cityLower || "").toLowerCase();
       let best = null;
       for (const s of shows) {
@@ -0,0 +1,174 @@
+// backend/services/tmAuthService.js
+// Login, token issue/refresh/revoke and Express middleware for tour-party members.
+// Access tokens are short-lived JWTs; refresh tokens are JWTs whose jti is tracked so they can be
+// rotated and revoked. Requires a table:
+//   tm_auth_refresh_tokens(jti TEXT PRIMARY KEY, member_id TEXT NOT NULL,
+//                          expires_at TIMESTAMPTZ NOT NULL, revoked_at TIMESTAMPTZ,
+//                          created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP)
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const pool = require('../db/pool');
+const BandMember = require('../models/bandMember');
+
+const ACCESS_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TTL = process.env.JWT_REFRESH_TTL || '7d';
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+
+let dummyHash = null;
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function secret() {
+  const s = process.env.JWT_SECRET;
+  if (!s) throw new Error('JWT_SECRET is not set');
+  return s;
+}
+
+async function hashPassword(password) {
+  return bcrypt.hash(String(password), BCRYPT_ROUNDS);
+}
+
+/**
+ * Issue an access + refresh token pair and record the refresh jti.
+ * @param {object} member - { member_id, role }
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: string}>}
+ */
+async function issueTokens(member) {
+  const accessToken = jwt.sign({ role: member.role, typ: 'access' }, secret(), {
+    subject: member.member_id,
+    expiresIn: ACCESS_TTL,
+  });
+
+  const jti = crypto.randomUUID();
+  const refreshToken = jwt.sign({ typ: 'refresh' }, secret(), {
+    subject: member.member_id,
+    expiresIn: REFRESH_TTL,
+    jwtid: jti,
+  });
+  const { exp } = jwt.decode(refreshToken);
+  await pool.query(
+    `INSERT INTO tm_auth_refresh_tokens (jti, member_id, expires_at) VALUES ($1, $2, to_timestamp($3))`,
+    [jti, member.member_id, exp]
+  );
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TTL };
+}
+
+/**
+ * Check credentials and issue tokens.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{member: object, tokens: object}>}
+ */
+async function login(email, password) {
+  if (!email || !password) throw new AuthError('email and password are required', 400);
+  const found = await BandMember.findByEmailWithSecret(email);
+  // Compare even when the member is missing so timing doesn't reveal which emails exist.
+  if (!dummyHash) dummyHash = await hashPassword(crypto.randomUUID());
+  const hash = (found && found.password_hash) || dummyHash;
+  const ok = await bcrypt.compare(String(password), hash);
+  if (!found || !found.password_hash || !ok) throw new AuthError('Invalid email or password');
+
+  const { password_hash, ...member } = found;
+  return { member, tokens: await issueTokens(member) };
+}
+
+function verify(token, typ) {
+  let claims;
+  try {
+    claims = jwt.verify(token, secret());
+  } catch (e) {
+    throw new AuthError(e.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+  if (claims.typ !== typ) throw new AuthError('Invalid token');
+  return claims;
+}
+
+/**
+ * Rotate a refresh token: revoke it and issue a fresh pair.
+ * @param {string} refreshToken
+ */
+async function refresh(refreshToken) {
+  if (!refreshToken) throw new AuthError('refreshToken is required', 400);
+  const claims = verify(refreshToken, 'refresh');
+  const { rowCount } = await pool.query(
+    `UPDATE tm_auth_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE jti = $1 AND member_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [claims.jti, claims.sub]
+  );
+  if (!rowCount) throw new AuthError('Refresh token revoked');
+
+  // Role may have changed since the last login; re-read it.
+  const member = await BandMember.findById(claims.sub);
+  if (!member) throw new AuthError('Member is no longer active');
+  return { member, tokens: await issueTokens(member) };
+}
+
+/**
+ * Revoke a refresh token. Unknown or already-revoked tokens are not an error.
+ * @param {string} refreshToken
+ */
+async function logout(refreshToken) {
+  if (!refreshToken) throw new AuthError('refreshToken is required', 400);
+  const claims = verify(refreshToken, 'refresh');
+  await pool.query(
+    `UPDATE tm_auth_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE jti = $1 AND revoked_at IS NULL`,
+    [claims.jti]
+  );
+}
+
+/**
+ * Verify an access token and return the member it belongs to.
+ * @param {string} accessToken
+ * @returns {{member_id: string, role: string}}
+ */
+function authenticateToken(accessToken) {
+  const claims = verify(accessToken, 'access');
+  return { member_id: claims.sub, role: BandMember.normalizeRole(claims.role) };
+}
+
+/**
+ * Express middleware: requires "Authorization: Bearer <access token>" and sets req.member.
+ */
+function authenticate(req, res, next) {
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (!m) return res.status(401).json({ error: 'Authentication required' });
+  try {
+    req.member = authenticateToken(m[1].trim());
+    next();
+  } catch (e) {
+    res.status(e.status || 401).json({ error: e.message });
+  }
+}
+
+/**
+ * Express middleware factory: only let the given roles through (use after authenticate).
+ * @param {...string} roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.member || !roles.includes(req.member.role)) {
+      return res.status(403).json({ error: 'Forbidden for your role' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  AuthError,
+  hashPassword,
+  login,
+  refresh,
+  logout,
+  authenticateToken,
+  authenticate,
+  requireRole,
+};
@@ -1,16 +1,215 @@
 // backend/services/tmCommandHandlers.js
+const { buildMerchReport } = require('./merchReport');
+const { UnsupportedError } = require('./tableDataSource');
+const { fmtMoney } = require('../utils/textUtils');
+const { DEFAULT_TZ, ymdInTz, localIsoInTz, parseSetTimes } = require('../utils/timeUtils');
+
+// Venue questions → getVenue() field. First match wins, so keep the specific ones first.
+const VENUE_FIELD_PATTERNS = [
+  { field: 'load_in_info', rx: /loading\s*dock|\bdock\b|stage\s*door|load[\s-]?in\s*(info|access|point)/ },
+  { field: 'parking_info', rx: /\bpark(ing)?\b/ },
+  { field: 'capacity',     rx: /capacity|\bcap\b|how\s+many\s+(people|does\s+it\s+hold)|how\s+big/ },
+  { field: 'contact',      rx: /contact|\bemail\b|who(’|'|\s+i)?s\s+(the\s+)?(venue|promoter|rep)|\bwho\s+do\s+(i|we)\s+(call|talk\s+to)/ },
+  { field: 'phone',        rx: /\bphone\b|\bnumber\b/ },
+  { field: 'website',      rx: /website|\burl\b|\bsite\b/ },
+  { field: 'address',      rx: /address|located|location|where(’|')?s\s+the\s+venue|where\s+is\s+the\s+venue/ },
+];
+
+const VENUE_FIELD_LABELS = {
+  address: 'Address',
+  capacity: 'Capacity',
+  phone: 'Phone',
+  website: 'Website',
+  parking_info: 'Parking',
+  load_in_info: 'Load-in',
+  contact: 'Venue contact',
+};
+
+const VENUE_FIELD_ICONS = {
+  address: '📍',
+  capacity: '👥',
+  phone: '☎️',
+  website: '🌐',
+  parking_info: '🅿️',
+  load_in_info: '🚚',
+  contact: '🧑‍💼',
+};
+
+const VENUE_CARD_FIELDS = ['address', 'capacity', 'load_in_info', 'parking_info', 'contact', 'phone', 'website'];
+
+function pickVenueField(message) {
+  const q = String(message || '').toLowerCase();
+  const hit = VENUE_FIELD_PATTERNS.find(p => p.rx.test(q));
+  return hit ? hit.field : null;
+}
+
+function formatVenueField(venue, field) {
+  switch (field) {
+    case 'address': {
+      const a = venue.address || {};
+      return [a.street, a.city, [a.state, a.zip].filter(Boolean).join(' '), a.country].filter(Boolean).join(', ');
+    }
+    case 'capacity':
+      return Number.isFinite(venue.capacity) ? venue.capacity.toLocaleString('en-AU') : '';
+    case 'contact': {
+      const c = venue.contact || {};
+      return [c.name, c.phone, c.email].filter(Boolean).join(' · ');
+    }
+    default:
+      return venue[field] || '';
+  }
+}
+
+// "04:23" → 263, "1:02:10" → 3730. Returns 0 for blanks/garbage so totals stay usable.
+function parseDuration(value) {
+  const parts = String(value || '').trim().split(':').map(Number);
+  if (!parts.length || parts.some(n => !Number.isFinite(n))) return 0;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function fmtDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const sec = seconds % 60;
+  const pad = n => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(sec)}` : `${m}:${pad(sec)}`;
+}
+
+function summarizeSets(sets) {
+  const out = sets.map(st => {
+    const songs = st.songs.map(song => ({ ...song, seconds: parseDuration(song.duration) }));
+    return { name: st.name, songs, running_seconds: songs.reduce((sum, song) => sum + song.seconds, 0) };
+  });
+  return { sets: out, total: out.reduce((sum, st) => sum + st.running_seconds, 0) };
+}
+
+// Scheduled stage time in minutes: prefer set_times ranges ("20:00–21:15", several allowed),
+// fall back to set_length ("75m", "1h15m", "75").
+function scheduledSetMinutes(show) {
+  const ranges = parseSetTimes(show.set_times);
+  if (ranges.length) return ranges.reduce((sum, r) => sum + r.minutes, 0);
+  const len = String(show.set_length || '').trim().toLowerCase();
+  const hm = len.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m?)?$/);
+  if (len && hm && (hm[1] || hm[2])) return Number(hm[1] || 0) * 60 + Number(hm[2] || 0);
+  return null;
+}
+
+function compareToSchedule(runningSeconds, scheduledMinutes) {
+  if (scheduledMinutes == null) return null;
+  const diff = runningSeconds - scheduledMinutes * 60;
+  if (Math.abs(diff) < 60) return `✅ Fits the scheduled ${scheduledMinutes}m slot.`;
+  return diff > 0
+    ? `⚠️ Runs ${fmtDuration(diff)} over the scheduled ${scheduledMinutes}m slot.`
+    : `🕒 ${fmtDuration(-diff)} under the scheduled ${scheduledMinutes}m slot.`;
+}
+
+// Expense category words people actually type → expenses.csv category.
+const EXPENSE_CATEGORY_PATTERNS = [
+  { category: 'hotels',           rx: /hotels?|accommodation|rooms?/ },
+  { category: 'flights',          rx: /flights?|air\s*fares?|airfares?/ },
+  { category: 'ground_transport', rx: /ground|bus(es)?|vans?|transport|cars?/ },
+  { category: 'catering',         rx: /catering|food|meals?/ },
+  { category: 'production',       rx: /production|gear|lighting|backline|rehearsals?/ },
+  { category: 'crew',             rx: /crew|stagehands?|wages?|labou?r/ },
+  { category: 'insurance',        rx: /insurance/ },
+];
+
+const labelCategory = c => c.replace(/_/g, ' ');
+
+function pickExpenseCategory(q) {
+  const hit = EXPENSE_CATEGORY_PATTERNS.find(p => p.rx.test(q));
+  return hit ? hit.category : null;
+}
+
 const commandHandlers = {
   // Tour & Show Schedule
   show_schedule: (message, intent, member) => {
     return "I'm working on show schedule functionality. Try again later!";
   },
   
-  venue_info: (message, intent, member) => {
-    return "I'm working on venue info functionality. Try again later!";
+  venue_info: async (message, intent, member, { dataSource, show } = {}) => {
+    if (!show) {
+      return { type: 'fallback', text: 'Which venue do you mean? Give me a city or venue name (e.g., “capacity in Brisbane?”).' };
+    }
+    const venue = dataSource && show.venue_id ? await dataSource.getVenue(show.venue_id) : null;
+    if (!venue) {
+      return { type: 'fallback', text: `I don’t have venue details for ${show.venue_name || show.city} yet.` };
+    }
+
+    const where = `${venue.name} (${show.city}, ${show.date})`;
+    const field = pickVenueField(message);
+    const data = { show_id: show.show_id, field, venue };
+
+    if (field) {
+      const value = formatVenueField(venue, field);
+      if (!value) {
+        return { type: 'fallback', text: `I don’t have ${VENUE_FIELD_LABELS[field].toLowerCase()} for ${where}.` };
+      }
+      return { type: 'venue', text: `${VENUE_FIELD_LABELS[field]} for ${where}: ${value}`, data };
+    }
+
+    const lines = [`🏟️ ${venue.name}`];
+    for (const f of VENUE_CARD_FIELDS) {
+      const value = formatVenueField(venue, f);
+      if (value) lines.push(`    ${VENUE_FIELD_ICONS[f]} ${VENUE_FIELD_LABELS[f]}: ${value}`);
+    }
+    return { type: 'venue', text: lines.join('\n'), data };
   },
 
-  setlist: (message, intent, member) => {
-    return "I'm working on setlist functionality. Try again later!";
+  setlist: async (message, intent, member, { dataSource, show } = {}) => {
+    if (!show) {
+      return { type: 'fallback', text: 'Which show? Give me a city or venue (e.g., “setlist for Melbourne”).' };
+    }
+    const setlist = dataSource ? await dataSource.getSetlist(show.show_id) : null;
+    const sets = setlist && setlist.sets ? setlist.sets : [{ name: 'Set', songs: (setlist && setlist.songs) || [] }];
+    const where = `${show.city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}`;
+    if (!sets.some(st => st.songs.length)) {
+      return { type: 'fallback', text: `I don’t have a setlist for ${where} yet.` };
+    }
+
+    const summary = summarizeSets(sets);
+    const scheduled = scheduledSetMinutes(show);
+    const data = { show_id: show.show_id, sets: summary.sets, running_seconds: summary.total, scheduled_minutes: scheduled };
+    const q = String(message || '').toLowerCase();
+
+    const songNo = q.match(/\bsong\s*(?:number\s*|#\s*)?(\d+)\b|\b(\d+)(?:st|nd|rd|th)\s+song\b/);
+    if (songNo) {
+      const n = Number(songNo[1] || songNo[2]);
+      const flat = summary.sets.flatMap(st => st.songs.map((song, i) => ({ ...song, set: st.name, set_position: i + 1 })));
+      const song = flat[n - 1];
+      if (!song) {
+        return { type: 'fallback', text: `The setlist for ${where} only has ${flat.length} songs.` };
+      }
+      const extras = [song.duration, song.notes].filter(Boolean).join(', ');
+      const setNote = summary.sets.length > 1 ? ` — ${song.set}, #${song.set_position}` : '';
+      return {
+        type: 'setlist',
+        text: `Song ${n} for ${where}: ${song.title}${extras ? ` (${extras})` : ''}${setNote}`,
+        data: { ...data, song: { position: n, ...song } },
+      };
+    }
+
+    const lines = [];
+    if (/how\s+long|running\s*time|run\s*time|set\s*length|length\s+of\s+the\s+set|duration/.test(q)) {
+      lines.push(`Running time for ${where}: ${fmtDuration(summary.total)}`);
+      if (summary.sets.length > 1) {
+        for (const st of summary.sets) lines.push(`    ${st.name}: ${fmtDuration(st.running_seconds)} (${st.songs.length} songs)`);
+      }
+    } else {
+      lines.push(`Setlist for ${where}:`);
+      for (const st of summary.sets) {
+        if (summary.sets.length > 1) lines.push('', `${st.name} (${fmtDuration(st.running_seconds)})`);
+        st.songs.forEach((song, i) => {
+          const extras = [song.duration, song.notes].filter(Boolean).join(' · ');
+          lines.push(`${i + 1}. ${song.title}${extras ? ` — ${extras}` : ''}`);
+        });
+      }
+      lines.push('', `⏱️ Total running time: ${fmtDuration(summary.total)}`);
+    }
+    const compare = compareToSchedule(summary.total, scheduled);
+    if (compare) lines.push(compare);
+
+    return { type: 'setlist', text: lines.join('\n'), data };
   },
 
   soundcheck: (message, intent, member) => {
@@ -45,12 +244,153 @@ const commandHandlers = {
     return "I'm working on media info functionality. Try again later!";
   },
 
+  merch: async (message, intent, member, { dataSource, show } = {}) => {
+    const q = String(message || '').toLowerCase();
+    const report = await buildMerchReport(dataSource, show ? { showId: show.show_id } : {});
+
+    if (show) {
+      const s = report.shows[0];
+      const where = `${show.city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}`;
+      if (!s) return { type: 'fallback', text: `No merch sales reported for ${where} yet.` };
+      const lines = [`🛍️ Merch for ${where}: ${fmtMoney(s.gross)} gross, ${s.units} units`];
+      for (const l of s.items) lines.push(`    ${l.item}: ${l.units} × ${fmtMoney(l.price)} = ${fmtMoney(l.gross)}`);
+      lines.push(s.per_cap != null
+        ? `    Per-cap: ${fmtMoney(s.per_cap)} (capacity ${s.capacity.toLocaleString('en-AU')})`
+        : '    Per-cap: n/a (no venue capacity on file)');
+      return { type: 'merch', text: lines.join('\n'), data: s };
+    }
+
+    if (!report.shows.length) return { type: 'fallback', text: 'No merch sales reported yet.' };
+
+    if (/best|top|most\s+popular|biggest\s+seller/.test(q)) {
+      const lines = ['🏆 Best sellers across the tour:'];
+      report.best_sellers.forEach((b, i) => lines.push(`${i + 1}. ${b.item} — ${b.units} units, ${fmtMoney(b.gross)}`));
+      return { type: 'merch', text: lines.join('\n'), data: { best_sellers: report.best_sellers } };
+    }
+
+    if (/per[\s-]?cap|per\s+head/.test(q)) {
+      const lines = ['👥 Merch per-cap by show:'];
+      for (const s of report.shows) {
+        lines.push(`    ${s.date} ${s.city}: ${s.per_cap != null ? fmtMoney(s.per_cap) : 'n/a'}`);
+      }
+      if (report.tour_to_date.per_cap != null) lines.push(`Tour average: ${fmtMoney(report.tour_to_date.per_cap)}`);
+      return { type: 'merch', text: lines.join('\n'), data: report };
+    }
+
+    const t = report.tour_to_date;
+    const lines = [`🛍️ Tour-to-date merch (${t.shows} ${t.shows === 1 ? 'show' : 'shows'}): ${fmtMoney(t.gross)} gross, ${t.units} units`];
+    if (t.per_cap != null) lines.push(`    Average per-cap: ${fmtMoney(t.per_cap)}`);
+    for (const s of report.shows) lines.push(`    ${s.date} ${s.city}: ${fmtMoney(s.gross)} (${s.units} units)`);
+    return { type: 'merch', text: lines.join('\n'), data: report };
+  },
+
+  financial: async (message, intent, member, { dataSource, show } = {}) => {
+    if (!dataSource || !dataSource.getShowFinancials) {
+      return { type: 'fallback', text: 'Financials aren’t available from this data source.' };
+    }
+    const q = String(message || '').toLowerCase();
+    const category = /spen[dt]|cost|expenses?|paid|pay\s+for/.test(q) ? pickExpenseCategory(q) : null;
+
+    // Sources without budgets (Master Tour) throw UnsupportedError; report that, not "no data".
+    const unsupported = (err) => {
+      if (!(err instanceof UnsupportedError)) throw err;
+      return { type: 'fallback', text: `Financials aren’t available from the ${err.source} data source.` };
+    };
+
+    if (show) {
+      let f;
+      try {
+        f = await dataSource.getShowFinancials(show.show_id);
+      } catch (err) {
+        return unsupported(err);
+      }
+      const where = `${show.city} (${show.venue_name || 'TBA'}) on ${show.date || 'TBA'}`;
+      if (!f) return { type: 'fallback', text: `I don’t have financials for ${where}.` };
+      const $ = n => fmtMoney(n, f.currency);
+
+      if (/guarantee/.test(q)) {
+        return { type: 'financial', text: `Guarantee for ${where}: ${$(f.guarantee)} (deposit ${$(f.deposit.amount)} ${f.deposit.status || 'status unknown'}, balance due ${$(f.balance_due)})`, data: f };
+      }
+      if (/deposit/.test(q)) {
+        const due = f.deposit.due_date ? `, due ${f.deposit.due_date}` : '';
+        return { type: 'financial', text: `Deposit for ${where}: ${$(f.deposit.amount)} — ${f.deposit.status || 'status unknown'}${due}`, data: f };
+      }
+      if (/per\s*diems?|\bpd'?s\b/.test(q)) {
+        const pd = f.per_diems;
+        return { type: 'financial', text: `Per diems for ${where}: ${$(pd.rate)} × ${pd.headcount} people × ${pd.days} days = ${$(pd.total)}`, data: f };
+      }
+      if (category) {
+        const spent = f.expenses_by_category[category] || 0;
+        return { type: 'financial', text: `Spent on ${labelCategory(category)} for ${where}: ${$(spent)}`, data: f };
+      }
+
+      const lines = [`💰 ${where}`];
+      lines.push(`    Guarantee: ${$(f.guarantee)} (deposit ${f.deposit.status || 'n/a'})`);
+      for (const [cat, amt] of Object.entries(f.expenses_by_category)) lines.push(`    ${labelCategory(cat)}: −${$(amt)}`);
+      if (f.per_diems.total) lines.push(`    per diems: −${$(f.per_diems.total)}`);
+      lines.push(`    Net: ${$(f.net)}${f.expense_budget ? ` (expense budget ${$(f.expense_budget)}, spent ${$(f.total_expenses)})` : ''}`);
+      return { type: 'financial', text: lines.join('\n'), data: f };
+    }
+
+    const toDate = /to\s+date|so\s+far/.test(q);
+    let tour;
+    try {
+      tour = await dataSource.getTourFinancials(toDate ? { date_to: ymdInTz(new Date(), DEFAULT_TZ) } : {});
+    } catch (err) {
+      return unsupported(err);
+    }
+    const currencies = Object.keys(tour.totals);
+    if (!currencies.length) return { type: 'fallback', text: 'No financial data yet.' };
+
+    const lines = [];
+    if (category) {
+      lines.push(`Spent on ${labelCategory(category)}${toDate ? ' to date' : ' across the tour'}:`);
+      const spent = currencies.filter(cur => tour.totals[cur].expenses_by_category[category]);
+      if (!spent.length) lines.push(`    ${fmtMoney(0)}`);
+      for (const cur of spent) lines.push(`    ${fmtMoney(tour.totals[cur].expenses_by_category[category], cur)}`);
+    } else {
+      lines.push(`📊 Tour P&L${toDate ? ' to date' : ''} (${tour.shows.length} shows):`);
+      for (const cur of currencies) {
+        const t = tour.totals[cur];
+        const $ = n => fmtMoney(n, cur);
+        if (currencies.length > 1) lines.push(`  ${cur}`);
+        lines.push(`    Guarantees: ${$(t.guarantees)} (deposits received ${$(t.deposits_received)})`);
+        lines.push(`    Expenses: −${$(t.expenses)}`);
+        lines.push(`    Per diems: −${$(t.per_diems)}`);
+        lines.push(`    Net: ${$(t.net)}`);
+      }
+    }
+    return { type: 'financial', text: lines.join('\n'), data: tour };
+  },
+
   merch_logistics: (message, intent, member) => {
     return "I'm working on merch logistics functionality. Try again later!";
   },
 
-  history: (message, intent, member) => {
-    return "I'm working on the chat history functionality. Try again later!";
+  // Recent turns from tm_chat_messages (optionally matching a keyword), or "clear my history".
+  history: async (message, intent, member, { chatHistory } = {}) => {
+    const memberId = member && member.member_id;
+    if (!memberId) return { type: 'fallback', text: 'Log in and I’ll keep a history of our chat.' };
+    const { action, keyword } = (intent && intent.entities) || {};
+
+    if (action === 'clear') {
+      const cleared = await chatHistory.clearHistory(memberId);
+      return { type: 'history', text: cleared ? 'Done — our chat history is cleared.' : 'There’s no chat history to clear.' };
+    }
+
+    const turns = await chatHistory.listHistory(memberId, { limit: 10, keyword });
+    if (!turns.length) {
+      return { type: 'history', text: keyword ? `Nothing in our recent chat mentions “${keyword}”.` : 'No chat history yet.' };
+    }
+    const tz = member.timezone || DEFAULT_TZ;
+    const lines = [keyword ? `🕘 Recent chat about “${keyword}”:` : `🕘 Our last ${turns.length === 1 ? 'turn' : `${turns.length} turns`}:`];
+    for (const t of [...turns].reverse()) {
+      const when = localIsoInTz(new Date(t.created_at).getTime(), tz).replace('T', ' ');
+      lines.push(`• ${when} — “${t.question}”${t.intent ? ` (${t.intent})` : ''}`);
+      const answer = String(t.answer || '').split('\n')[0];
+      if (answer) lines.push(`    ↳ ${answer.length > 80 ? `${answer.slice(0, 79)}…` : answer}`);
+    }
+    return { type: 'history', text: lines.join('\n'), data: { turns } };
   },
   
   help: () => {
@@ -58,20 +398,24 @@ const commandHandlers = {
 **Here's a list of what I can help with:**
 
 **Tour & Show Schedule** 🗓️
-- **Show Schedule:** Find upcoming shows, set times, and other schedule details.
+- **Show Schedule:** Find upcoming shows, set times, and other schedule details — by city or by day ("doors tomorrow", "shows next week").
 - **Venue Info:** Get details about venues, contacts, and amenities.
 - **Production Info:** Get details on stage and production infrastructure.
 - **Setlists:** Get the setlist for a specific show.
 - **Soundcheck:** Get details on soundcheck and load-in times.
 - **Travel Info:** Find information on travel, flights, and hotels.
+- **Itinerary Check:** Flag clashes — late flights, hotel gaps, curfews and missing travel.
+- **Day Sheets:** Get the full run of day for a show — calls, soundcheck, travel and notes.
 
 **Day-to-Day Info** 📋
 - **Personnel:** Get information about specific crew or band members.
 - **Amenities:** Get details on day-to-day things like catering and laundry.
 - **Access & Media:** Get info on guest lists, laminates, and press.
+- **Merch:** Get sales per show, best sellers, per-caps and tour-to-date totals.
 
 **System Commands**
-- **History:** See a summary of our recent chat.
+- **History:** See a summary of our recent chat, search it ("what did I ask about doors?") or clear it.
+- **New Conversation:** Start fresh on this device ("new conversation").
 - **Help:** Show this menu.
 `;
     return commandList;
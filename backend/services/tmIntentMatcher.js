@@ -1,48 +1,153 @@
 const { normalize } = require("./normalizer");
-const { lookupExact, lookupInSentence } = require("./termIndex");
-const { cleanName } = require('../utils/textUtils');
+const { lookupExact, lookupFuzzy, lookupInSentence } = require("./termIndex");
+const { classifyIntent } = require("./intentClassifier");
+const { cleanName, FOLLOW_UP_RX } = require('../utils/textUtils');
 
+// Classifier probability needed to take its top intent; below it the message has no intent
+// (or, for a follow-up, keeps the last one unless the classifier is at least MIN_FOLLOW_UP_SWITCH sure).
+const MIN_INTENT_PROBABILITY = 0.5;
+const MIN_FOLLOW_UP_SWITCH = 0.8;
+
+// Chat history: "clear my history", "what did I ask about doors?", "search our chat for hotel".
+const HISTORY_CLEAR_RX = /\b(clear|delete|wipe|erase|reset)\s+(my\s+|our\s+|the\s+)?(chat\s+|conversation\s+)?history\b|\bforget\s+(our|this|the)\s+(chat|conversation)\b/;
+const HISTORY_KEYWORD_RX = /(?:history|chat|conversation)\s+(?:for|about|mentioning)\s+(.+)$|what\s+did\s+(?:i|we)\s+(?:ask|say|talk)\s+about\s+(.+)$/;
+
+// Slots for a history question: clear it, or search it for a keyword.
+function historyEntities(q) {
+  if (HISTORY_CLEAR_RX.test(q)) return { action: 'clear' };
+  const m = q.match(HISTORY_KEYWORD_RX);
+  const keyword = m ? (m[1] || m[2]).replace(/[?.!\s]+$/, '') : null;
+  return keyword ? { keyword } : {};
+}
+
+// Answers to a numbered clarification: "2", "#2", "option 2", "2nd", "the second one", "the last one".
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const CHOICE_NUMBER_RX = /^(?:(?:option|number|no\.?)\s*)?#?(\d{1,2})(?:st|nd|rd|th)?(?:\s+one)?(?:\s+please)?$/;
+const CHOICE_ORDINAL_RX = new RegExp(`^(?:the\\s+)?(${ORDINALS.join('|')}|last)(?:\\s+one)?(?:\\s+please)?$`);
+
+/**
+ * Which option (1-based) a reply picks from a pending clarification, or null if it isn't a pick.
+ * Besides numbers and ordinals, naming a single option works ("qudos", "the day sheet").
+ * @param {string} q - lowercased message
+ * @param {Array<{label: string}>} options
+ */
+function choiceIndex(q, options = []) {
+  const s = q.replace(/[?.!]+$/, '').trim();
+  let m = s.match(CHOICE_NUMBER_RX);
+  if (m) return Number(m[1]);
+  m = s.match(CHOICE_ORDINAL_RX);
+  if (m) return m[1] === 'last' ? options.length : ORDINALS.indexOf(m[1]) + 1;
+  const name = s.replace(/^the\s+/, '').replace(/\s+one$/, '');
+  if (name.length < 3) return null;
+  const named = options.map((o, i) => (String(o.label || '').toLowerCase().includes(name) ? i + 1 : 0)).filter(Boolean);
+  return named.length === 1 ? named[0] : null;
+}
+
+// Words a term question can have around the term and still be just "what is <term>?":
+// "what's the curfew", "tell me about advancing", "and soundcheck?".
+const TERM_FILLER = new Set([
+  'what', 'whats', 'is', 'are', 'the', 'a', 'an', 'and', 'about', 'tell', 'me', 'explain',
+  'define', 'meaning', 'of', 'does', 'mean', 'means', 'how',
+]);
+
+// True when nothing but filler sits outside the alias the index found in the message.
+function coversQuestion(normQ, hit) {
+  if (hit.start == null) return true;
+  const tokens = normQ.split(' ').filter(Boolean);
+  const outside = [...tokens.slice(0, hit.start), ...tokens.slice(hit.start + hit.token_len)];
+  return outside.every(t => TERM_FILLER.has(t));
+}
+
+// Typo-tolerant glossary matching (termIndex fuzzy tier); set TM_TERM_FUZZY=false for exact only.
+const FUZZY_TERMS = process.env.TM_TERM_FUZZY !== 'false';
+// Most confidence a typo'd term found inside a longer question can carry.
+const MAX_IN_SENTENCE_FUZZY_CONFIDENCE = 0.7;
+
+/**
+ * Two stages: the glossary alias index (exact, then fuzzy, then fuzzy inside the sentence) decides term questions
+ * deterministically; everything else is ranked by the intent classifier (intentClassifier.js),
+ * whose top three intents come back as `ranked`. An alias found inside a longer question
+ * ("where's the loading dock in sydney", "setlist for melbourne") only makes it a term lookup
+ * when the classifier doesn't confidently pick another intent.
+ */
 class TmIntentMatcher {
   async matchIntent(content, options = {}, member = {}) {
     const raw = String(content || "");
     const q = cleanName(raw).toLowerCase();
 
     let intent = { intent_type: null, confidence: 0, entities: {} };
+    const followUp = FOLLOW_UP_RX.test(q);
+
+    // A reply to "which one did you mean?" from the previous turn
+    const pending = options.pending_choice;
+    if (pending) {
+      const index = choiceIndex(q, pending.options);
+      if (index) return { intent_type: 'choice', confidence: 0.95, entities: { index } };
+    }
 
     const normQ = normalize(q);
     let hit = lookupExact(normQ) || lookupInSentence(normQ);
 
-    if (!hit) {
-      const m = q.match(/^(what is|what's|define|meaning of)\s+(.+)$/i);
-      if (m && m[2]) {
-        const cand = normalize(m[2]);
-        hit = lookupExact(cand) || lookupInSentence(cand);
-      }
+    const m = hit ? null : q.match(/^(what is|what's|define|meaning of)\s+(an?\s+|the\s+)?(.+)$/i);
+    const cand = m && m[3] ? normalize(m[3]) : null;
+    if (cand) hit = lookupExact(cand) || lookupInSentence(cand);
+
+    // Fuzzy: first the whole message (or its "what is ..." part), then a typo'd term inside a
+    // longer question ("when's sound chek in sydney"). The latter is capped, and always gives way
+    // to a confident classifier below ("what are the per diems" is a money question).
+    if (!hit && FUZZY_TERMS) hit = lookupFuzzy(normQ) || (cand && lookupFuzzy(cand));
+    let typo = null;
+    if (!hit && FUZZY_TERMS) {
+      typo = lookupInSentence(normQ, { fuzzy: true });
+      if (typo) hit = { ...typo, confidence: Math.min(typo.confidence, MAX_IN_SENTENCE_FUZZY_CONFIDENCE) };
+    }
+
+    // The term is the whole question (or its "what is ..." part): a glossary answer.
+    const wholeTerm = hit && !typo && (cand || coversQuestion(normQ, hit));
+
+    let ranked = null;
+    if (hit && !wholeTerm) {
+      ranked = await classifyIntent(q).catch(() => []);
+      const [top] = ranked;
+      if (top && top.intent !== 'term_lookup' && top.probability >= MIN_INTENT_PROBABILITY) hit = null;
     }
 
     if (hit) {
+      const entities = { term_id: hit.term_id, term: hit.term || hit.key || null };
+      if (hit.match) Object.assign(entities, { alias: hit.alias, match: hit.match });
+      // Overlapping aliases of different terms ("press day sheet"): the engine asks which one.
+      if (hit.alternatives) {
+        entities.alternatives = [hit, ...hit.alternatives]
+          .map(({ term_id, alias, start, token_len }) => ({ term_id, alias, start, token_len }));
+      }
       return {
         intent_type: "term_lookup",
-        confidence: 0.99,
-        entities: { term_id: hit.term_id, term: hit.term || hit.key || null }
+        confidence: hit.confidence || 0.99,
+        entities
       };
     }
 
     try {
-      if (/schedule|showtime|what time.*show|(^|\s)show(s)?(\s|$)/.test(q)) {
-        intent = { intent_type: 'show_schedule', confidence: 0.95, entities: {} };
-      } else if (/load in|load-out|sound.?check|curfew|setlist/.test(q)) {
-        intent = { intent_type: 'production', confidence: 0.9, entities: {} };
-      } else if (/flight|airport|travel|hotel|check[- ]?in|check[- ]?out/.test(q)) {
-        intent = { intent_type: 'travel', confidence: 0.9, entities: {} };
-      } else if (/merch|merchandise|t[- ]?shirts?|hoodies?|seller|stand/.test(q)) {
-        intent = { intent_type: 'merch', confidence: 0.9, entities: {} };
-      } else if (/budget|costs?|expenses?|financial|accounting|invoice|payment/.test(q)) {
-        intent = { intent_type: 'financial', confidence: 0.9, entities: {} };
-      } else if (/press|media|interview|photographer|photo\s?pass|press commitments?/.test(q)) {
-        intent = { intent_type: 'media', confidence: 0.9, entities: {} };
-      } else if (/^(help|what can i ask|what can you do)/.test(q)) {
-        intent = { intent_type: 'help', confidence: 0.99, entities: {} };
+      if (!ranked) ranked = await classifyIntent(q);
+      const [top] = ranked;
+      // A follow-up keeps the last intent unless it clearly asks something else ("and the setlist?").
+      const keepLast = followUp && options.last_intent;
+      const min = keepLast ? MIN_FOLLOW_UP_SWITCH : MIN_INTENT_PROBABILITY;
+      if (top && top.probability >= min) {
+        intent = {
+          intent_type: top.intent,
+          confidence: Math.round(top.probability * 100) / 100,
+          entities: {},
+        };
+      } else if (keepLast) {
+        // "what about sydney?" — same question as last turn, with the slots it names swapped in
+        intent = { intent_type: options.last_intent, confidence: 0.7, entities: {} };
+      }
+      if (ranked.length) intent.ranked = ranked.slice(0, 3);
+
+      if (intent.intent_type === 'history') intent.entities = historyEntities(q);
+      if (followUp && intent.intent_type) {
+        intent.entities = { ...intent.entities, follow_up: true };
       }
     } catch (e) {
       intent = {
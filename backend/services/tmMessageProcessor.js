@@ -5,28 +5,142 @@ const aiEngine = require("./tmAiEngine");
 const pool = require('../db/pool');
 const tmIntentMatcher = require('./tmIntentMatcher');
 const TmAiEngine = require('./tmAiEngine');
+const { resolveMember } = require('../models/bandMember');
+const { isTimezone } = require('../utils/timeUtils');
+const chatSessions = require('../models/tmChatSession');
+const { generateHexId } = require('../utils/generateHexId');
+const { splitCompoundQuery } = require('./compoundQuery');
+
+// Sessions unused for this long are not reused; the next message starts a new one.
+const DEFAULT_IDLE_MINUTES = 120;
+// Client session ids (one per device/tab) are opaque to us; keep them short and printable.
+const CLIENT_SESSION_ID_RX = /^[\w-]{1,64}$/;
+
+/**
+ * One reply for a compound question: the parts' texts in the order asked, and each part's own
+ * question, intent and response type in `parts`.
+ * @param {Array<{question: string, intent: object, aiResponse: object}>} answers
+ * @returns {{intent: object, aiResponse: object}}
+ */
+function mergeAnswers(answers) {
+  const parts = answers.map(({ question, intent, aiResponse }) => ({
+    question,
+    intent_type: (intent && intent.intent_type) || null,
+    ...aiResponse,
+    type: (aiResponse && aiResponse.type) || 'answer',
+  }));
+  return {
+    intent: {
+      intent_type: 'multi',
+      confidence: Math.min(...answers.map(a => (a.intent && a.intent.confidence) || 0)),
+      entities: {
+        parts: answers.map(({ question, intent }) => ({
+          question,
+          intent_type: (intent && intent.intent_type) || null,
+          entities: (intent && intent.entities) || {},
+        })),
+      },
+    },
+    aiResponse: { type: 'multi', text: parts.map(p => p.text).filter(Boolean).join('\n\n'), parts },
+  };
+}
 
 class TmMessageProcessor {
   constructor() {
     this.pool = pool;
     this.intentMatcher = tmIntentMatcher;
     this.aiEngine = aiEngine;
+    // "member_id|client_session_id" -> last conversation context, used when the session row can't be read
+    this.contexts = new Map();
+    this.idleMinutes = Number(process.env.TM_SESSION_IDLE_MINUTES) || DEFAULT_IDLE_MINUTES;
   }
 
   /**
    * Main entry: process one inbound message.
    * @param {string} content
    * @param {object} convoContext
-   * @param {object} member
+   * @param {object} member - may carry the member's IANA `timezone` for "today"
+   * @param {object} [opts]
+   * @param {string} [opts.clientSessionId] - the sending device's id; each device keeps its own session
+   */
+  async processMessage(content, convoContext, member, { clientSessionId } = {}) {
+    // ---- Member stage: role comes from tm_tour_party, never from the caller ----
+    member = { ...member, ...(await resolveMember(member)) };
+    if (member.timezone && !isTimezone(member.timezone)) delete member.timezone;
+    const clientId = this.normalizeClientSessionId(clientSessionId);
+    convoContext = await this.contextFor(member.member_id, clientId, convoContext);
+
+    // ---- Compound questions: each part is answered on its own, sharing the place and day ----
+    let questions = [content];
+    const parts = splitCompoundQuery(content);
+    if (parts.length > 1) {
+      try {
+        questions = await this.aiEngine.shareSlots(content, parts);
+      } catch (e) {
+        console.error('[MessageProcessor] Could not share place/day across parts:', e.message);
+        questions = parts;
+      }
+    }
+    const waiting = (convoContext.pending_choice && convoContext.pending_choice.rest) || [];
+    let answers = await this.answerParts(questions, convoContext, member, clientId);
+    // A pick for a compound question's "which one?" goes on to the parts that were waiting on it.
+    const [first] = answers;
+    if (waiting.length && first.intent && first.intent.intent_type === 'choice') {
+      if (!convoContext.pending_choice) {
+        answers = answers.concat(await this.answerParts(waiting, convoContext, member, clientId));
+      } else if (!convoContext.pending_choice.rest) {
+        // the picked question needs another pick first
+        convoContext.pending_choice.rest = waiting;
+      }
+    }
+    const { intent, aiResponse } = answers.length > 1 ? mergeAnswers(answers) : first;
+    if (member.member_id) this.contexts.set(`${member.member_id}|${clientId || ''}`, convoContext);
+
+    // ---- Persist message ----
+    try {
+      await this.saveMessage(member.member_id, content, intent, aiResponse, convoContext, clientId);
+    } catch (e) {
+      console.error('[MessageProcessor] Failed to save message:', e);
+    }
+
+    return { intent, aiResponse };
+  }
+
+  /**
+   * Answer questions in order. At the first one that needs a clarification the rest wait on
+   * the pending choice (`pending_choice.rest`) and are answered after the user picks.
+   * @returns {Promise<Array<{question: string, intent: object, aiResponse: object}>>}
+   */
+  async answerParts(questions, convoContext, member, clientId) {
+    const answers = [];
+    for (const [i, question] of questions.entries()) {
+      const answer = await this.answer(question, convoContext, member, clientId);
+      answers.push({ question, ...answer });
+      const rest = questions.slice(i + 1);
+      if (answer.aiResponse && answer.aiResponse.type === 'clarification' && convoContext.pending_choice) {
+        if (rest.length) convoContext.pending_choice.rest = rest;
+        break;
+      }
+    }
+    return answers;
+  }
+
+  /**
+   * Match and answer one question, updating the conversation context.
+   * @returns {Promise<{intent: object, aiResponse: object}>}
    */
-  async processMessage(content, convoContext, member) {
+  async answer(content, convoContext, member, clientId) {
     let intent, aiResponse;
 
     // ---- Intent stage ----
     try {
       intent = await this.intentMatcher.matchIntent(
         content,
-        { last_entities: this.pickLastEntities(convoContext) },
+        {
+          last_entities: this.pickLastEntities(convoContext),
+          last_intent: convoContext.last_intent || null,
+          pending_choice: convoContext.pending_choice || null,
+        },
         member
       );
     } catch (e) {
@@ -39,14 +153,28 @@ class TmMessageProcessor {
       };
     }
 
-    // ---- AI Engine stage ----
+    // ---- Entity stage: places, show IDs, dates, flights, codes and people, with their spans ----
+    // The matcher's own slots (term_id, alternatives, ...) win; a "choice" carries its question's.
+    if (intent.intent_type !== 'choice') {
+      try {
+        intent.entities = { ...(await this.aiEngine.entitiesIn(content)), ...(intent.entities || {}) };
+      } catch (e) {
+        console.error('[TmMessageProcessor] entity extraction failed:', e.message);
+      }
+    }
+
+    // ---- AI Engine stage ("new conversation" is ours: it's about the session, not the tour) ----
     try {
-      aiResponse = await this.aiEngine.generateResponse({
-        message: content,
-        intent,
-        context: convoContext,
-        member,
-      });
+      if (intent && intent.intent_type === 'new_session') {
+        aiResponse = await this.startNewConversation(member.member_id, clientId, convoContext);
+      } else {
+        aiResponse = await this.aiEngine.generateResponse({
+          message: content,
+          intent,
+          context: convoContext,
+          member,
+        });
+      }
     } catch (e) {
       aiResponse = {
         text: 'Sorry, I had an error generating a response.',
@@ -54,27 +182,23 @@ class TmMessageProcessor {
       };
     }
 
-    // ---- Persist message ----
-    try {
-      await this.saveMessage(member.member_id, content, intent, aiResponse);
-    } catch (e) {
-      console.error('[MessageProcessor] Failed to save message:', e);
-    }
-
+    // ---- Context stage: the engine filled entities for this turn ----
+    // A "choice" reply replays the question it answers, so that question stays the last intent.
+    if (intent && intent.intent_type && intent.intent_type !== 'choice') convoContext.last_intent = intent.intent_type;
     return { intent, aiResponse };
   }
 
   /**
-   * Save chat message to DB.
+   * Save chat message to DB, and the conversation context on the session.
    */
-  async saveMessage(memberId, content, intent, aiResponse) {
+  async saveMessage(memberId, content, intent, aiResponse, convoContext = null, clientSessionId = null) {
   const client = await this.pool.connect();
   try {
     await client.query('BEGIN');
-    const session = await this.ensureSession(client, memberId);
+    const session = await this.ensureSession(client, memberId, clientSessionId);
 
     // insert USER message
-    const userMsgId = await this.generateHexId();
+    const userMsgId = await generateHexId('chat_message_id', { client });
     await client.query(
       `INSERT INTO tm_chat_messages (message_id, session_id, sender_type, content, intent, entities)
        VALUES ($1, $2, $3, $4, $5, $6)`,
@@ -89,7 +213,7 @@ class TmMessageProcessor {
     );
 
     // insert BOT message
-    const botMsgId = await this.generateHexId();
+    const botMsgId = await generateHexId('chat_message_id', { client });
     await client.query(
       `INSERT INTO tm_chat_messages (message_id, session_id, sender_type, content, intent, entities)
        VALUES ($1, $2, $3, $4, $5, $6)`,
@@ -103,10 +227,14 @@ class TmMessageProcessor {
       ]
     );
 
-    // bump session last_activity
+    // bump session last_activity; keep the context for the next turn
     await client.query(
-      `UPDATE tm_chat_sessions SET last_activity = CURRENT_TIMESTAMP WHERE session_id = $1`,
-      [session.session_id]
+      `UPDATE tm_chat_sessions
+       SET last_activity = CURRENT_TIMESTAMP,
+           session_metadata = CASE WHEN $2::jsonb IS NULL THEN session_metadata
+             ELSE jsonb_set(COALESCE(session_metadata, '{}'::jsonb), '{context}', $2::jsonb) END
+       WHERE session_id = $1`,
+      [session.session_id, convoContext ? JSON.stringify(convoContext) : null]
     );
     await client.query('COMMIT');
   } catch (e) {
@@ -117,53 +245,98 @@ class TmMessageProcessor {
   }
 
   /**
-   * Ensure a session row exists, otherwise create one.
+   * Ensure a live session row exists for this member and client, otherwise create one.
+   * A session past the idle limit is closed rather than reused.
    */
   }
-  async ensureSession(client, memberId) {
-    try {
-      const existing = await client.query(
-        `SELECT session_id FROM tm_chat_sessions WHERE member_id = $1 AND is_active = true ORDER BY started_at DESC LIMIT 1`,
-        [memberId]
-      );
+  async ensureSession(client, memberId, clientSessionId = null) {
+    const existing = await chatSessions.findActiveSession(memberId, clientSessionId, this.idleMinutes, client);
+    if (existing) return existing;
 
-      if (existing.rows[0]) {
-        return existing.rows[0];
-      }
+    await chatSessions.closeClientSessions(memberId, clientSessionId, client);
+    return chatSessions.createSession(await generateHexId('chat_session_id', { client }), memberId, clientSessionId, client);
+  }
 
-      const sessionId = await this.generateHexId();
-      const q = `
-        INSERT INTO tm_chat_sessions (session_id, member_id, started_at, last_activity, is_active, session_metadata)
-        VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, true, '{}'::jsonb)
-        RETURNING session_id
-      `;
-      const { rows } = await client.query(q, [sessionId, memberId]);
-      return { session_id: rows[0].session_id };
+  /**
+   * Close this client's session and open a fresh one ("new conversation"). Other devices keep theirs.
+   * @param {string} memberId
+   * @param {string|null} clientSessionId
+   * @returns {Promise<{session_id: string, client_session_id: string|null}>}
+   */
+  async startNewSession(memberId, clientSessionId = null) {
+    const clientId = this.normalizeClientSessionId(clientSessionId);
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await chatSessions.closeClientSessions(memberId, clientId, client);
+      const session = await chatSessions.createSession(await generateHexId('chat_session_id', { client }), memberId, clientId, client);
+      await client.query('COMMIT');
+      this.contexts.delete(`${memberId}|${clientId || ''}`);
+      return { session_id: session.session_id, client_session_id: clientId };
     } catch (e) {
+      await client.query('ROLLBACK');
       throw e;
+    } finally {
+      client.release();
     }
   }
 
+  // Chat reply for the new_session intent; the turn itself is saved into the new session.
+  async startNewConversation(memberId, clientSessionId, convoContext) {
+    if (!memberId) return { type: 'fallback', text: 'Log in to keep conversations.' };
+    await this.startNewSession(memberId, clientSessionId);
+    convoContext.entities = {};
+    delete convoContext.last_intent;
+    delete convoContext.pending_choice;
+    return { type: 'session', text: 'New conversation started — I’ve forgotten the show and times we were talking about.' };
+  }
+
   /**
-   * Fetch session row (or null).
+   * Fetch a live session row (active and within the idle limit), or null.
    */
   async getSession(sessionId) {
-    const q = `SELECT session_id FROM tm_chat_sessions WHERE session_id = $1 AND is_active = true`;
-    const { rows } = await this.pool.query(q, [sessionId]);
+    const q = `SELECT session_id, member_id, started_at, last_activity, session_metadata->>'client_session_id' AS client_session_id
+               FROM tm_chat_sessions
+               WHERE session_id = $1 AND is_active = true
+                 AND last_activity > CURRENT_TIMESTAMP - make_interval(mins => $2::int)`;
+    const { rows } = await this.pool.query(q, [sessionId, this.idleMinutes]);
     return rows[0] || null;
   }
 
+  // Unusable ids are treated as "no id" (the member's shared session) rather than rejected.
+  normalizeClientSessionId(id) {
+    const s = String(id || '').trim();
+    return CLIENT_SESSION_ID_RX.test(s) ? s : null;
+  }
+
   pickLastEntities(convoContext) {
     return convoContext?.entities || {};
   }
 
-  async generateHexId() {
-    const hex = Math.floor(Math.random() * 0xffffff)
-      .toString(16)
-      .padStart(6, "0")
-      .toUpperCase();
-    return "#"+hex;
-  
+  /**
+   * The member's conversation context: what the caller passed on top of what earlier
+   * turns left behind. Shape: { entities: { city, show_id, term, date }, last_intent, pending_choice }
+   * The engine fills `entities` with the slots each turn resolved, and sets pending_choice
+   * while a "which one did you mean?" question is open (its `rest` holds the parts of a
+   * compound question still waiting on the answer).
+   */
+  async contextFor(memberId, clientSessionId, convoContext = {}) {
+    const prev = memberId ? await this.loadContext(memberId, clientSessionId) : {};
+    return { ...prev, ...convoContext, entities: { ...prev.entities, ...convoContext?.entities } };
+  }
+
+  /**
+   * Context saved on the client's live session (session_metadata.context). Falls back
+   * to the last in-memory copy when the database can't be read.
+   */
+  async loadContext(memberId, clientSessionId = null) {
+    try {
+      const session = await chatSessions.findActiveSession(memberId, clientSessionId, this.idleMinutes);
+      return (session && session.session_metadata && session.session_metadata.context) || {};
+    } catch (e) {
+      console.error('[MessageProcessor] Failed to load context:', e.message);
+    }
+    return this.contexts.get(`${memberId}|${clientSessionId || ''}`) || {};
   }
 }
 
@@ -0,0 +1,131 @@
+// utils/dateExpressions.js
+// Turn the date words people use in chat ("tonight", "tomorrow", "friday", "next week",
+// "on the 25th", "25 Aug", "2025-08-25") into a YYYY-MM-DD range. "Today" is taken in the
+// timezone passed in (the tour's current timezone), not the server's.
+
+const { DEFAULT_TZ, ymdInTz } = require('./timeUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Short forms people type; "sat"/"sun" are left out because they're ordinary words.
+const WEEKDAY_RX = /\b(?:(next|this|on|coming)\s+)?(monday|mon|tuesday|tues?|wednesday|wed|thursday|thu(?:rs?)?|friday|fri|saturday|sunday)\b/;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_WORD = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORD = '(?:st|nd|rd|th)?';
+
+const pad = (n) => String(n).padStart(2, '0');
+const toYmd = (ms) => { const d = new Date(ms); return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`; };
+const toMs = (ymd) => Date.UTC(+ymd.slice(0, 4), +ymd.slice(5, 7) - 1, +ymd.slice(8, 10));
+const addDays = (ymd, n) => toYmd(toMs(ymd) + n * DAY_MS);
+const weekday = (ymd) => new Date(toMs(ymd)).getUTCDay();
+const monthIndex = (word) => MONTHS.indexOf(word.slice(0, 3));
+
+function validYmd(y, m, d) {
+  const ymd = `${y}-${pad(m)}-${pad(d)}`;
+  return m >= 1 && m <= 12 && d >= 1 && toYmd(toMs(ymd)) === ymd ? ymd : null;
+}
+
+// Day/month with no year: the next time it comes round (today counts).
+function nextOccurrence(today, month, day) {
+  const year = +today.slice(0, 4);
+  const thisYear = validYmd(year, month, day);
+  if (thisYear && thisYear >= today) return thisYear;
+  return validYmd(year + 1, month, day);
+}
+
+/**
+ * Short display label for a range: "Fri 24 Oct" or "27 Oct – 2 Nov".
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ */
+function formatRange(from, to) {
+  const fmt = (ymd, opts) => new Date(toMs(ymd)).toLocaleDateString('en-AU', { timeZone: 'UTC', ...opts });
+  if (from === to) return fmt(from, { weekday: 'short', day: 'numeric', month: 'short' });
+  return `${fmt(from, { day: 'numeric', month: 'short' })} – ${fmt(to, { day: 'numeric', month: 'short' })}`;
+}
+
+function range(from, to, phrase) {
+  return { date_from: from, date_to: to || from, phrase, label: formatRange(from, to || from) };
+}
+
+/**
+ * Find the first date expression in a message.
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {Date} [opts.now=new Date()]
+ * @param {string} [opts.tz=DEFAULT_TZ] - timezone that decides what "today" is
+ * @returns {{date_from: string, date_to: string, phrase: string, label: string}|null}
+ */
+function parseDateExpression(text, { now = new Date(), tz = DEFAULT_TZ } = {}) {
+  const q = String(text || '').toLowerCase();
+  if (!q.trim()) return null;
+  const today = ymdInTz(now, tz);
+  let m;
+
+  // Explicit dates first: 2025-08-25, 25/08[/2025] (day first), 25 Aug [2025], Aug 25[th] [2025]
+  if ((m = q.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    const d = validYmd(+m[1], +m[2], +m[3]);
+    if (d) return range(d, d, m[0]);
+  }
+  if ((m = q.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/))) {
+    const year = m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : null;
+    const d = year ? validYmd(year, +m[2], +m[1]) : nextOccurrence(today, +m[2], +m[1]);
+    if (d) return range(d, d, m[0]);
+  }
+  if ((m = q.match(new RegExp(`\\b(\\d{1,2})${ORD}\\s+(?:of\\s+)?${MONTH_WORD}\\b(?:,?\\s+(\\d{4}))?`)))) {
+    const d = m[3] ? validYmd(+m[3], monthIndex(m[2]) + 1, +m[1]) : nextOccurrence(today, monthIndex(m[2]) + 1, +m[1]);
+    if (d) return range(d, d, m[0]);
+  }
+  if ((m = q.match(new RegExp(`\\b${MONTH_WORD}\\s+(\\d{1,2})${ORD}\\b(?:,?\\s+(\\d{4}))?`)))) {
+    const d = m[3] ? validYmd(+m[3], monthIndex(m[1]) + 1, +m[2]) : nextOccurrence(today, monthIndex(m[1]) + 1, +m[2]);
+    if (d) return range(d, d, m[0]);
+  }
+
+  // Relative days
+  if ((m = q.match(/\bday\s+after\s+tomorrow\b/))) return range(addDays(today, 2), null, m[0]);
+  if ((m = q.match(/\b(tomorrow|tmrw|tmr|tomoz)\b/))) return range(addDays(today, 1), null, m[0]);
+  if ((m = q.match(/\b(today|tonight|this\s+(morning|afternoon|evening))\b/))) return range(today, null, m[0]);
+  if ((m = q.match(/\b(yesterday|last\s+night)\b/))) return range(addDays(today, -1), null, m[0]);
+  if ((m = q.match(/\bin\s+(\d{1,2})\s+days?\b/))) return range(addDays(today, +m[1]), null, m[0]);
+
+  // Weeks and weekends (weeks run Monday–Sunday)
+  const dow = weekday(today);
+  const toSunday = (7 - dow) % 7;
+  if ((m = q.match(/\b(this|next)\s+weekend\b/))) {
+    const sat = dow === 0 ? addDays(today, -1) : addDays(today, 6 - dow);
+    const start = m[1] === 'next' ? addDays(sat, 7) : sat;
+    return range(start < today ? today : start, addDays(start, 1), m[0]);
+  }
+  if ((m = q.match(/\bthis\s+week\b/))) return range(today, addDays(today, toSunday), m[0]);
+  if ((m = q.match(/\bnext\s+week\b/))) {
+    const monday = addDays(today, toSunday + 1);
+    return range(monday, addDays(monday, 6), m[0]);
+  }
+
+  // Weekday names: the next one on or after today; "next friday" skips today.
+  if ((m = q.match(WEEKDAY_RX))) {
+    const target = WEEKDAYS.findIndex((w) => w.startsWith(m[2].slice(0, 3)));
+    let ahead = (target - dow + 7) % 7;
+    if (ahead === 0 && m[1] === 'next') ahead = 7;
+    return range(addDays(today, ahead), null, m[0].trim());
+  }
+
+  // "on the 25th", "the 3rd": this month if it's still ahead, otherwise the next month that has
+  // that day ("the 31st" asked in September is 31 October).
+  if ((m = q.match(/\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\b|\bon\s+(\d{1,2})(?:st|nd|rd|th)\b/))) {
+    const day = +(m[1] || m[2]);
+    let y = +today.slice(0, 4);
+    let mo = +today.slice(5, 7);
+    if (day < +today.slice(8, 10)) { mo += 1; if (mo > 12) { mo = 1; y += 1; } }
+    let d = null;
+    for (let tries = 0; !d && tries < 12 && day <= 31; tries++) {
+      d = validYmd(y, mo, day);
+      if (!d) { mo += 1; if (mo > 12) { mo = 1; y += 1; } }
+    }
+    if (d) return range(d, d, m[0]);
+  }
+
+  return null;
+}
+
+module.exports = { parseDateExpression, formatRange };
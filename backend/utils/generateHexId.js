@@ -1,17 +1,35 @@
 // utils/generateHexId.js
 // Hex-only ID generator with race-safe init + row locking.
 // Requires a table: hex_id_counters(id_type TEXT PRIMARY KEY, current_value INTEGER NOT NULL, last_used_id TEXT)
+// A range may list `extensions`: once the main range is used up, allocation rolls over into
+// them in order. The counter keeps counting across the gap, so no schema change is needed.
+// A range may also name the `table`/`column` its IDs key: IDs already present there (rows written
+// before the counter existed, e.g. the old random chat IDs) are skipped instead of reissued.
+// With `seedFromMax`, a new counter also starts after the highest such ID in the main range; use it
+// only where existing IDs were handed out in order (the seeded glossary terms), not for randomly
+// scattered ones, where one high ID would skip most of the range.
 const pool = require('../db/pool');
 
 // Add/adjust ranges here
 const HEX_RANGES = Object.freeze({
   // Tour management terms
-  tm_term_id: { start: 0x604000, end: 0x6043E7 }, // 1000 slots for tour-manager lexicon
+  tm_term_id: { // 1000 slots for tour-manager lexicon
+    start: 0x604000, end: 0x6043E7,
+    table: 'industry_terms', column: 'term_id', seedFromMax: true,
+  },
   
   // Core entities
   tour_party_id: { start: 0x700000, end: 0x7003E8 }, // 1000 slots for users
-  chat_session_id: { start: 0x800000, end: 0x80FFFF }, // 65,536 slots for sessions
-  chat_message_id: { start: 0x900000, end: 0x9FFFFF }, // 1,048,576 slots for messages
+  chat_session_id: { // 65,536 slots for sessions, then 983,040 more
+    start: 0x800000, end: 0x80FFFF,
+    extensions: [{ start: 0x810000, end: 0x8FFFFF }],
+    table: 'tm_chat_sessions', column: 'session_id',
+  },
+  chat_message_id: { // 1,048,576 slots for messages, then 1,048,576 more
+    start: 0x900000, end: 0x9FFFFF,
+    extensions: [{ start: 0xE00000, end: 0xEFFFFF }],
+    table: 'tm_chat_messages', column: 'message_id',
+  },
   
   // System IDs (for ChatGPT's identified needs)
   MESSAGE: { start: 0x900000, end: 0x9FFFFF }, // Same as chat_message_id
@@ -23,32 +41,100 @@ const HEX_RANGES = Object.freeze({
   training_data_id: { start: 0xC00000, end: 0xC0FFFF }, // 65,536 slots for training data
 });
 
+// Warn once remaining IDs (across the main range and its extensions) drop to this share of the total.
+const LOW_WATER_FRACTION = 0.05;
+
+// idTypes already warned about in this process, so the log isn't flooded on every allocation
+const lowWaterWarned = new Set();
+
 function toHex6(n) {
   return `#${Number(n).toString(16).toUpperCase().padStart(6, '0')}`;
 }
 
-/**
- * Generate a unique hex ID for the given idType.
- * Strategy:
- *   1) INSERT seed row if missing (current_value = start-1) with ON CONFLICT DO NOTHING
- *   2) SELECT ... FOR UPDATE to lock the row
- *   3) Increment, range-check, UPDATE, COMMIT
- * First returned ID == start (clean semantics).
- *
- * @param {string} idType - key in HEX_RANGES (e.g., 'tm_term_id')
- * @returns {Promise<string>} hex ID like '#604000'
- */
-async function generateHexId(idType) {
+// The main range followed by its extensions, in allocation order.
+function segmentsOf(range) {
+  return [{ start: range.start, end: range.end }, ...(range.extensions || [])];
+}
+
+// The ID after `current`, stepping into the next segment at a boundary; null when all are used.
+function nextInRange(range, current) {
+  for (const seg of segmentsOf(range)) {
+    if (current < seg.start) return seg.start;
+    if (current < seg.end) return current + 1;
+  }
+  return null;
+}
+
+// IDs still free after `current`.
+function remainingAfter(range, current) {
+  return segmentsOf(range).reduce((n, seg) => n + Math.max(0, seg.end - Math.max(current, seg.start - 1)), 0);
+}
+
+function capacityOf(range) {
+  return segmentsOf(range).reduce((n, seg) => n + (seg.end - seg.start + 1), 0);
+}
+
+function rangeFor(idType) {
   const range = HEX_RANGES[idType];
   if (!range) {
     throw new Error(`Invalid idType "${idType}". Valid types: ${Object.keys(HEX_RANGES).join(', ')}`);
   }
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
+  return range;
+}
+
+// Log rollovers and a one-time low-water warning so exhaustion never comes as a surprise.
+function reportAllocation(idType, range, current, next) {
+  if (current >= range.start && (range.extensions || []).some(ext => ext.start === next)) {
+    console.warn(`[generateHexId] "${idType}" rolled over into extension range starting ${toHex6(next)}`);
+  }
+  const remaining = remainingAfter(range, next);
+  const capacity = capacityOf(range);
+  if (remaining <= capacity * LOW_WATER_FRACTION && !lowWaterWarned.has(idType)) {
+    lowWaterWarned.add(idType);
+    console.warn(
+      `[generateHexId] "${idType}" is running low: ${remaining} of ${capacity} IDs left ` +
+      `(last ${toHex6(next)}). Add an extension range in HEX_RANGES.`
+    );
+  }
+}
+
+// Where a new counter starts: just before the range, or (seedFromMax) at the highest ID the range's
+// table already holds in the main range. IDs are fixed-width uppercase hex, so text order is numeric.
+async function seedValueFor(db, range) {
+  if (!range.table || !range.seedFromMax) return range.start - 1;
+  const { rows } = await db.query(
+    `SELECT MAX(${range.column}) AS max_id FROM ${range.table} WHERE ${range.column} BETWEEN $1 AND $2`,
+    [toHex6(range.start), toHex6(range.end)]
+  );
+  const maxId = rows[0] && rows[0].max_id;
+  return maxId ? parseInt(maxId.slice(1), 16) : range.start - 1;
+}
+
+// Whether the range's table already has a row with this ID.
+async function isTaken(db, range, hexId) {
+  const { rows } = await db.query(`SELECT 1 FROM ${range.table} WHERE ${range.column} = $1 LIMIT 1`, [hexId]);
+  return rows.length > 0;
+}
+
+/**
+ * Allocate the next ID using `db`, which must already be inside a transaction.
+ * Strategy:
+ *   1) INSERT seed row if missing (current_value = start-1, or for seedFromMax ranges the range
+ *      table's highest ID) with ON CONFLICT DO NOTHING
+ *   2) SELECT ... FOR UPDATE to lock the row (held until the caller's transaction ends)
+ *   3) Increment (rolling into the next extension at a boundary), skip IDs already in the
+ *      range's table, range-check, UPDATE
+ */
+async function allocate(db, idType, range) {
+  const lockCounter = () => db.query(
+    `SELECT current_value FROM hex_id_counters WHERE id_type = $1 FOR UPDATE`,
+    [idType]
+  );
+  let { rows } = await lockCounter();
+  if (rows.length === 0) {
     // Seed row (race-safe)
-    const seedValue = range.start - 1;
-    await client.query(
+    const seedValue = await seedValueFor(db, range);
+    await db.query(
       `
       INSERT INTO hex_id_counters (id_type, current_value, last_used_id)
       VALUES ($1, $2, NULL)
@@ -57,29 +143,62 @@ async function generateHexId(idType) {
       [idType, seedValue]
     );
     // Lock the counter row
-    const { rows } = await client.query(
-      `SELECT current_value FROM hex_id_counters WHERE id_type = $1 FOR UPDATE`,
-      [idType]
+    ({ rows } = await lockCounter());
+  }
+  if (rows.length === 0) {
+    throw new Error(`Failed to initialize counter for idType="${idType}"`);
+  }
+  const current = Number(rows[0].current_value);
+  let next = nextInRange(range, current);
+  while (next !== null && range.table && await isTaken(db, range, toHex6(next))) {
+    next = nextInRange(range, next);
+  }
+  if (next === null) {
+    const last = segmentsOf(range).pop();
+    throw new Error(
+      `Hex ID range exhausted for "${idType}". Max: ${toHex6(last.end)}; all ${capacityOf(range)} IDs used. ` +
+      `Add an extension range in HEX_RANGES.`
     );
-    if (rows.length === 0) {
-      throw new Error(`Failed to initialize counter for idType="${idType}"`);
-    }
-    const current = Number(rows[0].current_value);
-    const next = current + 1;
-    if (next > range.end) {
-      throw new Error(
-        `Hex ID range exhausted for "${idType}". Max: ${toHex6(range.end)}`
-      );
+  }
+  const hexId = toHex6(next);
+  await db.query(
+    `
+    UPDATE hex_id_counters
+    SET current_value = $1, last_used_id = $2
+    WHERE id_type = $3
+    `,
+    [next, hexId, idType]
+  );
+  reportAllocation(idType, range, current, next);
+  return hexId;
+}
+
+/**
+ * Generate a unique hex ID for the given idType.
+ * First returned ID == start (clean semantics).
+ * Pass `client` to allocate inside the caller's transaction: the ID is only consumed if that
+ * transaction commits, and the counter row stays locked until it ends. Without one, the
+ * allocation runs in its own transaction.
+ *
+ * @param {string} idType - key in HEX_RANGES (e.g., 'tm_term_id')
+ * @param {object} [opts]
+ * @param {object} [opts.client] - a pool client inside an open transaction
+ * @returns {Promise<string>} hex ID like '#604000'
+ */
+async function generateHexId(idType, { client: txClient = null } = {}) {
+  const range = rangeFor(idType);
+  if (txClient) {
+    try {
+      return await allocate(txClient, idType, range);
+    } catch (err) {
+      console.error(`generateHexId error (${idType}):`, err.stack || err.message);
+      throw err;
     }
-    const hexId = toHex6(next);
-    await client.query(
-      `
-      UPDATE hex_id_counters
-      SET current_value = $1, last_used_id = $2
-      WHERE id_type = $3
-      `,
-      [next, hexId, idType]
-    );
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const hexId = await allocate(client, idType, range);
     await client.query('COMMIT');
     return hexId;
   } catch (err) {
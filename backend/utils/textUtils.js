@@ -1,5 +1,8 @@
 // utils/textUtils.js
-// A small helper for cleaning up text for matching.
+// Small helpers for cleaning up text for matching and formatting values for replies.
+
+// Leading words that mark a follow-up to the previous question ("and curfew?", "what about sydney?").
+const FOLLOW_UP_RX = /^\s*(and|what\s+about|how\s+about)\s+/i;
 
 /**
  * Normalizes a string by trimming whitespace and collapsing multiple spaces.
@@ -10,6 +13,18 @@ function cleanName(s) {
   return String(s || '').trim().replace(/\s+/g, ' ');
 }
 
+/**
+ * Formats an amount as currency for chat replies (e.g., 11250 → "$11,250.00").
+ * @param {number} n
+ * @param {string} [currency='AUD']
+ * @returns {string}
+ */
+function fmtMoney(n, currency = 'AUD') {
+  return Number(n || 0).toLocaleString('en-AU', { style: 'currency', currency });
+}
+
 module.exports = {
+  FOLLOW_UP_RX,
   cleanName,
+  fmtMoney,
 };
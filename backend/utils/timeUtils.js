@@ -0,0 +1,115 @@
+// utils/timeUtils.js
+// Timezone helpers built on Intl (no external tz library).
+
+const DEFAULT_TZ = 'Australia/Sydney';
+
+const tzCache = new Map();
+/**
+ * True when Intl knows the IANA timezone name (e.g. "Australia/Perth").
+ * @param {string} tz
+ * @returns {boolean}
+ */
+function isTimezone(tz) {
+  if (!tzCache.has(tz)) {
+    let ok = true;
+    try {
+      new Intl.DateTimeFormat('en-AU', { timeZone: tz });
+    } catch {
+      ok = false;
+    }
+    tzCache.set(tz, ok);
+  }
+  return tzCache.get(tz);
+}
+
+function partsInTz(date, tz) {
+  const fmt = new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false,
+  });
+  const p = Object.fromEntries(fmt.formatToParts(date).map(x => [x.type, x.value]));
+  if (p.hour === '24') p.hour = '00';
+  return p;
+}
+
+/**
+ * YYYY-MM-DD for an instant as seen in an IANA timezone.
+ * @param {Date} date
+ * @param {string} tz
+ * @returns {string}
+ */
+function ymdInTz(date, tz = DEFAULT_TZ) {
+  const p = partsInTz(date, tz);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+/**
+ * Local wall-clock "YYYY-MM-DDTHH:MM" for an instant in an IANA timezone.
+ * @param {number|Date} ms
+ * @param {string} tz
+ * @returns {string}
+ */
+function localIsoInTz(ms, tz = DEFAULT_TZ) {
+  const p = partsInTz(new Date(ms), tz);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+}
+
+function offsetMinutesAt(utcMs, tz) {
+  const p = partsInTz(new Date(utcMs), tz);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return (asUTC - utcMs) / 60000;
+}
+
+/**
+ * Epoch ms for a local wall-clock time ("YYYY-MM-DDTHH:MM[:SS]") in an IANA timezone.
+ * @param {string} localIso
+ * @param {string} tz
+ * @returns {number}
+ */
+function zonedLocalToEpochMs(localIso, tz = DEFAULT_TZ) {
+  const Y = +localIso.slice(0, 4), M = +localIso.slice(5, 7), D = +localIso.slice(8, 10);
+  const h = +(localIso.slice(11, 13) || '0'), m = +(localIso.slice(14, 16) || '0'), s = +(localIso.slice(17, 19) || '0');
+  const base = Date.UTC(Y, M - 1, D, h, m, s);
+  let off = offsetMinutesAt(base, tz);
+  const guess = base - off * 60000;
+  off = offsetMinutesAt(guess, tz);
+  return base - off * 60000;
+}
+
+/**
+ * Split a schedule value into { date, time }. Accepts "HH:MM" (uses fallbackDate) or ISO local.
+ * @param {string} value
+ * @param {string} fallbackDate - YYYY-MM-DD
+ * @returns {{date: string, time: string}|null}
+ */
+function splitLocalTime(value, fallbackDate) {
+  const v = String(value || '').trim();
+  const iso = v.match(/^(\d{4}-\d{2}-\d{2})[T\s](\d{1,2}):(\d{2})/);
+  if (iso) return { date: iso[1], time: `${iso[2].padStart(2, '0')}:${iso[3]}` };
+  const hm = v.match(/^(\d{1,2}):(\d{2})$/);
+  if (hm && fallbackDate) return { date: fallbackDate, time: `${hm[1].padStart(2, '0')}:${hm[2]}` };
+  return null;
+}
+
+/**
+ * Parse set_times ranges ("20:00–21:15", "19:30-20:00, 20:30-22:00").
+ * @param {string} value
+ * @returns {Array<{start: string, end: string, minutes: number}>} minutes allows for sets past midnight
+ */
+function parseSetTimes(value) {
+  return [...String(value || '').matchAll(/(\d{1,2}):(\d{2})\s*[-–—]\s*(\d{1,2}):(\d{2})/g)].map(r => {
+    let minutes = (Number(r[3]) * 60 + Number(r[4])) - (Number(r[1]) * 60 + Number(r[2]));
+    if (minutes < 0) minutes += 24 * 60;
+    return { start: `${r[1].padStart(2, '0')}:${r[2]}`, end: `${r[3].padStart(2, '0')}:${r[4]}`, minutes };
+  });
+}
+
+module.exports = {
+  DEFAULT_TZ,
+  isTimezone,
+  ymdInTz,
+  localIsoInTz,
+  zonedLocalToEpochMs,
+  splitLocalTime,
+  parseSetTimes,
+};
@@ -0,0 +1,162 @@
+// backend/websocket/tmWebSocketServer.js
+// WebSocket chat channel on the HTTP server's /ws path.
+// Client → server: { type: 'message', id?, content, timezone?, clientSessionId? }
+//                  (timezone: the member's IANA zone; clientSessionId: this device's session)
+// Server → client: { type: 'ready' } | { type: 'typing', id } | { type: 'chunk', id, text }
+//                  | { type: 'reply', id, intent, aiResponse } | { type: 'notice', notice } | { type: 'error', error }
+// Connect with ws(s)://host/ws?token=<access token>; the member comes from the token.
+const { WebSocketServer, WebSocket } = require('ws');
+const { authenticateToken } = require('../services/tmAuthService');
+const { canUseIntent } = require('../services/tmAccessPolicy');
+const { createScheduleNotifier } = require('../services/scheduleNotifier');
+
+const WS_PATH = '/ws';
+const HEARTBEAT_MS = 30000;
+
+// Who gets which notice: schedule changes/reminders go to anyone allowed day sheets.
+const NOTICE_INTENT = 'day_sheet';
+
+class TmWebSocketServer {
+  constructor() {
+    this.wss = null;
+    this.clients = new Map(); // member_id -> Set<WebSocket>
+    this.notifier = null;
+    this.heartbeat = null;
+    this.offReload = null;
+  }
+
+  /**
+   * Attach to an http.Server and start schedule notifications.
+   * @param {import('http').Server} server
+   * @param {object} deps
+   * @param {object} deps.processor - tmMessageProcessor
+   * @param {object} deps.dataSource - data source for schedule notices
+   */
+  attach(server, { processor, dataSource }) {
+    this.processor = processor;
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== WS_PATH) return socket.destroy();
+
+      let member;
+      try {
+        member = authenticateToken(url.searchParams.get('token') || '');
+      } catch (e) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return socket.destroy();
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.onConnection(ws, member));
+    });
+
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (ws.isAlive === false) { ws.terminate(); continue; }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+
+    if (dataSource) {
+      this.notifier = createScheduleNotifier({
+        dataSource,
+        leadMinutes: Number(process.env.TM_REMINDER_LEAD_MIN || 30),
+        notify: (notice) => this.broadcast({ type: 'notice', notice }, NOTICE_INTENT),
+      }).start();
+      // Push change notices as soon as reloaded data lands instead of on the next poll.
+      if (this.offReload) this.offReload();
+      if (dataSource.onReload) {
+        this.offReload = dataSource.onReload(() => {
+          this.notifier.check().catch(e => console.error('[WebSocket] notice check failed:', e.message));
+        });
+      }
+    }
+
+    console.log(`[WebSocket] Listening on ${WS_PATH}`);
+    return this;
+  }
+
+  onConnection(ws, member) {
+    ws.member = member;
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    if (!this.clients.has(member.member_id)) this.clients.set(member.member_id, new Set());
+    this.clients.get(member.member_id).add(ws);
+    ws.on('close', () => {
+      const set = this.clients.get(member.member_id);
+      if (set) {
+        set.delete(ws);
+        if (!set.size) this.clients.delete(member.member_id);
+      }
+    });
+
+    ws.on('message', (raw) => {
+      this.onMessage(ws, raw).catch((e) => {
+        console.error('[WebSocket] Error handling message:', e);
+        this.send(ws, { type: 'error', error: 'Internal server error' });
+      });
+    });
+
+    this.send(ws, { type: 'ready', member });
+  }
+
+  async onMessage(ws, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch {
+      return this.send(ws, { type: 'error', error: 'Messages must be JSON' });
+    }
+    if (msg.type !== 'message' || !String(msg.content || '').trim()) {
+      return this.send(ws, { type: 'error', id: msg.id, error: 'Expected { type: "message", content }' });
+    }
+
+    this.send(ws, { type: 'typing', id: msg.id });
+    const result = await this.processor.processMessage(msg.content, {}, { ...ws.member, timezone: msg.timezone },
+      { clientSessionId: msg.clientSessionId });
+
+    // Stream the reply line by line, then send the full payload.
+    const text = (result.aiResponse && result.aiResponse.text) || '';
+    for (const line of text.split('\n')) this.send(ws, { type: 'chunk', id: msg.id, text: line });
+    this.send(ws, { type: 'reply', id: msg.id, ...result });
+  }
+
+  send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+  }
+
+  /**
+   * Push a payload to every connection of one member.
+   * @param {string} memberId
+   * @param {object} payload
+   */
+  sendToMember(memberId, payload) {
+    for (const ws of this.clients.get(memberId) || []) this.send(ws, payload);
+  }
+
+  /**
+   * Push a payload to every connected member whose role may use the given intent.
+   * @param {object} payload
+   * @param {string} [intentType] - omit to send to everyone
+   */
+  broadcast(payload, intentType) {
+    for (const set of this.clients.values()) {
+      for (const ws of set) {
+        if (!intentType || canUseIntent(ws.member, intentType)) this.send(ws, payload);
+      }
+    }
+  }
+
+  close() {
+    if (this.offReload) this.offReload();
+    this.offReload = null;
+    if (this.notifier) this.notifier.stop();
+    clearInterval(this.heartbeat);
+    if (this.wss) this.wss.close();
+  }
+}
+
+module.exports = new TmWebSocketServer();
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// scripts/check_data.js — validate the tour CSVs (columns, formats, timezones, foreign keys)
+// Usage: node scripts/check_data.js [dataDir] [--json]   (exits 1 when there are errors)
+const path = require('path');
+const { validateDataDir } = require('../backend/services/csvSchema');
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const dataDir = path.resolve(args.find(a => !a.startsWith('--')) || process.env.TM_DATA_DIR || path.join(__dirname, '..', 'backend', 'data'));
+
+const report = validateDataDir(dataDir);
+if (asJson) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(`Data health for ${report.data_dir}\n`);
+  for (const f of report.files) {
+    console.log(`  ${f.file.padEnd(26)} ${String(f.rows).padStart(4)} rows  ${f.errors} errors  ${f.warnings} warnings`);
+  }
+  if (report.problems.length) console.log('');
+  for (const p of report.problems) {
+    const where = `${p.file}${p.line ? `:${p.line}` : ''}`;
+    console.log(`  ${p.severity === 'error' ? 'ERROR' : 'warn '}  ${where.padEnd(30)} ${p.column ? `[${p.column}] ` : ''}${p.message}`);
+  }
+  console.log(`\n${report.errors} errors, ${report.warnings} warnings`);
+}
+process.exitCode = report.ok ? 0 : 1;
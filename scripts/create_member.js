@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// scripts/create_member.js — add a tour-party member with a bcrypt-hashed password
+const BandMember = require('../backend/models/bandMember');
+const { hashPassword } = require('../backend/services/tmAuthService');
+const pool = require('../backend/db/pool');
+
+(async () => {
+  const [email, password, role, ...nameParts] = process.argv.slice(2);
+  if (!email || !password || !role) {
+    console.error(`Usage: node scripts/create_member.js <email> <password> <role> [display name]
+Roles: ${Object.values(BandMember.ROLES).join(', ')}`);
+    process.exit(1);
+  }
+  const member = await BandMember.create({
+    display_name: nameParts.join(' ') || email,
+    role,
+    email,
+    password_hash: await hashPassword(password),
+  });
+  console.log(JSON.stringify(member, null, 2));
+  await pool.end();
+})().catch(e => { console.error(e); process.exit(1); });
@@ -1,7 +1,13 @@
 #!/usr/bin/env node
 const { Pool } = require('pg');
+const { normalize } = require('../backend/services/normalizer');
 const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
 
+// Rows carry expect_term_id for the exact tier. Near-misses and typos that the fuzzy tier
+// (termIndex.lookupFuzzy) should resolve also carry fuzzy_expect_term_id; scripts/test_terms.js
+// --fuzzy scores against that instead. Rows with in_sentence are whole questions, scored with
+// termIndex.lookupInSentence rather than as a bare term.
+
 // deterministic perturbations
 function variants(raw) {
   const s = new Set([raw]);
@@ -19,9 +25,21 @@ function variants(raw) {
   return [...s];
 }
 
+// deterministic typos for longer aliases: a dropped letter and two swapped letters
+function typos(raw) {
+  const w = raw.toLowerCase();
+  if (w.replace(/ /g, '').length < 8) return [];
+  const mid = Math.floor(w.length / 2);
+  const i = w[mid] === ' ' ? mid + 1 : mid;
+  const out = new Set([w.slice(0, i) + w.slice(i + 1)]);
+  if (w[i + 1] && w[i + 1] !== ' ' && w[i] !== w[i + 1]) out.add(w.slice(0, i) + w[i + 1] + w[i] + w.slice(i + 2));
+  out.delete(w);
+  return [...out];
+}
+
 (async () => {
   const { rows } = await pool.query(`
-    SELECT term_id, alias_raw
+    SELECT term_id, alias_raw, is_canonical
     FROM tm_term_aliases
     ORDER BY term_id, is_canonical DESC, alias_raw
   `);
@@ -30,7 +48,52 @@ function variants(raw) {
       process.stdout.write(JSON.stringify({ input: v, expect_term_id: r.term_id }) + '\n');
     }
   }
-  const negatives = ['random','guestlisting','soundchecks','fohx','front-of-housekeeping','loadins','onstagetimez','setlistsz'];
-  for (const n of negatives) process.stdout.write(JSON.stringify({ input: n, expect_term_id: null }) + '\n');
+  const byAlias = new Map(rows.map(r => [normalize(r.alias_raw), r.term_id]));
+  const taken = new Set(byAlias.keys());
+  for (const r of rows.filter(r => r.is_canonical)) {
+    for (const t of typos(r.alias_raw)) {
+      if (taken.has(normalize(t))) continue;
+      process.stdout.write(JSON.stringify({ input: t, expect_term_id: null, fuzzy_expect_term_id: r.term_id }) + '\n');
+    }
+  }
+  // near-miss -> the alias the fuzzy tier should land on (null: no tier should match)
+  const negatives = {
+    random: null, guestlisting: 'guest list', soundchecks: 'soundcheck', fohx: null,
+    'front-of-housekeeping': null, loadins: 'load in', onstagetimez: 'onstage time', setlistsz: 'set list',
+  };
+  for (const [n, alias] of Object.entries(negatives)) {
+    const row = { input: n, expect_term_id: null };
+    if (alias && byAlias.has(normalize(alias))) row.fuzzy_expect_term_id = byAlias.get(normalize(alias));
+    process.stdout.write(JSON.stringify(row) + '\n');
+  }
+  // whole questions, scored with termIndex.lookupInSentence: [exact alias, alias the fuzzy tier
+  // should land on]; null = no match
+  const sentences = {
+    "what time is soundcheck in sydney": ['soundcheck', 'soundcheck'],
+    "where's the loading dock at the forum": ['loading dock', 'loading dock'],
+    "when's sound chek in sydney": [null, 'soundcheck'],
+    'what time is sonudcheck tomorrow': [null, 'soundcheck'],
+    'is there a curfw at the forum': [null, 'curfew'],
+    'whens the lod in at qudos': [null, 'load in'],
+    'where is the loadng dock in perth': [null, 'loading dock'],
+    'who is on the gest list tonight': [null, 'guest list'],
+    'show me the setlst for melbourne': [null, 'set list'],
+    'when is the meet and greeet': [null, 'meet and greet'],
+    'flights to auckland': [null, null],
+    'which song do we open with': [null, null],
+    'start a new conversation': [null, null],
+    'sanity check the tour': [null, null],
+    'how many tickets sold in melbourne': [null, null],
+    'when does the bus leave': [null, null],
+    'whats our settlement for perth': [null, null],
+    'who is driving us': [null, null],
+    'any press today': [null, null],
+  };
+  for (const [input, [exact, fuzzy]] of Object.entries(sentences)) {
+    const row = { input, expect_term_id: (exact && byAlias.get(normalize(exact))) || null };
+    if (fuzzy !== exact) row.fuzzy_expect_term_id = (fuzzy && byAlias.get(normalize(fuzzy))) || null;
+    row.in_sentence = true;
+    process.stdout.write(JSON.stringify(row) + '\n');
+  }
   await pool.end();
 })().catch(e => { console.error(e); process.exit(1); });
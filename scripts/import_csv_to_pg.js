@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// scripts/import_csv_to_pg.js — create the tm_* tour tables and load them from a CSV data directory
+// Usage: node scripts/import_csv_to_pg.js [dataDir]   (replaces the current contents of every table)
+const path = require('path');
+const pool = require('../backend/db/pool');
+const { loadCsvTables } = require('../backend/services/csvDataSource');
+const { PG_TABLES, SCHEMA_SQL } = require('../backend/services/pgDataSource');
+
+(async () => {
+  const dataDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'backend', 'data'));
+  const tables = loadCsvTables(dataDir);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(SCHEMA_SQL);
+    for (const [name, { table, columns }] of Object.entries(PG_TABLES)) {
+      await client.query(`DELETE FROM ${table}`);
+      const cols = columns.map(c => `"${c}"`).join(', ');
+      const params = columns.map((_, i) => `$${i + 1}`).join(', ');
+      for (const row of tables[name]) {
+        const values = columns.map(c => (row[c] === undefined || row[c] === '' ? null : row[c]));
+        await client.query(`INSERT INTO ${table} (${cols}) VALUES (${params})`, values);
+      }
+      console.log(`${table}: ${tables[name].length} rows`);
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error('Import failed:', e.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+})();
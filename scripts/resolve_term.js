@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 // scripts/resolve_term.js
 const { Pool } = require('pg');
-const { loadAliasIndex, lookupExact, lookupInSentence } = require('../backend/services/termIndex');
+const { loadAliasIndex, lookupExact, lookupFuzzy, lookupInSentence } = require('../backend/services/termIndex');
 const { normalize } = require('../backend/services/normalizer');
 
 const pool = new Pool({
@@ -32,7 +32,7 @@ async function resolveAnswer(term_id, locale = 'en-AU') {
 
   const norm = normalize(input);
   const exact = lookupExact(norm);
-  const phrase = exact || lookupInSentence(norm);
+  const phrase = exact || lookupInSentence(norm) || lookupFuzzy(norm);
 
   if (!phrase) {
     console.log(JSON.stringify({ input, normalized: norm, match: null, answer: null }, null, 2));
@@ -43,7 +43,7 @@ async function resolveAnswer(term_id, locale = 'en-AU') {
   console.log(JSON.stringify({
     input,
     normalized: norm,
-    match: { term_id: phrase.term_id, alias: phrase.alias ?? norm },
+    match: { term_id: phrase.term_id, alias: phrase.alias ?? norm, type: phrase.match || 'exact', confidence: phrase.confidence ?? 1 },
     answer
   }, null, 2));
 
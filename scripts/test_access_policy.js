@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// scripts/test_access_policy.js — role/intent and role/field matrix of tmAccessPolicy
+const assert = require('assert');
+const { REDACTED, canUseIntent, canSeeField, refusalFor, applyFieldPolicy } = require('../backend/services/tmAccessPolicy');
+
+const ROLES = ['tour_manager', 'band', 'crew', 'production', 'merch', 'guest'];
+const member = role => ({ member_id: '#700001', role });
+
+// role -> intents it may use (of the restricted ones) and field groups it may see
+const MATRIX = {
+  tour_manager: { intents: ['financial', 'merch', 'day_sheet', 'itinerary_check', 'travel'], fields: ['money', 'confirmation', 'contacts'] },
+  band: { intents: ['day_sheet', 'itinerary_check', 'travel'], fields: [] },
+  crew: { intents: ['day_sheet', 'itinerary_check', 'travel'], fields: ['contacts'] },
+  production: { intents: ['day_sheet', 'itinerary_check', 'travel'], fields: ['contacts'] },
+  merch: { intents: ['merch', 'day_sheet', 'itinerary_check', 'travel'], fields: ['money'] },
+  guest: { intents: [], fields: [] },
+};
+const RESTRICTED = ['financial', 'merch', 'day_sheet', 'itinerary_check', 'travel'];
+const OPEN = ['venue_info', 'setlist', 'term_lookup', 'show_schedule', 'help', 'history'];
+const FIELDS = ['money', 'confirmation', 'contacts'];
+
+for (const role of ROLES) {
+  const m = member(role);
+  for (const intent of RESTRICTED) {
+    assert.strictEqual(canUseIntent(m, intent), MATRIX[role].intents.includes(intent), `${role} ${intent}`);
+  }
+  for (const intent of OPEN) assert.ok(canUseIntent(m, intent), `${role} ${intent} is open`);
+  for (const field of FIELDS) {
+    assert.strictEqual(canSeeField(m, field), MATRIX[role].fields.includes(field), `${role} sees ${field}`);
+  }
+}
+
+// Unknown roles, a missing member and odd spellings
+assert.strictEqual(canUseIntent(member('roadie'), 'travel'), false, 'unknown role is a guest');
+assert.strictEqual(canUseIntent(null, 'day_sheet'), false, 'no member is a guest');
+assert.strictEqual(canUseIntent(member('Tour Manager'), 'financial'), true, 'role spelling is normalized');
+assert.strictEqual(refusalFor('financial').type, 'forbidden');
+assert.strictEqual(refusalFor('merch').text, 'Sorry, merch figures are restricted for your role.');
+assert.strictEqual(refusalFor('financial').text, 'Sorry, financial info is restricted for your role.');
+
+// Redaction of text and data
+const response = {
+  type: 'venue',
+  text: 'Guarantee $12,500.00 · Flight QF432 conf: ABC123 · Hotel HTL789 · Sarah Johnson sarah@venue.example +61 2 9250 7200',
+  data: {
+    guarantee: 12500,
+    flights: [{ flight_number: 'QF432', confirmation: 'ABC123' }],
+    hotel: { name: 'Park Hyatt', confirmation: 'HTL789' },
+    contact: { name: 'Sarah Johnson', email: 'sarah@venue.example', phone: '+61 2 9250 7200' },
+  },
+};
+const frozen = JSON.stringify(response);
+
+const tm = applyFieldPolicy(response, member('tour_manager'));
+assert.strictEqual(tm, response, 'nothing hidden from the tour manager');
+
+const guest = applyFieldPolicy(response, member('guest'));
+assert.deepStrictEqual(guest.redacted, FIELDS);
+for (const secret of ['12,500', 'ABC123', 'HTL789', 'Sarah Johnson', 'sarah@venue.example', '9250 7200']) {
+  assert.ok(!guest.text.includes(secret), `guest text hides ${secret}`);
+}
+assert.ok(guest.text.includes('QF432'), 'flight numbers are not secret');
+assert.strictEqual(guest.data.guarantee, REDACTED);
+assert.strictEqual(guest.data.flights[0].confirmation, REDACTED);
+assert.strictEqual(guest.data.flights[0].flight_number, 'QF432');
+assert.strictEqual(guest.data.hotel.confirmation, REDACTED);
+assert.strictEqual(guest.data.hotel.name, 'Park Hyatt');
+assert.strictEqual(guest.data.contact, REDACTED);
+
+const crew = applyFieldPolicy(response, member('crew'));
+assert.deepStrictEqual(crew.redacted, ['money', 'confirmation']);
+assert.ok(crew.text.includes('sarah@venue.example'), 'crew see venue contacts');
+assert.ok(!crew.text.includes('12,500') && !crew.text.includes('ABC123'));
+assert.strictEqual(crew.data.contact.email, 'sarah@venue.example');
+
+const merch = applyFieldPolicy(response, member('merch'));
+assert.deepStrictEqual(merch.redacted, ['confirmation', 'contacts']);
+assert.ok(merch.text.includes('$12,500.00'), 'merch see money');
+assert.strictEqual(merch.data.guarantee, 12500);
+
+assert.strictEqual(JSON.stringify(response), frozen, 'the input response is not mutated');
+assert.strictEqual(applyFieldPolicy(null, member('guest')), null);
+
+console.log('tmAccessPolicy: all checks passed');
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// scripts/test_auth_tokens.js — login, refresh-token rotation and revocation in tmAuthService
+// Runs against an in-memory stand-in for the two tables it touches (tm_tour_party and
+// tm_auth_refresh_tokens), the way test_mastertour_client.js runs against a local mock API.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+const assert = require('assert');
+const jwt = require('jsonwebtoken');
+const pool = require('../backend/db/pool');
+
+const members = new Map();  // member_id -> row
+const tokens = new Map();   // jti -> { member_id, expires_at (ms), revoked_at }
+const now = () => Date.now();
+
+pool.query = async (sql, params = []) => {
+  const q = sql.replace(/\s+/g, ' ').trim();
+  if (q.startsWith('INSERT INTO tm_auth_refresh_tokens')) {
+    const [jti, memberId, exp] = params;
+    tokens.set(jti, { member_id: memberId, expires_at: exp * 1000, revoked_at: null });
+    return { rowCount: 1, rows: [] };
+  }
+  if (q.startsWith('UPDATE tm_auth_refresh_tokens')) {
+    const [jti, memberId] = params;
+    const t = tokens.get(jti);
+    const rotating = q.includes('member_id = $2');
+    const ok = t && !t.revoked_at && (!rotating || (t.member_id === memberId && t.expires_at > now()));
+    if (ok) t.revoked_at = now();
+    return { rowCount: ok ? 1 : 0, rows: [] };
+  }
+  if (q.includes('FROM tm_tour_party WHERE member_id = $1')) {
+    const m = members.get(params[0]);
+    return { rows: m && m.is_active ? [m] : [] };
+  }
+  if (q.includes('FROM tm_tour_party WHERE lower(email) = lower($1)')) {
+    const m = [...members.values()].find(r => r.is_active && r.email.toLowerCase() === String(params[0]).toLowerCase());
+    return { rows: m ? [m] : [] };
+  }
+  throw new Error(`unexpected query: ${q}`);
+};
+
+const auth = require('../backend/services/tmAuthService');
+
+async function rejects(promise, status, message) {
+  await assert.rejects(promise, (e) => {
+    assert.ok(e instanceof auth.AuthError, `AuthError, got ${e && e.name}`);
+    assert.strictEqual(e.status, status);
+    if (message) assert.strictEqual(e.message, message);
+    return true;
+  });
+}
+
+async function run() {
+  members.set('#700001', {
+    member_id: '#700001', display_name: 'Alex TM', role: 'tour_manager', email: 'alex@tour.example',
+    is_active: true, password_hash: await auth.hashPassword('s3cret'),
+  });
+
+  // Login
+  await rejects(auth.login('alex@tour.example', ''), 400);
+  await rejects(auth.login('alex@tour.example', 'wrong'), 401, 'Invalid email or password');
+  await rejects(auth.login('nobody@tour.example', 's3cret'), 401, 'Invalid email or password');
+  const { member, tokens: first } = await auth.login('ALEX@tour.example', 's3cret');
+  assert.strictEqual(member.member_id, '#700001');
+  assert.ok(!('password_hash' in member), 'password hash never leaves login');
+  assert.deepStrictEqual(auth.authenticateToken(first.accessToken), { member_id: '#700001', role: 'tour_manager' });
+
+  // Token types can't be swapped
+  assert.throws(() => auth.authenticateToken(first.refreshToken), /Invalid token/);
+  await rejects(auth.refresh(first.accessToken), 401, 'Invalid token');
+  assert.throws(() => auth.authenticateToken('not-a-jwt'), /Invalid token/);
+  const expired = jwt.sign({ role: 'band', typ: 'access' }, process.env.JWT_SECRET, { subject: '#700001', expiresIn: -10 });
+  assert.throws(() => auth.authenticateToken(expired), /Token expired/);
+
+  // Rotation: a refresh token works once and the old one is revoked
+  const second = await auth.refresh(first.refreshToken);
+  assert.notStrictEqual(second.tokens.refreshToken, first.refreshToken);
+  assert.ok(tokens.get(jwt.decode(first.refreshToken).jti).revoked_at, 'old refresh token revoked');
+  await rejects(auth.refresh(first.refreshToken), 401, 'Refresh token revoked');
+
+  // A role change shows up in the next pair
+  members.get('#700001').role = 'crew';
+  const third = await auth.refresh(second.tokens.refreshToken);
+  assert.strictEqual(auth.authenticateToken(third.tokens.accessToken).role, 'crew');
+
+  // Logout revokes; logging out twice is fine
+  await auth.logout(third.tokens.refreshToken);
+  await auth.logout(third.tokens.refreshToken);
+  await rejects(auth.refresh(third.tokens.refreshToken), 401, 'Refresh token revoked');
+  await rejects(auth.logout(''), 400);
+
+  // An expired (by the table) refresh token can't rotate
+  const { tokens: fourth } = await auth.login('alex@tour.example', 's3cret');
+  tokens.get(jwt.decode(fourth.refreshToken).jti).expires_at = now() - 1000;
+  await rejects(auth.refresh(fourth.refreshToken), 401, 'Refresh token revoked');
+
+  // A deactivated member can't refresh
+  const { tokens: fifth } = await auth.login('alex@tour.example', 's3cret');
+  members.get('#700001').is_active = false;
+  await rejects(auth.refresh(fifth.refreshToken), 401, 'Member is no longer active');
+  await rejects(auth.login('alex@tour.example', 's3cret'), 401);
+
+  // Middleware
+  const call = (mw, req) => new Promise((resolve) => {
+    const res = { status(code) { this.code = code; return this; }, json(body) { resolve({ code: this.code, body }); } };
+    mw(req, res, () => resolve({ next: true, member: req.member }));
+  });
+  const req = (header) => ({ get: (h) => (h.toLowerCase() === 'authorization' ? header : undefined) });
+  assert.strictEqual((await call(auth.authenticate, req(undefined))).code, 401);
+  assert.strictEqual((await call(auth.authenticate, req('Bearer junk'))).code, 401);
+  const ok = await call(auth.authenticate, req(`Bearer ${third.tokens.accessToken}`));
+  assert.ok(ok.next);
+  assert.strictEqual(ok.member.role, 'crew');
+  const tmOnly = auth.requireRole('tour_manager');
+  assert.strictEqual((await call(tmOnly, { member: ok.member })).code, 403);
+  assert.ok((await call(auth.requireRole('crew', 'band'), { member: ok.member })).next);
+}
+
+run().then(() => {
+  console.log('tmAuthService: all checks passed');
+}, (e) => {
+  console.error('tmAuthService: FAIL');
+  console.error(e);
+  process.exitCode = 1;
+});
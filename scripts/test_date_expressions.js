@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// scripts/test_date_expressions.js — parseDateExpression against fixed "now"s
+const assert = require('assert');
+const { parseDateExpression } = require('../backend/utils/dateExpressions');
+
+const TZ = 'Australia/Sydney';
+// Noon in Sydney on the given day
+const noon = ymd => new Date(`${ymd}T02:00:00Z`);
+
+// [today (Sydney), text, date_from, date_to (defaults to date_from)]; date_from null = no date
+const CASES = [
+  // Wednesday 10 Sep 2025
+  ['2025-09-10', 'doors tomorrow', '2025-09-11'],
+  ['2025-09-10', 'what time is soundcheck tonight', '2025-09-10'],
+  ['2025-09-10', 'day after tomorrow', '2025-09-12'],
+  ['2025-09-10', 'yesterday', '2025-09-09'],
+  ['2025-09-10', 'in 3 days', '2025-09-13'],
+  ['2025-09-10', 'friday', '2025-09-12'],
+  ['2025-09-10', 'this friday', '2025-09-12'],
+  ['2025-09-10', 'wednesday', '2025-09-10'],
+  ['2025-09-10', 'next wednesday', '2025-09-17'],
+  ['2025-09-10', 'monday', '2025-09-15'],          // rolls over the weekend
+  ['2025-09-10', 'on tues', '2025-09-16'],
+  ['2025-09-10', 'this week', '2025-09-10', '2025-09-14'],
+  ['2025-09-10', 'next week', '2025-09-15', '2025-09-21'],
+  ['2025-09-10', 'this weekend', '2025-09-13', '2025-09-14'],
+  ['2025-09-10', 'next weekend', '2025-09-20', '2025-09-21'],
+  ['2025-09-10', 'on the 10th', '2025-09-10'],
+  ['2025-09-10', 'the 30th', '2025-09-30'],
+  ['2025-09-10', 'the 5th', '2025-10-05'],
+  ['2025-09-10', 'on the 31st', '2025-10-31'],     // September has no 31st
+  ['2025-09-10', '25 Aug', '2026-08-25'],          // already past this year
+  ['2025-09-10', 'Aug 25th 2025', '2025-08-25'],
+  ['2025-09-10', '25/12', '2025-12-25'],
+  ['2025-09-10', '2025-08-25', '2025-08-25'],
+  ['2025-09-10', '31/09', null],
+  ['2025-09-10', '2025-02-30', null],
+  ['2025-09-10', 'what time is soundcheck', null],
+  ['2025-09-10', 'we sat down at the desk', null],
+  // Sunday 14 Sep 2025: the week ends today
+  ['2025-09-14', 'this week', '2025-09-14', '2025-09-14'],
+  ['2025-09-14', 'next week', '2025-09-15', '2025-09-21'],
+  ['2025-09-14', 'this weekend', '2025-09-14', '2025-09-14'],
+  ['2025-09-14', 'next weekend', '2025-09-20', '2025-09-21'],
+  ['2025-09-14', 'sunday', '2025-09-14'],
+  ['2025-09-14', 'next sunday', '2025-09-21'],
+  ['2025-09-14', 'friday', '2025-09-19'],
+  ['2025-09-14', 'monday', '2025-09-15'],
+  // Saturday 27 Dec 2025: month and year rollover
+  ['2025-12-27', 'tomorrow', '2025-12-28'],
+  ['2025-12-27', 'on the 5th', '2026-01-05'],
+  ['2025-12-27', 'the 31st', '2025-12-31'],
+  ['2025-12-27', 'next week', '2025-12-29', '2026-01-04'],
+  ['2025-12-27', 'friday', '2026-01-02'],
+  ['2025-12-27', '3 jan', '2026-01-03'],
+  // 30-day and short months
+  ['2025-11-05', 'the 31st', '2025-12-31'],
+  ['2026-02-10', 'on the 30th', '2026-03-30'],
+  ['2026-02-10', 'on the 29th', '2026-03-29'],
+  ['2028-02-10', 'on the 29th', '2028-02-29'],     // leap year
+];
+
+const failures = [];
+for (const [today, text, from, to] of CASES) {
+  const got = parseDateExpression(text, { now: noon(today), tz: TZ });
+  const want = from ? [from, to || from] : null;
+  const have = got ? [got.date_from, got.date_to] : null;
+  try {
+    assert.deepStrictEqual(have, want);
+  } catch (e) {
+    failures.push(`  ${today} "${text}": expected ${JSON.stringify(want)}, got ${JSON.stringify(have)}`);
+  }
+}
+
+// The phrase is what was matched, so callers can cut it out of the question.
+assert.strictEqual(parseDateExpression('doors on friday in sydney', { now: noon('2025-09-10'), tz: TZ }).phrase, 'on friday');
+assert.strictEqual(parseDateExpression('soundcheck next week', { now: noon('2025-09-10'), tz: TZ }).label, '15 Sept – 21 Sept');
+
+// "Today" is the tour timezone's date, not the server's: 23:00 on the 10th in Perth is
+// already the 11th in Sydney.
+const lateUtc = new Date('2025-09-10T15:00:00Z');
+assert.strictEqual(parseDateExpression('today', { now: lateUtc, tz: 'Australia/Perth' }).date_from, '2025-09-10');
+assert.strictEqual(parseDateExpression('today', { now: lateUtc, tz: 'Australia/Sydney' }).date_from, '2025-09-11');
+
+if (failures.length) {
+  console.error(`dateExpressions: FAIL (${failures.length}/${CASES.length})\n${failures.join('\n')}`);
+  process.exitCode = 1;
+} else {
+  console.log(`dateExpressions: all ${CASES.length} cases passed`);
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// scripts/test_intent_routing.js — checks which intent tmIntentMatcher picks for real questions
+// Runs offline: the alias index is built from the gold set (gold.jsonl) instead of tm_term_aliases,
+// and the classifier trains on backend/data/intents.jsonl, masking names from the CSV tour data.
+// The engine checks answer routed questions from the CSV tour data and count entity extractions:
+// the place and booking slots come from intent.entities, so answering must not extract them again.
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { loadAliasIndex } = require('../backend/services/termIndex');
+const { createCsvDataSource } = require('../backend/services/csvDataSource');
+const { loadEntityIndex } = require('../backend/services/entityExtractor');
+const { setEntityIndex } = require('../backend/services/intentClassifier');
+const { normalize, tokenLen } = require('../backend/services/normalizer');
+const matcher = require('../backend/services/tmIntentMatcher');
+const { splitCompoundQuery } = require('../backend/services/compoundQuery');
+
+// Counts extractEntities() calls made by the engine, which takes the function at require time.
+const entityExtractor = require('../backend/services/entityExtractor');
+const { extractEntities } = entityExtractor;
+let extractions = 0;
+entityExtractor.extractEntities = (...args) => {
+  extractions += 1;
+  return extractEntities(...args);
+};
+const engine = require('../backend/services/tmAiEngine');
+
+// [question, expected intent, expected term_id (term_lookup only)]
+const CASES = [
+  // a glossary term on its own, or "what is ...", is a definition
+  ['day sheet', 'term_lookup', '#604007'],
+  ['set list', 'term_lookup', '#604040'],
+  ['loading dock', 'term_lookup', '#60402E'],
+  ['what is the loading dock', 'term_lookup', '#60402E'],
+  ["what's the curfew", 'term_lookup', '#604004'],
+  // time questions keep their term
+  ['what time is soundcheck in sydney', 'term_lookup', '#604001'],
+  ['what time is curfew at the forum', 'term_lookup', '#604004'],
+  // a term inside a question about the show goes to that question's handler
+  ['day sheet for brisbane', 'day_sheet'],
+  ['day sheet for friday', 'day_sheet'],
+  ['day sheet for melbourne', 'day_sheet'],
+  ['send me the day sheet for sydney opera house', 'day_sheet'],
+  ['setlist for Melbourne', 'setlist'],
+  ['setlist tonight', 'setlist'],
+  ["where's the loading dock in Sydney?", 'venue_info'],
+  ["who's the venue contact at The Forum?", 'venue_info'],
+  // a typo'd term inside a question
+  ["when's sound chek in sydney", 'term_lookup', '#604001'],
+  ['is there a curfw at the forum', 'term_lookup', '#604004'],
+  ['per diems this week', 'financial'],
+  // names are masked, so a venue seen in one intent's examples doesn't decide the intent
+  ['when are doors at Rod Laver Arena', 'term_lookup'],
+  ["what's the capacity at the Sydney Opera House", 'venue_info'],
+  ['what time is the merch stand open', 'merch'],
+  ['tour P&L to date', 'financial'],
+  ["what's our P & L to date", 'financial'],
+  // hotel questions are about the booking, not the glossary's "hotel"
+  ['what hotel are we at in brisbane', 'travel'],
+  ['where are we staying in brisbane', 'travel'],
+  ['hotel at the forum', 'travel'],
+];
+
+// [question, intent, text the engine's answer must contain] — answered from intent.entities only
+const ENGINE = [
+  ['what time is soundcheck in sydney', 'term_lookup', 'Soundcheck time for sydney (Sydney Opera House) on 2025-08-22: 15:00'],
+  ['when is lobby call in brisbane', 'term_lookup', 'Lobby call time for brisbane'],
+  ['what hotel are we at in brisbane', 'travel', 'Hotel for Brisbane on 2025-08-25'],
+  ['is flight QF432 on time', 'travel', 'QF432'],
+  ['flights from sydney', 'travel', 'flight'],
+];
+
+// [compound message, intent of each part in order]
+const COMPOUND = [
+  ['What time is soundcheck and doors in Brisbane, and what hotel are we at?', ['term_lookup', 'term_lookup', 'travel']],
+];
+
+function goldAliases() {
+  const rows = new Map();
+  const lines = fs.readFileSync(path.join(__dirname, '..', 'gold.jsonl'), 'utf8').split('\n').filter(l => l.trim());
+  for (const g of lines.map(l => JSON.parse(l))) {
+    const n = normalize(g.input);
+    if (g.expect_term_id && !g.in_sentence && !rows.has(n)) rows.set(n, { term_id: g.expect_term_id, alias_normalized: n, token_len: tokenLen(n) });
+  }
+  return [...rows.values()];
+}
+
+(async () => {
+  await loadAliasIndex(goldAliases());
+  setEntityIndex(await loadEntityIndex(createCsvDataSource({ dataDir: path.join(__dirname, '..', 'backend', 'data') })));
+  const failures = [];
+  for (const [q, intentType, termId] of CASES) {
+    const got = await matcher.matchIntent(q, {});
+    try {
+      assert.strictEqual(got.intent_type, intentType, q);
+      if (termId) assert.strictEqual(got.entities.term_id, termId, q);
+    } catch (e) {
+      failures.push(`  "${q}": expected ${intentType}${termId ? ` ${termId}` : ''}, got ${got.intent_type} ${got.entities.term_id || ''}`);
+    }
+  }
+  for (const [message, intents] of COMPOUND) {
+    const parts = splitCompoundQuery(message);
+    const got = [];
+    for (const part of parts) got.push((await matcher.matchIntent(part, {})).intent_type);
+    try {
+      assert.deepStrictEqual(got, intents, message);
+    } catch (e) {
+      failures.push(`  "${message}": expected ${intents.join(', ')}, got ${got.join(', ')} for ${JSON.stringify(parts)}`);
+    }
+  }
+  // The engine logs its database lookups failing offline; keep them out of the report.
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  engine.setDataSource(createCsvDataSource({ dataDir: path.join(__dirname, '..', 'backend', 'data') }));
+  await engine.loadEntities();
+  const member = { member_id: '#601001', role: 'tour_manager' };
+  for (const [message, intentType, expected] of ENGINE) {
+    const intent = { intent_type: intentType, entities: await engine.entitiesIn(message) };
+    extractions = 0;
+    const response = await engine.dispatchIntent({ message, intent, context: { entities: {} }, member });
+    const text = String((response && response.text) || '');
+    if (extractions) failures.push(`  "${message}": entities extracted ${extractions} more time(s) while answering`);
+    else if (!text.includes(expected)) failures.push(`  "${message}": expected "${expected}" in ${JSON.stringify(text)}`);
+  }
+  Object.assign(console, { log, error });
+  const total = CASES.length + ENGINE.length + COMPOUND.length;
+  if (failures.length) {
+    console.error(`intent routing: FAIL (${failures.length}/${total})\n${failures.join('\n')}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`intent routing: all ${total} checks passed`);
+  }
+})();
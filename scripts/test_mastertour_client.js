@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// scripts/test_mastertour_client.js — runs the Master Tour client against a local mock API
+const http = require('http');
+const assert = require('assert');
+const { createMasterTourClient } = require('../backend/services/masterTourClient');
+const { CONTRACT_METHODS, UnsupportedError } = require('../backend/services/tableDataSource');
+const commandHandlers = require('../backend/services/tmCommandHandlers');
+
+// Two pages of days: a show day in Brisbane, a travel day, then a show day in Auckland.
+const DAYS = [
+  { id: 'd1', dayDate: '2025-09-12', dayType: 'Show Day', city: 'Brisbane', state: 'QLD', country: 'AU', timeZone: 'Australia/Brisbane' },
+  { id: 'd2', dayDate: '2025-09-13', dayType: 'Travel Day', city: 'Auckland', country: 'NZ', timeZone: 'Pacific/Auckland' },
+  { id: 'd3', dayDate: '2025-09-14', dayType: 'Show Day', city: 'Auckland', country: 'NZ', timeZone: 'Pacific/Auckland' },
+];
+
+const ROUTES = {
+  '/api/v5/day/d1': {
+    id: 'd1',
+    scheduleItems: [
+      { title: 'Load In', startDatetime: '2025-09-12 12:30:00' },
+      { title: 'Soundcheck', startDatetime: '2025-09-12 16:00:00', details: 'Full band' },
+      { title: 'Doors', startDatetime: '2025-09-12 19:00:00' },
+      { title: 'Headline Set', startDatetime: '2025-09-12 21:00:00' },
+      { title: 'Curfew', startDatetime: '2025-09-12 23:00:00' },
+    ],
+  },
+  '/api/v5/day/d2': { id: 'd2', scheduleItems: [{ title: 'Lobby Call', startDatetime: '2025-09-13 07:00:00' }] },
+  '/api/v5/day/d3': { id: 'd3', scheduleItems: [{ title: 'Doors', startDatetime: '2025-09-14 19:30:00' }] },
+  '/api/v5/day/d1/events': { events: [{ id: 'e1', venue: { id: 'v1', name: 'Brisbane Entertainment Centre' } }] },
+  '/api/v5/day/d2/events': { events: [] },
+  '/api/v5/day/d3/events': { events: [{ id: 'e3', venue: { id: 'v3', name: 'Spark Arena' } }] },
+  '/api/v5/venue/v1': {
+    id: 'v1',
+    name: 'Brisbane Entertainment Centre',
+    address: { line1: 'Melaleuca Dr', city: 'Boondall', state: 'QLD', zip: '4034', country: 'AU' },
+    capacity: '13500',
+    contacts: [{ name: 'Sam Lee', email: 'sam@bec.example', phone: '+61 7 3265 8111' }],
+  },
+  '/api/v5/event/e1/setlist': {
+    songs: [
+      { setIndex: 2, songIndex: 1, title: 'Encore', duration: '4:00' },
+      { setIndex: 1, songIndex: 2, title: 'Second', duration: '3:30' },
+      { setIndex: 1, songIndex: 1, title: 'Opener', duration: '5:00' },
+    ],
+  },
+  '/api/v5/day/d2/travel': {
+    flights: [{
+      airline: 'Air New Zealand', flightNumber: 'NZ138', departureCity: 'Brisbane', arrivalCity: 'Auckland',
+      departureDatetime: '2025-09-13 09:00:00', arrivalDatetime: '2025-09-13 14:30:00',
+      departureTimeZone: 'Australia/Brisbane', arrivalTimeZone: 'Pacific/Auckland', confirmationNumber: 'ABC123',
+    }],
+    ground: [{ type: 'Van', pickupDatetime: '2025-09-13 14:45:00', pickupLocation: 'Arrivals' }],
+  },
+  '/api/v5/day/d2/hotels': { hotels: [{ name: 'Hotel Grand Windsor', address: '58 Queen St', confirmationNumber: 'HGW42' }] },
+  '/api/v5/day/d1/notes': { notes: [{ category: 'Audio', note: 'Bring spare DI', priority: 'high', createdBy: 'PM' }] },
+};
+
+const hits = {};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  hits[url.pathname] = (hits[url.pathname] || 0) + 1;
+  assert.match(req.headers.authorization || '', /^OAuth .*oauth_consumer_key="k".*oauth_signature="/);
+
+  let body;
+  if (url.pathname === '/api/v5/tour/t1/days') {
+    const page = Number(url.searchParams.get('page'));
+    const size = Number(url.searchParams.get('pageSize'));
+    body = { days: DAYS.slice((page - 1) * size, page * size), paging: { page, totalPages: Math.ceil(DAYS.length / size) } };
+  } else if (ROUTES[url.pathname]) {
+    body = ROUTES[url.pathname];
+  }
+  if (!body) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ success: false, message: 'Not found' }));
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ success: true, message: '', data: body }));
+});
+
+async function run(baseUrl) {
+  const client = createMasterTourClient({ baseUrl, tourId: 't1', key: 'k', secret: 's', pageSize: 2 });
+
+  for (const m of CONTRACT_METHODS) assert.strictEqual(typeof client[m], 'function', `implements ${m}`);
+
+  const { shows } = await client.getShows({});
+  assert.deepStrictEqual(shows.map(s => s.show_id), ['e1', 'e3']);
+  assert.strictEqual(hits['/api/v5/tour/t1/days'], 2, 'days are paged');
+
+  const bne = await client.getShow('e1');
+  assert.strictEqual(bne.city, 'Brisbane');
+  assert.strictEqual(bne.venue_name, 'Brisbane Entertainment Centre');
+  assert.strictEqual(bne.timezone, 'Australia/Brisbane');
+  assert.strictEqual(bne.load_in_time, '12:30');
+  assert.strictEqual(bne.soundcheck_time, '16:00');
+  assert.strictEqual(bne.doors_time, '19:00');
+  assert.strictEqual(bne.show_time, '21:00');
+  assert.strictEqual(bne.curfew_time, '23:00');
+  assert.strictEqual(await client.getShow('nope'), null);
+
+  const akl = await client.getShows({ city: 'auckland' });
+  assert.deepStrictEqual(akl.shows.map(s => s.show_id), ['e3']);
+  const range = await client.getShows({ date_from: '2025-09-13', date_to: '2025-09-30' });
+  assert.deepStrictEqual(range.shows.map(s => s.show_id), ['e3']);
+
+  const venue = await client.getVenue('v1');
+  assert.strictEqual(venue.capacity, 13500);
+  assert.strictEqual(venue.address.city, 'Boondall');
+  assert.strictEqual(venue.contact.email, 'sam@bec.example');
+  assert.strictEqual(await client.getVenue('missing'), null);
+
+  const setlist = await client.getSetlist('e1');
+  assert.deepStrictEqual(setlist.songs.map(s => s.title), ['Opener', 'Second', 'Encore']);
+  assert.strictEqual(setlist.sets.length, 2);
+
+  const travel = await client.getTravelInfo('2025-09-13');
+  assert.strictEqual(travel.flights[0].flight_number, 'NZ138');
+  assert.strictEqual(travel.flights[0].departure_time, '2025-09-13T09:00:00');
+  assert.strictEqual(travel.flights[0].arrival_timezone, 'Pacific/Auckland');
+  assert.strictEqual(travel.hotel.confirmation, 'HGW42');
+  assert.strictEqual(travel.ground_transport.pickup_time, '14:45');
+
+  const toAkl = await client.getFlightsByDestination('auckland');
+  assert.deepStrictEqual(toAkl.flights.map(f => f.flight_number), ['NZ138']);
+  assert.deepStrictEqual((await client.getFlightsByDestination('Sydney')).flights, []);
+
+  const sc = await client.getSoundcheckSchedule('e1');
+  assert.deepStrictEqual(sc.schedule.map(i => i.time), ['12:30', '16:00', '19:00', '21:00', '23:00']);
+  assert.strictEqual(sc.schedule[1].notes, 'Full band');
+
+  const notes = await client.getProductionNotes('e1');
+  assert.strictEqual(notes.notes[0].note, 'Bring spare DI');
+
+  const merch = await client.getMerchSales('e1');
+  assert.deepStrictEqual(merch.items, []);
+
+  // No budgets in Master Tour: the financial methods say so, and the financial intent reports it.
+  await assert.rejects(client.getShowFinancials('e1'), UnsupportedError);
+  await assert.rejects(client.getTourFinancials({}), UnsupportedError);
+  const tm = { member_id: '#601001', role: 'tour_manager' };
+  for (const show of [bne, null]) {
+    const reply = await commandHandlers.financial('what is the p&l', {}, tm, { dataSource: client, show });
+    assert.strictEqual(reply.text, 'Financials aren’t available from the Master Tour data source.');
+  }
+
+  // Everything above after the first getShows should have come from the cache.
+  assert.strictEqual(hits['/api/v5/day/d1'], 1, 'day detail is cached');
+  client.clearCache();
+  await client.getShows({});
+  assert.strictEqual(hits['/api/v5/day/d1'], 2, 'clearCache forces a refetch');
+}
+
+server.listen(0, '127.0.0.1', async () => {
+  const { port } = server.address();
+  try {
+    await run(`http://127.0.0.1:${port}/api/v5`);
+    console.log('masterTourClient: all checks passed');
+  } catch (e) {
+    console.error('masterTourClient: FAIL');
+    console.error(e);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// scripts/test_schedule_notifier.js — change notices and reminders from scheduleNotifier
+// Runs against an in-memory data source whose getShows() reads the data when called and answers
+// after a delay, so a poll that started before a reload can finish after the reload's check.
+const assert = require('assert');
+const { createScheduleNotifier } = require('../backend/services/scheduleNotifier');
+
+let shows = [{
+  show_id: '#605001', date: '2025-08-20', city: 'Melbourne', venue_name: 'The Forum',
+  timezone: 'Australia/Melbourne', load_in_time: '12:00', doors_time: '19:00',
+}];
+let failNext = false;
+const delays = []; // ms per getShows() call, in call order (default 5)
+
+const dataSource = {
+  async getShows() {
+    const current = shows.map((s) => ({ ...s }));
+    const fail = failNext;
+    failNext = false;
+    await new Promise((resolve) => setTimeout(resolve, delays.length ? delays.shift() : 5));
+    if (fail) throw new Error('source unavailable');
+    return { shows: current };
+  },
+};
+
+const sent = [];
+const notifier = createScheduleNotifier({ dataSource, notify: (n) => sent.push(n) });
+// 11:45 in Melbourne on show day: load in (12:00) is 15 minutes out, doors are not yet due.
+const now = Date.parse('2025-08-20T01:45:00Z');
+
+(async () => {
+  try {
+    await notifier.check(now);
+    assert.deepStrictEqual(sent.map((n) => n.kind), ['reminder'], 'first check only reminds');
+    assert.strictEqual(sent[0].field, 'load_in_time');
+
+    // A slow poll is under way when load in moves and the reload checks straight away.
+    sent.length = 0;
+    delays.push(30, 5);
+    const poll = notifier.check(now);
+    shows = [{ ...shows[0], load_in_time: '13:00' }];
+    const reload = notifier.check(now);
+    await Promise.all([poll, reload]);
+    await notifier.check(now); // the next poll
+    const changes = sent.filter((n) => n.kind === 'schedule_change');
+    assert.deepStrictEqual(changes.map((n) => n.text), ['Melbourne load in moved to 13:00 (was 12:00)'],
+      'the change is announced once and never reverted');
+    assert.strictEqual(sent.filter((n) => n.kind === 'reminder').length, 0, 'no reminder for the moved call yet');
+
+    // A failed check doesn't stop the next one from running.
+    sent.length = 0;
+    failNext = true;
+    await assert.rejects(notifier.check(now), /source unavailable/);
+    shows = [{ ...shows[0], doors_time: '19:30' }];
+    await notifier.check(now);
+    assert.deepStrictEqual(sent.map((n) => n.field), ['doors_time']);
+
+    console.log('scheduleNotifier: all checks passed');
+  } catch (e) {
+    console.error('scheduleNotifier: FAIL');
+    console.error(e);
+    process.exitCode = 1;
+  }
+})();
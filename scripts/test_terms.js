@@ -1,50 +1,66 @@
 #!/usr/bin/env node
 // scripts/test_terms.js — deterministic closed-set evaluator (exact alias match)
+// --fuzzy adds the fuzzy tier (termIndex.lookupFuzzy) behind the exact one and scores rows
+// against fuzzy_expect_term_id where the gold set gives one. Rows marked in_sentence are whole
+// questions and go through termIndex.lookupInSentence (with its fuzzy tier under --fuzzy).
 const fs = require('fs');
 const readline = require('readline');
-const { loadAliasIndex, lookupExact } = require('../backend/services/termIndex');
+const { loadAliasIndex, lookupExact, lookupFuzzy, lookupInSentence } = require('../backend/services/termIndex');
 const { normalize } = require('../backend/services/normalizer');
 
 (async () => {
   await loadAliasIndex();
 
-  const file = process.argv[2] || 'gold.jsonl';
+  const args = process.argv.slice(2);
+  const fuzzy = args.includes('--fuzzy');
+  const file = args.find(a => !a.startsWith('--')) || 'gold.jsonl';
   if (!fs.existsSync(file)) {
     console.error(`Gold file not found: ${file}`);
     process.exit(1);
   }
 
   const rl = readline.createInterface({ input: fs.createReadStream(file) });
-  let total = 0, pos = 0, posPass = 0, neg = 0, negPass = 0;
+  let total = 0, pos = 0, posPass = 0, neg = 0, negPass = 0, hits = 0, hitsRight = 0, fuzzyHits = 0, fuzzyRight = 0;
   const rows = [], failures = [];
 
   for await (const line of rl) {
     if (!line.trim()) continue;
-    const { input, expect_term_id } = JSON.parse(line);
+    const row = JSON.parse(line);
+    const { input } = row;
+    const expect_term_id = fuzzy && 'fuzzy_expect_term_id' in row ? row.fuzzy_expect_term_id : row.expect_term_id;
     total++;
     const n = normalize(input);
-    const hit = lookupExact(n);
+    const hit = row.in_sentence
+      ? lookupInSentence(n, { fuzzy })
+      : lookupExact(n) || (fuzzy ? lookupFuzzy(n) : null);
     const got = hit ? hit.term_id : null;
     const ok = (got === expect_term_id);
+    const match = hit ? (hit.match || 'exact') : '';
 
-    rows.push([input, n, expect_term_id || '', got || '', ok ? 'PASS' : 'FAIL']);
+    if (got) { hits++; if (ok) hitsRight++; }
+    if (hit && hit.match) { fuzzyHits++; if (ok) fuzzyRight++; }
+
+    rows.push([input, n, expect_term_id || '', got || '', match, ok ? 'PASS' : 'FAIL']);
 
     if (expect_term_id) { pos++; if (ok) posPass++; }
     else { neg++; if (!got) negPass++; }
 
-    if (!ok) failures.push({ input, normalized: n, expect_term_id, got });
+    if (!ok) failures.push({ input, normalized: n, expect_term_id, got, match: match || null, alias: hit?.alias || null });
   }
 
-  const precision = pos ? posPass / pos : 1;
+  // precision: of the inputs we matched, how many went to the right term
+  const precision = hits ? hitsRight / hits : 1;
   const recall = pos ? posPass / pos : 1;
   const negAcc = neg ? negPass / neg : 1;
 
-  fs.writeFileSync('coverage_matrix.csv', ['input,normalized,expected,got,status', ...rows.map(r => r.map(v => `"${String(v).replace(/"/g,'""')}"`).join(','))].join('\n'), 'utf8');
+  fs.writeFileSync('coverage_matrix.csv', ['input,normalized,expected,got,match,status', ...rows.map(r => r.map(v => `"${String(v).replace(/"/g,'""')}"`).join(','))].join('\n'), 'utf8');
   fs.writeFileSync('mismatch_report.json', JSON.stringify(failures, null, 2), 'utf8');
 
+  console.log(`Tier: ${fuzzy ? 'exact + fuzzy' : 'exact'}`);
   console.log(`Total: ${total}`);
   console.log(`Positives: ${pos}  Passed: ${posPass}`);
   console.log(`Negatives: ${neg}  Correctly Rejected: ${negPass}`);
   console.log(`Precision: ${precision.toFixed(4)}  Recall: ${recall.toFixed(4)}  NegAcc: ${negAcc.toFixed(4)}`);
+  if (fuzzy) console.log(`Fuzzy hits: ${fuzzyHits}  Correct: ${fuzzyRight}  Fuzzy precision: ${(fuzzyHits ? fuzzyRight / fuzzyHits : 1).toFixed(4)}`);
   console.log(failures.length === 0 ? '✅ 100% on closed set' : `❌ Mismatches: ${failures.length} (see mismatch_report.json)`);
 })();
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// scripts/test_tour_routes.js — day sheet, itinerary check and merch report routes (tmTourRoutes)
+// Runs them against the Master Tour client (whose show IDs are bare event ids) over a local mock
+// API, and against the CSV source (whose show IDs carry a '#') to check both ID styles resolve.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const http = require('http');
+const path = require('path');
+const assert = require('assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createTourRoutes } = require('../backend/routes/tmTourRoutes');
+const { createMasterTourClient } = require('../backend/services/masterTourClient');
+const { createCsvDataSource } = require('../backend/services/csvDataSource');
+
+// Master Tour: two show days (Brisbane, Auckland) with a travel day between them.
+const MT_ROUTES = {
+  '/api/v5/tour/t1/days': {
+    days: [
+      { id: 'd1', dayDate: '2025-09-12', city: 'Brisbane', country: 'AU', timeZone: 'Australia/Brisbane' },
+      { id: 'd2', dayDate: '2025-09-13', city: 'Auckland', country: 'NZ', timeZone: 'Pacific/Auckland' },
+      { id: 'd3', dayDate: '2025-09-14', city: 'Auckland', country: 'NZ', timeZone: 'Pacific/Auckland' },
+    ],
+  },
+  '/api/v5/day/d1': {
+    id: 'd1',
+    scheduleItems: [
+      { title: 'Load In', startDatetime: '2025-09-12 12:30:00' },
+      { title: 'Doors', startDatetime: '2025-09-12 19:00:00' },
+      { title: 'Headline Set', startDatetime: '2025-09-12 21:00:00' },
+      { title: 'Curfew', startDatetime: '2025-09-12 23:00:00' },
+    ],
+  },
+  '/api/v5/day/d2': { id: 'd2', scheduleItems: [] },
+  '/api/v5/day/d3': { id: 'd3', scheduleItems: [{ title: 'Doors', startDatetime: '2025-09-14 19:30:00' }] },
+  '/api/v5/day/d1/events': { events: [{ id: 'e1', venue: { id: 'v1', name: 'Brisbane Entertainment Centre' } }] },
+  '/api/v5/day/d2/events': { events: [] },
+  '/api/v5/day/d3/events': { events: [{ id: 'e3', venue: { id: 'v3', name: 'Spark Arena' } }] },
+  '/api/v5/venue/v1': { id: 'v1', name: 'Brisbane Entertainment Centre', capacity: '13500' },
+};
+
+const mockApi = http.createServer((req, res) => {
+  const body = MT_ROUTES[new URL(req.url, 'http://localhost').pathname];
+  res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body ? { success: true, data: body } : { success: false, message: 'Not found' }));
+});
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+const token = jwt.sign({ role: 'tour_manager', typ: 'access' }, process.env.JWT_SECRET, { subject: '#601001', expiresIn: '5m' });
+
+async function withApp(dataSource, fn) {
+  const app = express();
+  app.use('/api', createTourRoutes(dataSource));
+  const server = http.createServer(app);
+  const port = await listen(server);
+  const get = async (url) => {
+    const res = await fetch(`http://127.0.0.1:${port}${url}`, { headers: { Authorization: `Bearer ${token}` } });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    await fn(get);
+  } finally {
+    server.close();
+  }
+}
+
+async function run(mtBaseUrl) {
+  const mt = createMasterTourClient({ baseUrl: mtBaseUrl, tourId: 't1' });
+  // Master Tour carries no merch; give e1 some sales so the report has something to select.
+  mt.getMerchSales = async (showId) => ({
+    show_id: showId,
+    items: showId === 'e1' ? [{ item: 'Tour T-Shirt', quantity_sold: '10', price: '45', gross_sales: '450' }] : [],
+  });
+
+  await withApp(mt, async (get) => {
+    const sheet = await get('/api/daysheet/e1');
+    assert.strictEqual(sheet.status, 200, `Master Tour day sheet: ${JSON.stringify(sheet.body)}`);
+    assert.strictEqual(sheet.body.show_id, 'e1');
+    assert.match(sheet.body.text, /Doors/);
+    assert.strictEqual((await get('/api/daysheet/nope')).status, 404);
+
+    const itin = await get('/api/itinerary/check?showId=e3');
+    assert.strictEqual(itin.status, 200);
+    assert.strictEqual(itin.body.shows_checked, 1, 'itinerary check selects the Master Tour show');
+
+    const merch = await get('/api/merch/report?showId=e1&asOf=2025-12-31');
+    assert.strictEqual(merch.status, 200);
+    assert.deepStrictEqual(merch.body.shows.map(s => s.show_id), ['e1'], 'merch report selects the Master Tour show');
+  });
+
+  const csv = createCsvDataSource({ dataDir: path.join(__dirname, '..', 'backend', 'data') });
+  await withApp(csv, async (get) => {
+    for (const id of ['605001', '%23605001']) {
+      const sheet = await get(`/api/daysheet/${id}`);
+      assert.strictEqual(sheet.status, 200, `CSV day sheet for ${id}`);
+      assert.strictEqual(sheet.body.show_id, '#605001');
+    }
+    const itin = await get('/api/itinerary/check?showId=605001');
+    assert.strictEqual(itin.body.shows_checked, 1);
+    const merch = await get('/api/merch/report?showId=605001&asOf=2025-12-31');
+    assert.deepStrictEqual(merch.body.shows.map(s => s.show_id), ['#605001']);
+  });
+}
+
+listen(mockApi).then(async (port) => {
+  try {
+    await run(`http://127.0.0.1:${port}/api/v5`);
+    console.log('tour routes: all checks passed');
+  } catch (e) {
+    console.error('tour routes: FAIL');
+    console.error(e);
+    process.exitCode = 1;
+  } finally {
+    mockApi.close();
+  }
+});
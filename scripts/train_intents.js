@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// scripts/train_intents.js — train and evaluate the intent classifier (backend/services/intentClassifier.js)
+// Usage:
+//   node scripts/train_intents.js                    # 5-fold cross-validation on the configured data
+//   node scripts/train_intents.js --folds 10
+//   node scripts/train_intents.js --eval held_out.jsonl   # train on everything, score another JSONL file
+//   node scripts/train_intents.js --min 0.5          # predictions below this probability count as none
+//   node scripts/train_intents.js --source postgres  # read tm_intent_utterances instead of the file
+//   node scripts/train_intents.js --file my.jsonl
+//   node scripts/train_intents.js --query "what time is the merch stand open"
+//   node scripts/train_intents.js --no-mask          # don't mask the tour's cities, venues and people
+const {
+  loadExamples,
+  trainIntentClassifier,
+  setEntityIndex,
+  crossValidate,
+  evaluate,
+} = require('../backend/services/intentClassifier');
+const { createDataSource } = require('../backend/services/dataSourceFactory');
+const { loadEntityIndex } = require('../backend/services/entityExtractor');
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+function pct(x) {
+  return `${(x * 100).toFixed(1)}%`;
+}
+
+function report(title, { accuracy, perIntent, mistakes }) {
+  console.log(`\n${title}: accuracy ${pct(accuracy)}`);
+  console.log('intent'.padEnd(18), 'precision'.padStart(10), 'recall'.padStart(8), 'n'.padStart(5));
+  for (const [intent, r] of Object.entries(perIntent).sort()) {
+    console.log(intent.padEnd(18), pct(r.precision).padStart(10), pct(r.recall).padStart(8), String(r.tp + r.fn).padStart(5));
+  }
+  if (mistakes.length) {
+    console.log(`\nMisclassified (${mistakes.length}):`);
+    for (const m of mistakes) {
+      console.log(`  "${m.text}"  expected ${m.intent}, got ${m.predicted || 'none'} (${m.probability.toFixed(2)})`);
+    }
+  }
+}
+
+// Mask names the way the server does, with the index built from the tour data (TM_DATA_SOURCE).
+async function useTourEntities() {
+  try {
+    const index = await loadEntityIndex(createDataSource({ ...process.env, TM_DATA_WATCH: 'false' }));
+    setEntityIndex(index);
+    console.log(`Masking ${index.names.size} tour names`);
+  } catch (err) {
+    console.warn(`Tour data unavailable, not masking names: ${err.message}`);
+  }
+}
+
+(async () => {
+  if (!process.argv.includes('--no-mask')) await useTourEntities();
+  const examples = await loadExamples({ source: arg('source'), file: arg('file') });
+  const minProbability = Number(arg('min') || 0);
+  const intents = new Set(examples.map(e => e.intent));
+  console.log(`Loaded ${examples.length} examples across ${intents.size} intents`);
+
+  const query = arg('query');
+  if (query) {
+    const ranked = trainIntentClassifier(examples).classify(query);
+    if (!ranked.length) console.log('No prediction (no known words)');
+    for (const r of ranked.slice(0, 5)) console.log(r.intent.padEnd(18), r.probability.toFixed(3));
+    return;
+  }
+
+  const evalFile = arg('eval');
+  if (evalFile) {
+    const model = trainIntentClassifier(examples);
+    const held = await loadExamples({ source: 'file', file: evalFile });
+    report(`Held-out ${evalFile} (${held.length})`, evaluate(model, held, { minProbability }));
+  } else {
+    const folds = Number(arg('folds') || 5);
+    report(`${folds}-fold cross-validation`, crossValidate(examples, { folds, minProbability }));
+  }
+})().then(() => process.exit(0), err => {  // exit even with a pg pool open (--source postgres)
+  console.error(err.message);
+  process.exit(1);
+});